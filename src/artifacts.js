@@ -0,0 +1,176 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Generated images and files in assistant messages.
+ * findArtifacts runs inside the page (self-contained, like domToMarkdown);
+ * automation.js downloads what it finds through the logged-in browser
+ * context into a per-request directory, which the server serves at
+ * GET /artifacts/:dir/:name for clients that don't share its filesystem.
+ */
+
+const MIME_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp',
+  '.svg': 'image/svg+xml', '.pdf': 'application/pdf', '.csv': 'text/csv', '.tsv': 'text/tab-separated-values',
+  '.txt': 'text/plain', '.md': 'text/markdown', '.html': 'text/html', '.json': 'application/json',
+  '.xml': 'application/xml', '.zip': 'application/zip', '.gz': 'application/gzip', '.tar': 'application/x-tar',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.py': 'text/x-python', '.js': 'text/javascript', '.mp3': 'audio/mpeg', '.mp4': 'video/mp4'
+};
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+/**
+ * @typedef {object} Artifact
+ * @property {'image'|'file'} kind
+ * @property {string} name - File name in the request's artifacts directory
+ * @property {string} [path] - Absolute path (missing if the download failed)
+ * @property {string} [url] - API path the server serves it at
+ * @property {string} [mimeType]
+ * @property {number} [size] - Bytes
+ * @property {string} [error] - Why it couldn't be downloaded
+ */
+
+/**
+ * Find downloadable artifacts in a rendered message: images (except ones
+ * inside links, such as citation favicons) and file links (sandbox:, blob:
+ * or download-attributed anchors, as code interpreter renders them).
+ * File links carry their index among the message's <a> elements, so the
+ * caller can click the same one.
+ * @param {Node} root
+ * @returns {Array<{ kind: 'image', src: string, alt: string } | { kind: 'file', index: number, href: string, name: string }>}
+ */
+export function findArtifacts(root) {
+  const ELEMENT_NODE = 1;
+  const tagOf = (node) => String(node.nodeName).toUpperCase();
+  const elementChildren = (node) => Array.from(node.childNodes).filter((c) => c.nodeType === ELEMENT_NODE);
+
+  const found = [];
+  const seen = new Set();
+  let anchors = 0;
+
+  (function visit(node, inLink) {
+    for (const child of elementChildren(node)) {
+      const tag = tagOf(child);
+      if (tag === 'IMG' && !inLink) {
+        const src = child.getAttribute('src') || '';
+        if (src && !seen.has(src)) {
+          seen.add(src);
+          found.push({ kind: 'image', src, alt: child.getAttribute('alt') || '' });
+        }
+      }
+      if (tag === 'A') {
+        const index = anchors++;
+        const href = child.getAttribute('href') || '';
+        const download = child.getAttribute('download');
+        if (/^(sandbox|blob):/i.test(href) || download !== null) {
+          let last = href.split(/[/?#]/).filter(Boolean).pop() || '';
+          try {
+            last = decodeURIComponent(last);
+          } catch {
+            // Keep it encoded
+          }
+          found.push({ kind: 'file', index, href, name: download || last || child.textContent.trim() });
+        }
+      }
+      visit(child, inLink || tag === 'A');
+    }
+  })(root, false);
+
+  return found;
+}
+
+/**
+ * Whether an image may be fetched with the session's cookies: data: and
+ * blob: URLs, the page's own origin, and the site's file hosts (or their
+ * subdomains, over HTTPS). Anything else is a third-party image the reply
+ * merely embeds, and the session's cookies have no business going there.
+ * @param {string} src - As found in the page, possibly relative
+ * @param {string} pageUrl
+ * @param {string[]} fileHosts - e.g. ['oaiusercontent.com']
+ * @returns {boolean}
+ */
+export function isDownloadableImage(src, pageUrl, fileHosts = []) {
+  if (/^(data|blob):/i.test(src)) return true;
+  let url;
+  try {
+    url = new URL(src, pageUrl);
+  } catch {
+    return false;
+  }
+  if (url.origin === new URL(pageUrl).origin) return true;
+  return url.protocol === 'https:' && fileHosts.some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+/**
+ * MIME type for a file name, by extension.
+ * @param {string} name
+ * @returns {string}
+ */
+export function mimeTypeFor(name) {
+  return MIME_TYPES[path.extname(name).toLowerCase()] ?? DEFAULT_MIME_TYPE;
+}
+
+/**
+ * File extension (with the dot) for a MIME type; '' if unknown.
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export function extensionFor(mimeType) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(MIME_TYPES).find((ext) => MIME_TYPES[ext] === type) ?? '';
+}
+
+/**
+ * A name for a new file in dir: the given name stripped of any directory
+ * part and unsafe characters, numbered if it's already taken.
+ * @param {string} dir
+ * @param {string} name
+ * @param {string} fallback - Used if nothing is left of name
+ * @returns {string}
+ */
+export function uniqueFileName(dir, name, fallback = 'artifact') {
+  const safe = path.basename(name || '').replace(/[^\w.\- ]+/g, '_').replace(/^\.+/, '').trim() || fallback;
+  const ext = path.extname(safe);
+  const stem = safe.slice(0, safe.length - ext.length);
+  let candidate = safe;
+  for (let n = 2; fs.existsSync(path.join(dir, candidate)); n++) {
+    candidate = `${stem}-${n}${ext}`;
+  }
+  return candidate;
+}
+
+/**
+ * API path an artifact is served at.
+ * @param {string} dir - The request's artifacts directory
+ * @param {string} name - File name in it
+ * @returns {string}
+ */
+export function artifactUrl(dir, name) {
+  return `/artifacts/${encodeURIComponent(path.basename(dir))}/${encodeURIComponent(name)}`;
+}
+
+/**
+ * The file GET /artifacts/:dir/:name refers to, from its still-encoded path
+ * segments; null if they don't name a file directly inside one of root's
+ * request directories.
+ * @param {string} root - Artifacts root directory
+ * @param {string} dir
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function artifactFile(root, dir, name) {
+  let decodedDir;
+  let decodedName;
+  try {
+    decodedDir = decodeURIComponent(dir);
+    decodedName = decodeURIComponent(name);
+  } catch {
+    return null;
+  }
+  if (!/^[\w-]+$/.test(decodedDir)) return null;
+  if (!decodedName || decodedName.startsWith('.') || /[/\\\0]/.test(decodedName)) return null;
+  return path.join(root, decodedDir, decodedName);
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { findArtifacts, mimeTypeFor, extensionFor, uniqueFileName, isDownloadableImage, artifactUrl, artifactFile } from './artifacts.js';
+import { h, tmpDir } from './test-helpers.js';
+
+test('findArtifacts finds generated images and file links', () => {
+  const root = h('div', {},
+    h('p', {}, 'Here is the chart ', h('a', { href: 'https://example.com' }, h('img', { src: 'https://example.com/favicon.ico' }))),
+    h('div', {}, h('img', { src: 'https://files.example/chart.png?sig=1', alt: 'Generated image' })),
+    h('img', { src: 'https://files.example/chart.png?sig=1' }),
+    h('p', {}, h('a', { href: 'sandbox:/mnt/data/sales%20report.csv' }, 'Download the CSV')),
+    h('p', {}, h('a', { href: 'blob:https://chatgpt.com/1234', download: 'results.zip' }, 'results.zip')),
+    h('a', { href: 'https://example.com/docs' }, 'Docs')
+  );
+
+  assert.deepStrictEqual(findArtifacts(root), [
+    { kind: 'image', src: 'https://files.example/chart.png?sig=1', alt: 'Generated image' },
+    { kind: 'file', index: 1, href: 'sandbox:/mnt/data/sales%20report.csv', name: 'sales report.csv' },
+    { kind: 'file', index: 2, href: 'blob:https://chatgpt.com/1234', name: 'results.zip' }
+  ]);
+});
+
+test('isDownloadableImage only allows the site\'s own images', () => {
+  const page = 'https://chatgpt.com/c/123';
+  const hosts = ['oaiusercontent.com'];
+  assert.strictEqual(isDownloadableImage('data:image/png;base64,AAAA', page, hosts), true);
+  assert.strictEqual(isDownloadableImage('blob:https://chatgpt.com/1234', page, hosts), true);
+  assert.strictEqual(isDownloadableImage('/backend-api/estuary/content?id=file-1', page, hosts), true);
+  assert.strictEqual(isDownloadableImage('https://files.oaiusercontent.com/file-1?sig=1', page, hosts), true);
+  assert.strictEqual(isDownloadableImage('http://files.oaiusercontent.com/file-1', page, hosts), false);
+  assert.strictEqual(isDownloadableImage('https://evil-oaiusercontent.com/x.png', page, hosts), false);
+  assert.strictEqual(isDownloadableImage('https://example.com/chart.png', page, hosts), false);
+  assert.strictEqual(isDownloadableImage('https://files.oaiusercontent.com/file-1', 'https://claude.ai/chat/1'), false);
+});
+
+test('MIME types and extensions map both ways', () => {
+  assert.strictEqual(mimeTypeFor('report.CSV'), 'text/csv');
+  assert.strictEqual(mimeTypeFor('data.bin'), 'application/octet-stream');
+  assert.strictEqual(extensionFor('image/png'), '.png');
+  assert.strictEqual(extensionFor('image/jpeg; charset=binary'), '.jpg');
+  assert.strictEqual(extensionFor('application/x-unknown'), '');
+});
+
+test('uniqueFileName strips directories and numbers taken names', () => {
+  const dir = tmpDir('artifacts');
+  assert.strictEqual(uniqueFileName(dir, '../../etc/passwd'), 'passwd');
+  assert.strictEqual(uniqueFileName(dir, 'sales report?.csv'), 'sales report_.csv');
+  assert.strictEqual(uniqueFileName(dir, '..', 'file-1'), 'file-1');
+
+  fs.writeFileSync(path.join(dir, 'chart.png'), '');
+  fs.writeFileSync(path.join(dir, 'chart-2.png'), '');
+  assert.strictEqual(uniqueFileName(dir, 'chart.png'), 'chart-3.png');
+});
+
+test('artifact URLs resolve back to their file and nothing outside the root', () => {
+  const root = path.join(os.tmpdir(), 'artifacts');
+  const url = artifactUrl(path.join(root, 'm1abc-0f0f0f'), 'sales report.csv');
+  assert.strictEqual(url, '/artifacts/m1abc-0f0f0f/sales%20report.csv');
+
+  const [, , dir, name] = url.split('/');
+  assert.strictEqual(artifactFile(root, dir, name), path.join(root, 'm1abc-0f0f0f', 'sales report.csv'));
+  assert.strictEqual(artifactFile(root, '..', 'token'), null);
+  assert.strictEqual(artifactFile(root, 'm1abc', '..%2F..%2Ftoken'), null);
+  assert.strictEqual(artifactFile(root, 'm1abc', '.hidden'), null);
+  assert.strictEqual(artifactFile(root, 'm1abc', '%E0%A4%A'), null);
+});
@@ -0,0 +1,93 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/**
+ * Local API access control.
+ * The daemon drives a logged-in account, so it only answers requests that
+ * are addressed to it by a loopback name (no DNS rebinding), don't come from
+ * a web page, and, when token auth is on, carry the bearer token saved next
+ * to the session files.
+ */
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '[::1]']);
+
+/**
+ * Read the API token, if one has been generated.
+ * @param {string} file
+ * @returns {string|null}
+ */
+export function readToken(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the API token, generating it (owner-only permissions) if missing.
+ * @param {string} file
+ * @returns {string}
+ */
+export function ensureToken(file) {
+  const existing = readToken(file);
+  if (existing) return existing;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, token + '\n', { encoding: 'utf8', mode: 0o600 });
+  return token;
+}
+
+/**
+ * Check an Authorization header against the token (constant time).
+ * @param {string|undefined} header
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function checkBearer(header, token) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Whether a Host header names this machine's loopback interface on our port.
+ * A rebound DNS name ("evil.example:3033") fails this even though the
+ * connection itself arrived on 127.0.0.1.
+ * @param {string|undefined} host
+ * @param {number} port
+ * @returns {boolean}
+ */
+export function isLoopbackHost(host, port) {
+  const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(host || '');
+  if (!match) return false;
+  const [, name, hostPort] = match;
+  return LOOPBACK_HOSTS.has(name.toLowerCase()) && (hostPort === undefined ? port === 80 : Number(hostPort) === port);
+}
+
+/**
+ * Decide whether the daemon should serve a request.
+ * @param {object} headers - Request headers (lowercase names, as in node:http)
+ * @param {object} opts
+ * @param {string|null} opts.token - Required bearer token, or null if auth is off
+ * @param {number|null} opts.port - TCP port, or null on a Unix socket (no Host check)
+ * @returns {{ ok: true } | { ok: false, code: 'UNAUTHORIZED'|'FORBIDDEN', error: string }}
+ */
+export function checkAccess(headers, { token = null, port = null }) {
+  if (port !== null && !isLoopbackHost(headers.host, port)) {
+    return { ok: false, code: 'FORBIDDEN', error: `Host not allowed: ${headers.host || '(none)'}` };
+  }
+  // Browsers send Origin on cross-site requests; the CLI and scripts don't.
+  // Nothing here is meant to be called from a web page.
+  if (headers.origin) {
+    return { ok: false, code: 'FORBIDDEN', error: `Origin not allowed: ${headers.origin}` };
+  }
+  if (token && !checkBearer(headers.authorization, token)) {
+    return { ok: false, code: 'UNAUTHORIZED', error: 'Missing or invalid API token' };
+  }
+  return { ok: true };
+}
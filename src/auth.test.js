@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { readToken, ensureToken, checkBearer, isLoopbackHost, checkAccess } from './auth.js';
+import { tmpDir } from './test-helpers.js';
+
+test('ensureToken generates an owner-only token once', () => {
+  const dir = tmpDir('auth');
+  const file = path.join(dir, 'token');
+  assert.strictEqual(readToken(file), null);
+
+  const token = ensureToken(file);
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.strictEqual(ensureToken(file), token);
+  assert.strictEqual(readToken(file), token);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('checkBearer only accepts the exact token', () => {
+  assert.strictEqual(checkBearer('Bearer abc123', 'abc123'), true);
+  assert.strictEqual(checkBearer('bearer abc123', 'abc123'), true);
+  assert.strictEqual(checkBearer('Bearer abc124', 'abc123'), false);
+  assert.strictEqual(checkBearer('Bearer abc', 'abc123'), false);
+  assert.strictEqual(checkBearer('abc123', 'abc123'), false);
+  assert.strictEqual(checkBearer(undefined, 'abc123'), false);
+});
+
+test('isLoopbackHost rejects rebound DNS names and other ports', () => {
+  assert.strictEqual(isLoopbackHost('127.0.0.1:3033', 3033), true);
+  assert.strictEqual(isLoopbackHost('localhost:3033', 3033), true);
+  assert.strictEqual(isLoopbackHost('[::1]:3033', 3033), true);
+  assert.strictEqual(isLoopbackHost('evil.example:3033', 3033), false);
+  assert.strictEqual(isLoopbackHost('127.0.0.1:8080', 3033), false);
+  assert.strictEqual(isLoopbackHost(undefined, 3033), false);
+});
+
+test('checkAccess enforces Host, Origin and token', () => {
+  const ok = { host: '127.0.0.1:3033', authorization: 'Bearer t0k' };
+  assert.deepStrictEqual(checkAccess(ok, { token: 't0k', port: 3033 }), { ok: true });
+  assert.deepStrictEqual(checkAccess({ host: '127.0.0.1:3033' }, { token: null, port: 3033 }), { ok: true });
+
+  assert.strictEqual(checkAccess({ ...ok, host: 'evil.example:3033' }, { token: 't0k', port: 3033 }).code, 'FORBIDDEN');
+  assert.strictEqual(checkAccess({ ...ok, origin: 'https://evil.example' }, { token: 't0k', port: 3033 }).code, 'FORBIDDEN');
+  assert.strictEqual(checkAccess({ host: '127.0.0.1:3033' }, { token: 't0k', port: 3033 }).code, 'UNAUTHORIZED');
+
+  // Unix sockets can't be reached by a browser, so any Host is fine there
+  assert.deepStrictEqual(checkAccess({ host: 'localhost', authorization: 'Bearer t0k' }, { token: 't0k', port: null }), { ok: true });
+});
@@ -0,0 +1,578 @@
+/**
+ * Site-agnostic chat automation shared by all providers.
+ * Each provider passes its own selector set; the flow (fill, send, watch the
+ * stop button, wait for the text to stabilize) is the same everywhere.
+ * Uses Playwright Locators (not ElementHandles) to avoid stale element issues.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { domToMarkdown } from './markdown.js';
+import { extractStructured } from './extract.js';
+import { findArtifacts, isDownloadableImage, mimeTypeFor, extensionFor, uniqueFileName } from './artifacts.js';
+import { splitSelectors } from './selectors.js';
+import { clearInterstitials } from './interstitials.js';
+import { relayError } from './errors.js';
+import { parseRetryAt } from './retry.js';
+
+// How the assistant message is extracted: innerText, converted Markdown, or raw HTML
+export const RESPONSE_FORMATS = ['text', 'markdown', 'html'];
+
+// File types chat sites accept as attachments (by extension)
+const ATTACHMENT_EXTENSIONS = new Set([
+  // Images
+  '.png', '.jpg', '.jpeg', '.gif', '.webp',
+  // Documents
+  '.pdf', '.docx', '.pptx', '.xlsx', '.csv', '.tsv', '.txt', '.md', '.rtf', '.html', '.json', '.xml', '.yaml', '.yml',
+  // Logs and source code
+  '.log', '.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.c', '.h',
+  '.cpp', '.hpp', '.cs', '.php', '.sh', '.sql', '.swift', '.scala', '.css', '.toml', '.ini', '.diff', '.patch',
+  '.zip'
+]);
+const MAX_ATTACHMENT_BYTES = 512 * 1024 * 1024;
+const UPLOAD_TIMEOUT_MS = 120000;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+// Assumed for images served without a Content-Type
+const DEFAULT_IMAGE_TYPE = 'image/png';
+
+/**
+ * Selectors a provider must supply. Each value is a comma-joined list of
+ * fallbacks (OR logic).
+ * @typedef {object} ChatSelectors
+ * @property {string} composer - Prompt input (textarea or contenteditable)
+ * @property {string} sendButton
+ * @property {string} stopButton - Visible only while generating
+ * @property {string} assistantMessage - One node per assistant reply
+ * @property {string} errorToast
+ * @property {string} [continueButton] - "Continue generating", if the site has one
+ * @property {string} [fileInput] - Hidden <input type="file"> for attachments
+ * @property {string} [uploadProgress] - Visible while an attachment uploads
+ * @property {string} [modal] - Any blocking dialog; unknown ones fail the request
+ * @property {string} [usageLimit] - Banner shown when the account hits a message cap
+ * @property {string} [generationError] - Error shown in a reply whose generation failed
+ * @property {string} [regenerateButton] - Retries a failed reply in place
+ */
+
+/**
+ * Reject as soon as the signal aborts, even if the promise is still pending.
+ * @param {Promise} promise
+ * @param {AbortSignal|null} signal
+ * @returns {Promise}
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Check that a file can be attached, throwing a descriptive error if not.
+ * @param {string} file - Absolute path to a local file
+ */
+export function validateAttachment(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    throw relayError('INVALID_REQUEST', `Attachment not found: ${file}`);
+  }
+  if (!stat.isFile()) {
+    throw relayError('INVALID_REQUEST', `Attachment is not a file: ${file}`);
+  }
+  if (!ATTACHMENT_EXTENSIONS.has(path.extname(file).toLowerCase())) {
+    throw relayError('INVALID_REQUEST', `Unsupported attachment type: ${path.basename(file)}`);
+  }
+  if (stat.size > MAX_ATTACHMENT_BYTES) {
+    throw relayError('INVALID_REQUEST', `Attachment too large (${stat.size} bytes): ${path.basename(file)}`);
+  }
+}
+
+/**
+ * Upload files through the composer's file input and wait for them to finish.
+ * @param {import('playwright').Page} page
+ * @param {string[]} files - Absolute paths to local files
+ * @param {object} opts
+ * @param {ChatSelectors} opts.selectors
+ * @param {string} opts.name - Log prefix
+ */
+export async function attachFiles(page, files, { selectors, name }) {
+  files.forEach(validateAttachment);
+  if (!selectors.fileInput) {
+    throw relayError('INVALID_REQUEST', `Attachments are not supported by ${name}`);
+  }
+
+  console.log(`[${name}] Attaching ${files.length} file(s)...`);
+  const input = page.locator(selectors.fileInput).first();
+  try {
+    await input.waitFor({ state: 'attached', timeout: 10000 });
+    await input.setInputFiles(files);
+  } catch (e) {
+    throw relayError('UI_CHANGED', `Attachment upload failed: could not use file input (${e.message.split('\n')[0]})`);
+  }
+
+  // Uploading is done when no progress indicator is shown and the send button is enabled
+  const progress = page.locator(selectors.uploadProgress || 'progress');
+  const sendBtn = page.locator(selectors.sendButton).first();
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < UPLOAD_TIMEOUT_MS) {
+    const errorToast = page.locator(selectors.errorToast).first();
+    if (await errorToast.isVisible({ timeout: 100 }).catch(() => false)) {
+      const errorText = await errorToast.innerText().catch(() => 'Unknown error');
+      throw relayError('CHATGPT_ERROR', `Attachment upload failed: ${errorText.trim()}`);
+    }
+
+    const uploading = await progress.first().isVisible().catch(() => false);
+    const sendReady = await sendBtn.isEnabled({ timeout: 100 }).catch(() => true);
+    if (!uploading && sendReady) {
+      console.log(`[${name}] Attachments uploaded`);
+      return;
+    }
+
+    await page.waitForTimeout(500);
+  }
+
+  throw relayError('TIMEOUT', `Attachment upload timed out after ${UPLOAD_TIMEOUT_MS / 1000}s`);
+}
+
+/**
+ * Fill the composer, upload attachments and send.
+ * @param {import('playwright').Page} page
+ * @param {string} prompt
+ * @param {object} opts
+ * @param {ChatSelectors} opts.selectors
+ * @param {string} opts.name - Log prefix
+ * @param {string[]} opts.attachments - Local file paths to upload with the prompt
+ * @param {import('./interstitials.js').Interstitial[]} opts.interstitials - Known dialogs to dismiss first
+ * @param {AbortSignal} opts.signal - Checked right before sending
+ * @returns {Promise<number>} Number of assistant messages before sending
+ */
+export async function submitPrompt(page, prompt, { selectors, name, attachments = [], interstitials = [], signal = null }) {
+  // Use Locator which re-resolves on each action (no stale element issues)
+  const composer = page.locator(selectors.composer).first();
+
+  // Onboarding dialogs, upsells etc. cover the composer
+  await clearInterstitials(page, { interstitials, modalSelector: selectors.modal, name });
+
+  // Wait for composer to be visible
+  try {
+    await composer.waitFor({ state: 'visible', timeout: 15000 });
+  } catch {
+    throw relayError('UI_CHANGED', `Composer not found (${name} UI may have changed)`);
+  }
+
+  // Fill works on textarea, input, AND contenteditable
+  await composer.fill(prompt);
+
+  // Attach after filling so the send button's enabled state reflects upload progress
+  if (attachments.length) {
+    await attachFiles(page, attachments, { selectors, name });
+  }
+
+  // Last chance to back out without sending anything
+  signal?.throwIfAborted();
+
+  // Count assistant messages BEFORE sending to track our response
+  const beforeCount = await page.locator(selectors.assistantMessage).count();
+
+  // Wait for send button to be enabled, then click
+  const sendBtn = page.locator(selectors.sendButton).first();
+
+  try {
+    // Wait for button to be clickable
+    await page.waitForFunction(
+      (sel) => {
+        const btn = document.querySelector(sel);
+        return btn && !btn.disabled && btn.getAttribute('aria-disabled') !== 'true';
+      },
+      splitSelectors(selectors.sendButton)[0], // Use first selector for check
+      { timeout: 5000 }
+    ).catch(() => {});
+
+    if (await sendBtn.isVisible().catch(() => false)) {
+      await sendBtn.click({ timeout: 3000 });
+    } else {
+      await composer.press('Enter');
+    }
+  } catch {
+    // Fallback: press Enter
+    await composer.press('Enter');
+  }
+
+  return beforeCount;
+}
+
+/**
+ * Click the stop button if a response is being generated.
+ * @param {import('playwright').Page} page
+ * @param {object} opts
+ * @param {ChatSelectors} opts.selectors
+ * @param {string} opts.name - Log prefix
+ */
+export async function stopGeneration(page, { selectors, name }) {
+  const stopBtn = page.locator(selectors.stopButton).first();
+  if (await stopBtn.isVisible().catch(() => false)) {
+    console.log(`[${name}] Stopping generation...`);
+    await stopBtn.click({ timeout: 3000 }).catch(() => {});
+  }
+}
+
+/**
+ * Read an assistant message in the requested format.
+ * Returns '' if the message can't be read (e.g. detached mid-render).
+ * @param {import('playwright').Locator} message
+ * @param {string} format - One of RESPONSE_FORMATS
+ * @returns {Promise<string>}
+ */
+export async function readMessage(message, format) {
+  try {
+    if (format === 'markdown') {
+      return (await message.evaluate(domToMarkdown)).trim();
+    }
+    if (format === 'html') {
+      return (await message.innerHTML()).trim();
+    }
+    return (await message.innerText()).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Code blocks and sources of the last assistant message (see extract.js).
+ * @param {import('playwright').Page} page
+ * @param {object} opts
+ * @param {ChatSelectors} opts.selectors
+ * @returns {Promise<{ codeBlocks: object[], sources: object[] }>}
+ */
+export async function readStructured(page, { selectors }) {
+  return page.locator(selectors.assistantMessage).last().evaluate(extractStructured);
+}
+
+/**
+ * Fetch an image the way the page sees it: data: and blob: URLs from inside
+ * the page, anything else through the context's cookies.
+ * @returns {Promise<{ body: Buffer, mimeType: string|null }>}
+ */
+async function fetchImage(page, src) {
+  if (/^(data|blob):/i.test(src)) {
+    const { base64, type } = await page.evaluate(async (url) => {
+      const res = await fetch(url);
+      const bytes = new Uint8Array(await res.arrayBuffer());
+      let binary = '';
+      for (const byte of bytes) binary += String.fromCharCode(byte);
+      return { base64: btoa(binary), type: res.headers.get('content-type') };
+    }, src);
+    return { body: Buffer.from(base64, 'base64'), mimeType: type };
+  }
+
+  const res = await page.request.get(new URL(src, page.url()).toString(), { timeout: DOWNLOAD_TIMEOUT_MS });
+  if (!res.ok()) throw new Error(`HTTP ${res.status()}`);
+  return { body: await res.body(), mimeType: res.headers()['content-type'] ?? null };
+}
+
+/**
+ * Download the images and files in the last assistant message into dir.
+ * Images are fetched directly (only the site's own: see isDownloadableImage);
+ * file links are clicked and the browser download saved. A failed or skipped
+ * download is listed with its error instead of failing the request.
+ * @param {import('playwright').Page} page
+ * @param {string} dir - Created if there is anything to save
+ * @param {object} opts
+ * @param {ChatSelectors} opts.selectors
+ * @param {string} opts.name - Log prefix
+ * @param {string[]} opts.fileHosts - Hosts besides the site's own that serve its images
+ * @returns {Promise<import('./artifacts.js').Artifact[]>}
+ */
+export async function downloadArtifacts(page, dir, { selectors, name, fileHosts = [] }) {
+  const message = page.locator(selectors.assistantMessage).last();
+  const found = await message.evaluate(findArtifacts);
+  if (found.length === 0) return [];
+
+  fs.mkdirSync(dir, { recursive: true });
+  const artifacts = [];
+  for (const [i, item] of found.entries()) {
+    const fallback = `${item.kind}-${i + 1}`;
+    if (item.kind === 'image' && !isDownloadableImage(item.src, page.url(), fileHosts)) {
+      artifacts.push({ kind: 'image', name: fallback, error: 'external image not downloaded' });
+      continue;
+    }
+    try {
+      if (item.kind === 'image') {
+        const { body, mimeType } = await fetchImage(page, item.src);
+        const type = mimeType?.split(';')[0].trim() || DEFAULT_IMAGE_TYPE;
+        const fileName = uniqueFileName(dir, `${fallback}${extensionFor(type)}`);
+        fs.writeFileSync(path.join(dir, fileName), body);
+        artifacts.push({ kind: 'image', name: fileName, path: path.join(dir, fileName), mimeType: type, size: body.length });
+      } else {
+        const [download] = await Promise.all([
+          page.waitForEvent('download', { timeout: DOWNLOAD_TIMEOUT_MS }),
+          message.locator('a').nth(item.index).click({ timeout: 5000 })
+        ]);
+        const fileName = uniqueFileName(dir, download.suggestedFilename() || item.name, fallback);
+        await download.saveAs(path.join(dir, fileName));
+        const { size } = fs.statSync(path.join(dir, fileName));
+        artifacts.push({ kind: 'file', name: fileName, path: path.join(dir, fileName), mimeType: mimeTypeFor(fileName), size });
+      }
+    } catch (e) {
+      console.log(`[${name}] Could not download ${item.kind} ${item.name || item.src?.slice(0, 80)}: ${e.message}`);
+      artifacts.push({ kind: item.kind, name: item.name || fallback, error: e.message });
+    }
+  }
+  console.log(`[${name}] Downloaded ${artifacts.filter((a) => a.path).length} of ${found.length} artifact(s) to ${dir}`);
+  return artifacts;
+}
+
+/**
+ * Track streamed text and turn successive snapshots into events.
+ * Appended text becomes a 'delta'; anything else (e.g. markdown re-render)
+ * becomes a 'replace' carrying the full text.
+ * @param {function|null} onEvent
+ * @returns {function(string): void}
+ */
+function createTextEmitter(onEvent) {
+  let emitted = '';
+  return (text) => {
+    if (!onEvent || !text || text === emitted) return;
+    if (text.startsWith(emitted)) {
+      onEvent({ type: 'delta', text: text.slice(emitted.length) });
+    } else {
+      onEvent({ type: 'replace', text });
+    }
+    emitted = text;
+  };
+}
+
+/**
+ * Throw if the account hit its usage limit or the new reply failed to generate.
+ * A usage-limit error carries the reset time as `retryAt` when the banner gives
+ * one; a failed generation is `transient` and says whether it can be
+ * `regenerate`d in place (see retry.js).
+ * @param {import('playwright').Page} page
+ * @param {number} beforeCount - Number of assistant messages before sending
+ * @param {ChatSelectors} selectors
+ */
+export async function checkGenerationErrors(page, beforeCount, selectors) {
+  if (selectors.usageLimit) {
+    const banner = page.locator(selectors.usageLimit).first();
+    if (await banner.isVisible({ timeout: 100 }).catch(() => false)) {
+      const text = (await banner.innerText().catch(() => '')).replace(/\s+/g, ' ').trim();
+      const retryAt = parseRetryAt(text);
+      throw relayError('RATE_LIMITED', `Usage limit reached: ${text || '(no details)'}`, retryAt ? { retryAt: retryAt.toISOString() } : {});
+    }
+  }
+
+  // Only the new reply counts; an old failed one further up is history
+  if (selectors.generationError && await page.locator(selectors.assistantMessage).count() > beforeCount) {
+    const failure = page.locator(selectors.assistantMessage).last().locator(selectors.generationError).first();
+    if (await failure.isVisible({ timeout: 100 }).catch(() => false)) {
+      const text = (await failure.innerText().catch(() => '')).trim();
+      const regenerate = !!selectors.regenerateButton &&
+        await page.locator(selectors.regenerateButton).last().isVisible().catch(() => false);
+      throw relayError('CHATGPT_ERROR', `Generation failed: ${text || '(no details)'}`, { transient: true, regenerate });
+    }
+  }
+}
+
+/**
+ * Wait for the assistant's response to complete.
+ * Uses stop button lifecycle: visible (generating) -> hidden (done)
+ * This is more reliable than counting DOM nodes for React SPAs.
+ * @param {import('playwright').Page} page
+ * @param {number} beforeCount - Number of assistant messages before sending
+ * @param {object} opts
+ * @param {ChatSelectors} opts.selectors
+ * @param {string} opts.name - Log prefix
+ * @param {function(import('playwright').Page): Promise<void>} opts.checkErrorStates - Throws on site error states
+ * @param {import('./interstitials.js').Interstitial[]} opts.interstitials - Dialogs to dismiss while waiting
+ * @param {number} opts.timeout - Max wait time in ms
+ * @param {string} opts.format - One of RESPONSE_FORMATS
+ * @param {function|null} opts.onEvent - Optional progress callback, receives
+ *   { type: 'start' | 'delta' | 'replace' | 'continue' | 'done', text? }
+ * @param {AbortSignal|null} opts.signal - Rejects with signal.reason when aborted
+ * @returns {Promise<string>}
+ */
+export async function waitForResponse(page, beforeCount, opts) {
+  const { selectors, name, checkErrorStates, interstitials = [], timeout, format, onEvent = null, signal = null } = opts;
+  const stopBtn = page.locator(selectors.stopButton);
+  const assistantMsgs = page.locator(selectors.assistantMessage);
+  const lastAssistant = assistantMsgs.last();
+  const emitText = createTextEmitter(onEvent);
+
+  // Step 1: Wait for stop button to APPEAR (generation started)
+  // Usage limits and failed sends show up instead, so watch for errors meanwhile
+  console.log(`[${name}] Waiting for generation to start...`);
+  const startDeadline = Date.now() + 30000;
+  let started = false;
+  while (Date.now() < startDeadline) {
+    signal?.throwIfAborted();
+    if (await stopBtn.isVisible().catch(() => false)) {
+      started = true;
+      break;
+    }
+    await checkErrorStates(page);
+    await checkGenerationErrors(page, beforeCount, selectors);
+    await page.waitForTimeout(250);
+  }
+  // Stop button might not appear for very fast responses, continue anyway
+  console.log(started ? `[${name}] Generation started (stop button visible)` : `[${name}] Stop button not seen, continuing...`);
+  onEvent?.({ type: 'start' });
+
+  // Step 2: Wait for stop button to DISAPPEAR (generation ended)
+  console.log(`[${name}] Waiting for generation to complete...`);
+  if (onEvent) {
+    // Streaming: poll the new message while generating instead of blocking
+    const generationStart = Date.now();
+    while (await stopBtn.isVisible().catch(() => false)) {
+      signal?.throwIfAborted();
+      if (Date.now() - generationStart >= timeout) {
+        console.log(`[${name}] Stop button wait timed out`);
+        break;
+      }
+      // Don't stream the previous answer before the new message node exists
+      if (await assistantMsgs.count() > beforeCount) {
+        emitText(await readMessage(lastAssistant, format));
+      }
+      await page.waitForTimeout(250);
+    }
+  } else {
+    await raceAbort(stopBtn.waitFor({ state: 'hidden', timeout }), signal).catch((e) => {
+      if (signal?.aborted) throw e;
+      console.log(`[${name}] Stop button wait timed out`);
+    });
+  }
+  console.log(`[${name}] Generation complete`);
+
+  // Step 3: Get the last assistant message
+
+  // Wait for it to be visible
+  try {
+    await lastAssistant.waitFor({ state: 'visible', timeout: 10000 });
+  } catch {
+    throw relayError('UI_CHANGED', 'No assistant message found after generation completed');
+  }
+
+  // Step 4: Wait for text to stabilize (stops changing for ~1.5s)
+  console.log(`[${name}] Waiting for response to stabilize...`);
+  const startTime = Date.now();
+  let lastText = '';
+  let stableMs = 0;
+  const stabilityThreshold = 1500; // 1.5 seconds of no changes
+
+  while (Date.now() - startTime < timeout) {
+    signal?.throwIfAborted();
+
+    // Check for error states
+    await checkErrorStates(page);
+    await checkGenerationErrors(page, beforeCount, selectors);
+
+    // "Are you still there?" and similar prompts can appear mid-response
+    await clearInterstitials(page, { interstitials, modalSelector: selectors.modal, name });
+
+    // Check for "Continue generating" button and click if present
+    if (selectors.continueButton) {
+      const continueBtn = page.locator(selectors.continueButton).first();
+      if (await continueBtn.isVisible({ timeout: 100 }).catch(() => false)) {
+        console.log(`[${name}] Clicking "Continue generating"...`);
+        await continueBtn.click().catch(() => {});
+        onEvent?.({ type: 'continue' });
+        stableMs = 0;
+        await page.waitForTimeout(500);
+        continue;
+      }
+    }
+
+    const currentText = await readMessage(lastAssistant, format);
+    emitText(currentText);
+
+    if (currentText && currentText === lastText) {
+      stableMs += 250;
+      if (stableMs >= stabilityThreshold) {
+        console.log(`[${name}] Response stabilized (${currentText.length} chars)`);
+        onEvent?.({ type: 'done', text: currentText });
+        return currentText;
+      }
+    } else {
+      stableMs = 0;
+      lastText = currentText;
+    }
+
+    await page.waitForTimeout(250);
+  }
+
+  // Timeout - report whatever we have as partial rather than passing it off as complete
+  const finalText = await readMessage(lastAssistant, format);
+  if (finalText) {
+    console.log(`[${name}] Timeout but have partial response (${finalText.length} chars)`);
+    emitText(finalText);
+    throw relayError('PARTIAL_RESPONSE', `Timed out after ${timeout / 1000}s with a partial response (${finalText.length} chars)`, {
+      partialText: finalText
+    });
+  }
+
+  throw relayError('TIMEOUT', 'Timeout waiting for response');
+}
+
+/**
+ * waitForResponse, stopping generation if the request is cancelled.
+ */
+async function waitOrStop(page, beforeCount, opts) {
+  try {
+    return await waitForResponse(page, beforeCount, opts);
+  } catch (e) {
+    if (opts.signal?.aborted) {
+      // Free the tab for the next request instead of letting the site keep generating
+      await stopGeneration(page, opts);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Send a prompt and wait for the response, stopping generation if cancelled.
+ * @param {import('playwright').Page} page
+ * @param {string} prompt
+ * @param {object} opts - Options for submitPrompt and waitForResponse
+ * @returns {Promise<string>} The assistant's response text
+ */
+export async function sendAndWait(page, prompt, opts) {
+  const beforeCount = await submitPrompt(page, prompt, opts);
+  return waitOrStop(page, beforeCount, opts);
+}
+
+/**
+ * Regenerate the last reply (after a failed generation) and wait for it,
+ * without sending the prompt again.
+ * @param {import('playwright').Page} page
+ * @param {object} opts - Options for waitForResponse
+ * @returns {Promise<string>} The assistant's response text
+ */
+export async function regenerateResponse(page, opts) {
+  const { selectors, name } = opts;
+  if (!selectors.regenerateButton) {
+    throw relayError('INVALID_REQUEST', `Regenerating is not supported by ${name}`);
+  }
+
+  console.log(`[${name}] Regenerating response...`);
+  const beforeCount = await page.locator(selectors.assistantMessage).count();
+  try {
+    await page.locator(selectors.regenerateButton).last().click({ timeout: 5000 });
+  } catch {
+    throw relayError('UI_CHANGED', `Regenerate button not found (${name} UI may have changed)`);
+  }
+
+  // The failed reply is replaced in place, so the new one is still the last message;
+  // wait for its error to clear so it isn't mistaken for the new attempt failing
+  if (selectors.generationError) {
+    await page.locator(selectors.assistantMessage).last().locator(selectors.generationError).first()
+      .waitFor({ state: 'hidden', timeout: 5000 })
+      .catch(() => {});
+  }
+  return waitOrStop(page, beforeCount - 1, opts);
+}
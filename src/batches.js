@@ -0,0 +1,189 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/**
+ * Persistent batch store.
+ * A batch groups many prompts submitted together; each item runs as an
+ * ordinary job (see jobs.js) once it is ready. Items that share a `thread`
+ * run one after another in the same conversation, everything else runs in
+ * parallel. One JSON file per batch, like jobs.
+ */
+
+const FINISHED_ITEM_STATUSES = new Set(['done', 'error', 'cancelled', 'skipped']);
+
+function newBatchId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function batchPath(dir, id) {
+  // IDs come from URLs; refuse anything that could escape the batches directory
+  if (!/^[a-z0-9-]+$/i.test(id)) {
+    return null;
+  }
+  return path.join(dir, `${id}.json`);
+}
+
+function writeBatch(dir, batch) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = batchPath(dir, batch.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(batch, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Check whether a batch item has reached a terminal state.
+ * @param {object} item
+ * @returns {boolean}
+ */
+export function isItemFinished(item) {
+  return FINISHED_ITEM_STATUSES.has(item.status);
+}
+
+/**
+ * Create and persist a new batch. Items start out 'pending' (no job yet).
+ * @param {string} dir - Batches directory
+ * @param {object} request
+ * @param {Array<{ id: string, prompt: string, options: object, thread: string|null }>} request.items
+ * @returns {object} The new batch
+ */
+export function createBatch(dir, { items }) {
+  const batch = {
+    id: newBatchId(),
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    items: items.map(({ id, prompt, options, thread = null }) => ({
+      id,
+      prompt,
+      options,
+      thread,
+      status: 'pending',
+      jobId: null,
+      conversationId: null,
+      text: null,
+      error: null,
+      errorCode: null
+    }))
+  };
+  writeBatch(dir, batch);
+  return batch;
+}
+
+/**
+ * Read a batch by ID.
+ * @param {string} dir - Batches directory
+ * @param {string} id
+ * @returns {object|null} The batch, or null if it doesn't exist
+ */
+export function getBatch(dir, id) {
+  const file = batchPath(dir, id);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Merge fields into a stored batch.
+ * @param {string} dir - Batches directory
+ * @param {string} id
+ * @param {object} patch
+ * @returns {object} The updated batch
+ */
+export function updateBatch(dir, id, patch) {
+  const batch = getBatch(dir, id);
+  if (!batch) {
+    throw new Error(`Batch not found: ${id}`);
+  }
+  const updated = { ...batch, ...patch };
+  writeBatch(dir, updated);
+  return updated;
+}
+
+/**
+ * Count a batch's items by status.
+ * @param {object} batch
+ * @returns {Object<string, number>} { total, <status>: count, ... }
+ */
+export function batchSummary(batch) {
+  const summary = { total: batch.items.length };
+  for (const item of batch.items) {
+    summary[item.status] = (summary[item.status] ?? 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * List stored batches, newest first, without their items.
+ * @param {string} dir - Batches directory
+ * @param {object} opts
+ * @param {number} opts.limit - Max batches to return
+ * @returns {object[]} { id, status, createdAt, finishedAt, summary }
+ */
+export function listBatches(dir, opts = {}) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const batches = fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, opts.limit || undefined);
+
+  return batches.map((batch) => ({
+    id: batch.id,
+    status: batch.status,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt,
+    summary: batchSummary(batch)
+  }));
+}
+
+/**
+ * Decide which pending items can start. Unthreaded items start right away;
+ * in a thread, an item starts once the one before it is done, continuing its
+ * conversation. Items behind a failed or cancelled one in their thread are
+ * skipped, since they would lack the context they were written for.
+ * @param {object[]} items - Batch items, in manifest order
+ * @returns {{ start: Array<{ index: number, conversationId: string|null }>, skip: number[] }}
+ */
+export function planBatch(items) {
+  const start = [];
+  const skip = [];
+  const threads = new Map(); // thread -> { conversationId, blocked, failed }
+
+  items.forEach((item, index) => {
+    if (!item.thread) {
+      if (item.status === 'pending') start.push({ index, conversationId: null });
+      return;
+    }
+
+    const thread = threads.get(item.thread) ?? { conversationId: null, blocked: false, failed: false };
+    threads.set(item.thread, thread);
+
+    if (thread.failed) {
+      if (item.status === 'pending') skip.push(index);
+    } else if (thread.blocked) {
+      // An earlier item is still running; this one waits its turn
+    } else if (item.status === 'done') {
+      thread.conversationId = item.conversationId;
+    } else if (isItemFinished(item)) {
+      thread.failed = true;
+    } else {
+      if (item.status === 'pending') start.push({ index, conversationId: thread.conversationId });
+      thread.blocked = true;
+    }
+  });
+
+  return { start, skip };
+}
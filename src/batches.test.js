@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createBatch, getBatch, updateBatch, listBatches, batchSummary, planBatch, isItemFinished } from './batches.js';
+import { tmpDir } from './test-helpers.js';
+
+function item(id, status, extra = {}) {
+  return { id, prompt: id, options: {}, thread: null, status, jobId: null, conversationId: null, ...extra };
+}
+
+test('createBatch persists pending items that getBatch and listBatches read back', () => {
+  const dir = tmpDir('batches');
+  const batch = createBatch(dir, {
+    items: [
+      { id: 'a', prompt: 'A?', options: { newChat: true } },
+      { id: 'b', prompt: 'B?', options: {}, thread: 't' }
+    ]
+  });
+
+  assert.strictEqual(batch.status, 'running');
+  assert.deepStrictEqual(batch.items.map((i) => [i.id, i.status, i.thread]), [['a', 'pending', null], ['b', 'pending', 't']]);
+  assert.deepStrictEqual(getBatch(dir, batch.id), batch);
+  assert.strictEqual(getBatch(dir, '../jobs'), null);
+
+  const [listed] = listBatches(dir);
+  assert.strictEqual(listed.id, batch.id);
+  assert.deepStrictEqual(listed.summary, { total: 2, pending: 2 });
+  assert.strictEqual(listed.items, undefined);
+});
+
+test('updateBatch merges fields and batchSummary counts statuses', () => {
+  const dir = tmpDir('batches');
+  const batch = createBatch(dir, { items: [{ id: 'a', prompt: 'A?', options: {} }] });
+  const updated = updateBatch(dir, batch.id, { items: [{ ...batch.items[0], status: 'done' }], status: 'done' });
+
+  assert.strictEqual(getBatch(dir, batch.id).status, 'done');
+  assert.deepStrictEqual(batchSummary(updated), { total: 1, done: 1 });
+  assert.strictEqual(isItemFinished(updated.items[0]), true);
+  assert.strictEqual(isItemFinished(item('x', 'parked')), false);
+});
+
+test('planBatch starts unthreaded items at once and threads one at a time', () => {
+  const items = [
+    item('a', 'pending'),
+    item('b', 'pending', { thread: 't' }),
+    item('c', 'pending', { thread: 't' }),
+    item('d', 'running')
+  ];
+  assert.deepStrictEqual(planBatch(items), {
+    start: [{ index: 0, conversationId: null }, { index: 1, conversationId: null }],
+    skip: []
+  });
+
+  // Once b is done, c continues its conversation
+  items[1] = item('b', 'done', { thread: 't', conversationId: 'conv-b' });
+  assert.deepStrictEqual(planBatch(items).start, [{ index: 0, conversationId: null }, { index: 2, conversationId: 'conv-b' }]);
+
+  // Running thread items hold back the rest of the thread
+  items[1] = item('b', 'retrying', { thread: 't' });
+  assert.deepStrictEqual(planBatch(items).start, [{ index: 0, conversationId: null }]);
+});
+
+test('planBatch skips thread items behind a failure', () => {
+  const items = [
+    item('a', 'error', { thread: 't' }),
+    item('b', 'pending', { thread: 't' }),
+    item('c', 'pending', { thread: 't' }),
+    item('d', 'pending', { thread: 'other' })
+  ];
+  assert.deepStrictEqual(planBatch(items), { start: [{ index: 3, conversationId: null }], skip: [1, 2] });
+});
@@ -0,0 +1,152 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { relayError } from './errors.js';
+
+/**
+ * Response cache.
+ * Agents often resend the same question; an answer cached under its
+ * normalized prompt, provider, model, mode and format can be returned
+ * without spending a message. Opt-in: nothing is cached unless the request
+ * (cacheTtl) or the server (ASK_QUESTION_CACHE_TTL_MS) sets a TTL.
+ * Persisted as one JSON file next to the storage state.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Whether a request's answer depends only on its prompt and options.
+ * Requests in an existing conversation, with attachments or asking for
+ * downloaded artifacts are never cached.
+ * @param {object} opts - Request options (see parseAskOptions)
+ * @returns {boolean}
+ */
+export function isCacheable(opts) {
+  return !opts.conversationId && !(opts.attachments?.length > 0) && !opts.artifacts;
+}
+
+/**
+ * Cache key for a request: whitespace-normalized prompt plus everything
+ * else that changes the answer.
+ * @param {string} prompt
+ * @param {object} opts
+ * @param {string} opts.provider
+ * @param {string} opts.model
+ * @param {string} opts.mode
+ * @param {string} opts.format
+ * @param {boolean} opts.extract - Whether the response includes code blocks and sources
+ * @returns {string}
+ */
+export function cacheKey(prompt, { provider = null, model = null, mode = null, format = null, extract = false } = {}) {
+  const normalized = prompt.replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider, model || null, mode || null, format || 'text', !!extract, normalized]))
+    .digest('hex');
+}
+
+/**
+ * Key under which identical in-flight requests share one browser run: the
+ * cache key plus how long each caller is prepared to wait for it, so an
+ * /ask never ends up behind a job parked on a usage limit.
+ * @param {string} key - From cacheKey
+ * @param {object} opts
+ * @param {boolean} opts.park
+ * @param {number} opts.timeout
+ * @param {number} opts.retries
+ * @returns {string}
+ */
+export function shareKey(key, { park = false, timeout = null, retries = null } = {}) {
+  return `${key}:${JSON.stringify([!!park, timeout ?? null, retries ?? null])}`;
+}
+
+/**
+ * Share one in-flight request among the identical requests waiting on it.
+ * Each caller, the first included, gets its own ticket from follow(); the
+ * others' results are marked `coalesced`. Cancelling a ticket rejects only
+ * that ticket with CANCELLED, and the run itself is only cancelled once
+ * every ticket has been.
+ * @param {{ promise: Promise<object>, cancel: function(): string|null, state: string, position: number, etaMs: number }} run
+ * @returns {{ follow: function({ coalesced: boolean }): object, isOpen: function(): boolean }}
+ *   follow() returns a ticket like run's; isOpen() is false once the run was cancelled
+ */
+export function shareRequest(run) {
+  let waiting = 0;
+  let closed = false;
+
+  function follow({ coalesced = true } = {}) {
+    waiting++;
+    let settled = false;
+    let rejectFollower;
+    const cancelled = new Promise((resolve, reject) => {
+      rejectFollower = reject;
+    });
+    const shared = run.promise.then((result) => (coalesced ? { ...result, coalesced: true } : result));
+    const promise = Promise.race([shared, cancelled]);
+    promise.then(() => { settled = true; }, () => { settled = true; });
+
+    function cancel() {
+      if (settled) return null;
+      settled = true;
+      rejectFollower(relayError('CANCELLED', 'Request cancelled'));
+      if (--waiting > 0) return 'queued';
+      closed = true;
+      return run.cancel() ?? 'queued';
+    }
+
+    return { promise, cancel, state: coalesced ? 'coalesced' : run.state, position: run.position, etaMs: run.etaMs };
+  }
+
+  return { follow, isOpen: () => !closed };
+}
+
+/**
+ * Open (or create) a cache file.
+ * @param {string} file
+ * @param {object} opts
+ * @param {number} opts.maxEntries - Oldest entries are evicted beyond this
+ * @returns {{ get: function(string, number): object|null, set: function(string, object): void, size: function(): number }}
+ */
+export function createResponseCache(file, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    entries = {};
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * A cached response no older than maxAgeMs.
+   * @returns {{ text: string, conversationId: string|null, codeBlocks?: object[], sources?: object[], cachedAt: string }|null}
+   */
+  function get(key, maxAgeMs) {
+    const entry = entries[key];
+    if (!entry || maxAgeMs <= 0 || Date.now() - Date.parse(entry.cachedAt) > maxAgeMs) return null;
+    return entry;
+  }
+
+  /**
+   * Store a response.
+   * @param {string} key
+   * @param {{ text: string, conversationId: string|null, codeBlocks?: object[], sources?: object[] }} response
+   */
+  function set(key, { text, conversationId = null, codeBlocks, sources }) {
+    delete entries[key];
+    entries[key] = { text, conversationId, ...(codeBlocks && { codeBlocks, sources }), cachedAt: new Date().toISOString() };
+
+    // Keys keep insertion order, so the first ones are the oldest
+    const keys = Object.keys(entries);
+    for (const old of keys.slice(0, Math.max(0, keys.length - maxEntries))) {
+      delete entries[old];
+    }
+    save();
+  }
+
+  return { get, set, size: () => Object.keys(entries).length };
+}
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { isCacheable, cacheKey, createResponseCache, shareKey, shareRequest } from './cache.js';
+import { tmpDir } from './test-helpers.js';
+
+function tmpFile() {
+  return path.join(tmpDir('cache'), 'cache.json');
+}
+
+test('isCacheable rejects conversations, attachments and artifacts', () => {
+  assert.strictEqual(isCacheable({}), true);
+  assert.strictEqual(isCacheable({ attachments: [] }), true);
+  assert.strictEqual(isCacheable({ conversationId: 'c1' }), false);
+  assert.strictEqual(isCacheable({ attachments: [{ name: 'log.txt' }] }), false);
+  assert.strictEqual(isCacheable({ artifacts: true }), false);
+});
+
+test('cacheKey ignores whitespace but not options', () => {
+  const opts = { provider: 'chatgpt', model: 'o3' };
+  assert.strictEqual(cacheKey('Why  Bazel?\n', opts), cacheKey(' Why Bazel? ', opts));
+  assert.strictEqual(cacheKey('Why Bazel?', { provider: 'chatgpt', format: 'text' }), cacheKey('Why Bazel?', { provider: 'chatgpt' }));
+  assert.notStrictEqual(cacheKey('Why Bazel?', opts), cacheKey('why bazel?', opts));
+  assert.notStrictEqual(cacheKey('Why Bazel?', opts), cacheKey('Why Bazel?', { ...opts, model: null }));
+  assert.notStrictEqual(cacheKey('Why Bazel?', opts), cacheKey('Why Bazel?', { ...opts, provider: 'claude' }));
+  assert.notStrictEqual(cacheKey('Why Bazel?', opts), cacheKey('Why Bazel?', { ...opts, format: 'markdown' }));
+  assert.notStrictEqual(cacheKey('Why Bazel?', opts), cacheKey('Why Bazel?', { ...opts, extract: true }));
+});
+
+test('get honours the max age', (t) => {
+  const cache = createResponseCache(tmpFile());
+  cache.set('k', { text: 'Answer', conversationId: 'c1' });
+
+  assert.strictEqual(cache.get('k', 60000).text, 'Answer');
+  assert.strictEqual(cache.get('k', 0), null);
+  assert.strictEqual(cache.get('missing', 60000), null);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 120000 });
+  assert.strictEqual(cache.get('k', 60000), null);
+  assert.strictEqual(cache.get('k', 600000).conversationId, 'c1');
+});
+
+test('the cache evicts the oldest entries and persists owner-only', () => {
+  const file = tmpFile();
+  const cache = createResponseCache(file, { maxEntries: 2 });
+  cache.set('a', { text: 'A' });
+  cache.set('b', { text: 'B' });
+  cache.set('a', { text: 'A2' });
+  cache.set('c', { text: 'C' });
+
+  assert.strictEqual(cache.size(), 2);
+  assert.strictEqual(cache.get('b', 60000), null);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+  const reopened = createResponseCache(file);
+  assert.strictEqual(reopened.get('a', 60000).text, 'A2');
+  assert.strictEqual(reopened.get('c', 60000).text, 'C');
+});
+
+test('shareKey keeps requests that wait differently apart', () => {
+  const key = cacheKey('Why Bazel?', { provider: 'chatgpt' });
+  assert.strictEqual(shareKey(key, { park: false, timeout: 60000 }), shareKey(key, { timeout: 60000 }));
+  assert.notStrictEqual(shareKey(key, { park: true }), shareKey(key, { park: false }));
+  assert.notStrictEqual(shareKey(key, { timeout: 60000 }), shareKey(key, { timeout: 600000 }));
+  assert.notStrictEqual(shareKey(key, { retries: 0 }), shareKey(key, {}));
+});
+
+function fakeRun() {
+  const run = { state: 'queued', position: 2, etaMs: 1000, cancelled: 0 };
+  run.promise = new Promise((resolve, reject) => {
+    run.resolve = resolve;
+    run.cancel = () => {
+      run.cancelled++;
+      reject(Object.assign(new Error('Request cancelled'), { code: 'CANCELLED' }));
+      return 'running';
+    };
+  });
+  return run;
+}
+
+test('shareRequest gives every caller the run\'s result', async () => {
+  const run = fakeRun();
+  const shared = shareRequest(run);
+  const leader = shared.follow({ coalesced: false });
+  const follower = shared.follow();
+  assert.deepStrictEqual([leader.state, follower.state, follower.position, follower.etaMs], ['queued', 'coalesced', 2, 1000]);
+
+  run.resolve({ text: 'Answer', attempts: [] });
+  assert.deepStrictEqual(await leader.promise, { text: 'Answer', attempts: [] });
+  assert.deepStrictEqual(await follower.promise, { text: 'Answer', attempts: [], coalesced: true });
+  assert.strictEqual(follower.cancel(), null);
+});
+
+test('cancelling a coalesced request rejects only the follower', async () => {
+  const run = fakeRun();
+  const shared = shareRequest(run);
+  const leader = shared.follow({ coalesced: false });
+  const cancelled = shared.follow();
+
+  assert.strictEqual(cancelled.cancel(), 'queued');
+  await assert.rejects(cancelled.promise, (e) => e.code === 'CANCELLED');
+
+  run.resolve({ text: 'Answer' });
+  assert.strictEqual((await leader.promise).text, 'Answer');
+  assert.strictEqual(run.cancelled, 0);
+});
+
+test('cancelling the leader keeps the run going for its followers', async () => {
+  const run = fakeRun();
+  const shared = shareRequest(run);
+  const leader = shared.follow({ coalesced: false });
+  const follower = shared.follow();
+
+  assert.strictEqual(leader.cancel(), 'queued');
+  await assert.rejects(leader.promise, (e) => e.code === 'CANCELLED');
+  assert.strictEqual(run.cancelled, 0);
+  assert.strictEqual(shared.isOpen(), true);
+
+  // Only once nobody is waiting is the run itself cancelled
+  assert.strictEqual(follower.cancel(), 'running');
+  await assert.rejects(follower.promise, (e) => e.code === 'CANCELLED');
+  assert.strictEqual(run.cancelled, 1);
+  assert.strictEqual(shared.isOpen(), false);
+});
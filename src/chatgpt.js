@@ -1,13 +1,43 @@
 /**
- * ChatGPT DOM automation helpers.
- * Uses Playwright Locators (not ElementHandles) to avoid stale element issues.
+ * ChatGPT provider: DOM automation for chatgpt.com.
+ * The generic send/wait/extract flow lives in automation.js; this module
+ * supplies ChatGPT's selectors plus the site-specific pieces (model picker,
+ * tools menu, login and error detection).
  */
 
-const CHATGPT_URL = 'https://chatgpt.com';
+import {
+  RESPONSE_FORMATS,
+  sendAndWait,
+  regenerateResponse,
+  readStructured,
+  downloadArtifacts as downloadArtifactsWith,
+  stopGeneration as stopGenerationWith
+} from './automation.js';
+import { getSelectors } from './selectors.js';
+import { clearInterstitials } from './interstitials.js';
+import { relayError } from './errors.js';
+import { parseRetryAt, isTransientMessage } from './retry.js';
+
+// Overridable so tests can point the relay at a local fake (see fake-chatgpt.js)
+const CHATGPT_URL = (process.env.ASK_QUESTION_CHATGPT_URL || 'https://chatgpt.com').replace(/\/+$/, '');
+
+// Where generated images and uploaded files are served from, besides chatgpt.com itself
+const FILE_HOSTS = ['oaiusercontent.com'];
+
+// Tool modes that can be toggled from the composer's tools menu, by menu item label
+const MODE_LABELS = {
+  search: ['Web search', 'Search the web', 'Search'],
+  reasoning: ['Think longer', 'Reason'],
+  'deep-research': ['Deep research']
+};
+export const CHAT_MODES = Object.keys(MODE_LABELS);
+
+// Error toast wording that means the account is being throttled
+const RATE_LIMIT_PATTERN = /too many requests|rate limit|usage cap|limit reached|reached (?:the|your) .*limit/i;
 
 // Selectors - grouped for easy maintenance when ChatGPT UI changes
 // Note: contenteditable is prioritized because ChatGPT uses a hidden fallback textarea
-const SELECTORS = {
+const DEFAULT_SELECTORS = {
   composer: [
     'div[contenteditable="true"][data-placeholder]',
     '#prompt-textarea:not([class*="fallback"])',
@@ -39,13 +69,111 @@ const SELECTORS = {
     '[data-testid="continue-button"]'
   ].join(', '),
 
+  // Message cap banner ("You've reached our limit of messages... try again after 4:23 PM")
+  usageLimit: [
+    '[data-testid="usage-limit-banner"]',
+    '[data-testid*="rate-limit"]',
+    'div.text-token-text-error:has-text("limit")'
+  ].join(', '),
+
+  // Shown inside a reply whose generation failed, next to a Regenerate/Retry button
+  generationError: [
+    '[data-testid="generation-error"]',
+    '.text-token-text-error',
+    ':text("There was an error generating a response")',
+    ':text("Network error")'
+  ].join(', '),
+
+  regenerateButton: [
+    'button[data-testid="regenerate-button"]',
+    'button:has-text("Regenerate")',
+    'button:has-text("Retry")'
+  ].join(', '),
+
+  // Hidden <input type="file"> behind the composer's attach button
+  fileInput: 'input[type="file"]',
+
+  // Shown while an attachment is still uploading
+  uploadProgress: [
+    '[role="progressbar"]',
+    '[data-testid*="upload-progress"]',
+    'circle[stroke-dasharray]'
+  ].join(', '),
+
+  // Model picker dropdown (header) and its entries
+  modelPicker: [
+    'button[data-testid="model-switcher-dropdown-button"]',
+    'button[aria-label*="Model selector"]',
+    'button[aria-haspopup="menu"]:has-text("ChatGPT")'
+  ].join(', '),
+
+  modelOption: [
+    '[role="menuitem"][data-testid^="model-switcher-"]',
+    '[role="menuitemradio"]',
+    '[role="menu"] [role="menuitem"]'
+  ].join(', '),
+
+  // Composer tools menu ("+" button) that holds web search, deep research, etc.
+  toolsButton: [
+    'button[data-testid="composer-plus-btn"]',
+    'button[aria-label*="Choose tool"]',
+    'button[aria-label*="Tools"]'
+  ].join(', '),
+
+  toolOption: '[role="menuitem"], [role="menuitemradio"], [role="menuitemcheckbox"]',
+
   loginButton: [
     'button:has-text("Log in")',
     'button:has-text("Sign in")',
     'a[href*="/auth"]'
+  ].join(', '),
+
+  // Any blocking dialog; ones not in INTERSTITIALS fail the request
+  modal: [
+    '[role="dialog"][aria-modal="true"]',
+    '[role="alertdialog"]',
+    'dialog[open]'
   ].join(', ')
 };
 
+// Dialogs ChatGPT shows over the composer, and how to get rid of them
+/** @type {import('./interstitials.js').Interstitial[]} */
+const INTERSTITIALS = [
+  {
+    id: 'cookie-banner',
+    detect: 'div:has(> button:has-text("Reject non-essential"))',
+    click: 'button:has-text("Reject non-essential")'
+  },
+  {
+    id: 'onboarding',
+    detect: '[role="dialog"]:has-text("Tips for getting started"), [role="dialog"]:has-text("Welcome to ChatGPT")',
+    click: '[role="dialog"] button:has-text("Okay, let’s go"), [role="dialog"] button:has-text("Okay"), [role="dialog"] button:has-text("Get started")'
+  },
+  {
+    id: 'whats-new',
+    detect: '[role="dialog"]:has-text("What’s new"), [role="dialog"]:has-text("What\'s new"), [role="dialog"]:has-text("New features")',
+    click: '[role="dialog"] button:has-text("Got it"), [role="dialog"] button[aria-label="Close"]'
+  },
+  {
+    id: 'plan-upsell',
+    detect: '[role="dialog"]:has-text("Upgrade your plan"), [role="dialog"]:has-text("Try Plus")',
+    click: '[role="dialog"] button:has-text("Maybe later"), [role="dialog"] button:has-text("Stay on Free"), [role="dialog"] button[aria-label="Close"]'
+  },
+  {
+    id: 'still-there',
+    detect: '[role="dialog"]:has-text("Are you still there")',
+    click: '[role="dialog"] button:has-text("Yes"), [role="dialog"] button:has-text("Continue")'
+  }
+];
+
+/**
+ * Current selectors: the built-ins with any user overrides applied.
+ * @returns {Object<string, string>}
+ */
+export function selectors() {
+  return getSelectors('chatgpt', DEFAULT_SELECTORS);
+}
+
 /**
  * Find or create a ChatGPT page in the browser context.
  * @param {import('playwright').BrowserContext} context
@@ -78,145 +206,233 @@ export async function navigateToNewChat(page) {
 }
 
 /**
- * Send a prompt and wait for the response.
+ * Extract the conversation ID from a ChatGPT URL (/c/<id>).
  * @param {import('playwright').Page} page
- * @param {string} prompt
- * @param {object} opts
- * @param {number} opts.timeout - Max wait time in ms (default: 600000)
- * @returns {Promise<string>} The assistant's response text
+ * @returns {string|null} Conversation ID, or null if not in a conversation
  */
-export async function sendPromptAndWait(page, prompt, opts = {}) {
-  const timeout = opts.timeout ?? 600000;
-
-  // Check login state before attempting to fill composer
-  await assertLoggedIn(page);
-
-  // Use Locator which re-resolves on each action (no stale element issues)
-  const composer = page.locator(SELECTORS.composer).first();
-
-  // Wait for composer to be visible
-  await composer.waitFor({ state: 'visible', timeout: 15000 });
-
-  // Fill works on textarea, input, AND contenteditable
-  await composer.fill(prompt);
+export function getConversationId(page) {
+  const match = new URL(page.url()).pathname.match(/\/c\/([\w-]+)/);
+  return match ? match[1] : null;
+}
 
-  // Count assistant messages BEFORE sending to track our response
-  const assistantMsgs = page.locator(SELECTORS.assistantMessage);
-  const beforeCount = await assistantMsgs.count();
+/**
+ * Navigate to an existing conversation.
+ * @param {import('playwright').Page} page
+ * @param {string} conversationId
+ */
+export async function navigateToConversation(page, conversationId) {
+  if (!/^[\w-]+$/.test(conversationId)) {
+    throw relayError('INVALID_REQUEST', `Invalid conversation ID: ${conversationId}`);
+  }
+  if (getConversationId(page) === conversationId) {
+    return;
+  }
+  await page.goto(`${CHATGPT_URL}/c/${conversationId}`);
+  await page.waitForLoadState('domcontentloaded');
+}
 
-  // Wait for send button to be enabled, then click
-  const sendBtn = page.locator(SELECTORS.sendButton).first();
+/**
+ * Dismiss known dialogs, failing if an unknown modal is blocking the page.
+ * @param {import('playwright').Page} page
+ */
+export async function dismissInterstitials(page) {
+  await clearInterstitials(page, { interstitials: INTERSTITIALS, modalSelector: selectors().modal, name: 'chatgpt' });
+}
 
+/**
+ * Open the model picker and scrape its entries.
+ * Leaves the menu open; callers close it with Escape.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Array<{ id: string, label: string, selected: boolean, locator: import('playwright').Locator }>>}
+ */
+async function openModelMenu(page) {
+  const picker = page.locator(selectors().modelPicker).first();
   try {
-    // Wait for button to be clickable
-    await page.waitForFunction(
-      (sel) => {
-        const btn = document.querySelector(sel);
-        return btn && !btn.disabled && btn.getAttribute('aria-disabled') !== 'true';
-      },
-      SELECTORS.sendButton.split(', ')[0], // Use first selector for check
-      { timeout: 5000 }
-    ).catch(() => {});
-
-    if (await sendBtn.isVisible().catch(() => false)) {
-      await sendBtn.click({ timeout: 3000 });
-    } else {
-      await composer.press('Enter');
-    }
+    await picker.click({ timeout: 10000 });
   } catch {
-    // Fallback: press Enter
-    await composer.press('Enter');
+    throw relayError('UI_CHANGED', 'Model picker not found (ChatGPT UI may have changed)');
   }
 
-  // Wait for response to complete
-  const response = await waitForResponse(page, beforeCount, timeout);
-  return response;
+  const options = page.locator(selectors().modelOption);
+  await options.first().waitFor({ state: 'visible', timeout: 5000 }).catch(() => {});
+
+  const models = [];
+  for (const option of await options.all()) {
+    const label = (await option.innerText().catch(() => '')).split('\n')[0].trim();
+    if (!label) continue;
+    const testId = await option.getAttribute('data-testid').catch(() => null);
+    const checked = await option.getAttribute('aria-checked').catch(() => null);
+    models.push({
+      id: testId?.startsWith('model-switcher-') ? testId.slice('model-switcher-'.length) : label.toLowerCase(),
+      label,
+      selected: checked === 'true',
+      locator: option
+    });
+  }
+  return models;
 }
 
 /**
- * Wait for the assistant's response to complete.
- * Uses stop button lifecycle: visible (generating) -> hidden (done)
- * This is more reliable than counting DOM nodes for React SPAs.
+ * List the models the account can currently pick.
  * @param {import('playwright').Page} page
- * @param {number} beforeCount - Number of assistant messages before sending
- * @param {number} timeout - Max wait time in ms
- * @returns {Promise<string>}
+ * @returns {Promise<Array<{ id: string, label: string, selected: boolean }>>}
  */
-async function waitForResponse(page, beforeCount, timeout) {
-  const stopBtn = page.locator(SELECTORS.stopButton);
+export async function listModels(page) {
+  await assertLoggedIn(page);
+  await dismissInterstitials(page);
+  const models = await openModelMenu(page);
+  await page.keyboard.press('Escape');
+  return models.map(({ id, label, selected }) => ({ id, label, selected }));
+}
 
-  // Step 1: Wait for stop button to APPEAR (generation started)
-  console.log('[chatgpt] Waiting for generation to start...');
-  try {
-    await stopBtn.waitFor({ state: 'visible', timeout: 30000 });
-    console.log('[chatgpt] Generation started (stop button visible)');
-  } catch {
-    // Stop button might not appear for very fast responses, continue anyway
-    console.log('[chatgpt] Stop button not seen, continuing...');
+/**
+ * Select a model in the picker by ID (e.g. "gpt-4o") or label, case-insensitive.
+ * @param {import('playwright').Page} page
+ * @param {string} model
+ */
+export async function selectModel(page, model) {
+  const wanted = model.toLowerCase();
+  const models = await openModelMenu(page);
+  const match = models.find((m) => m.id.toLowerCase() === wanted || m.label.toLowerCase() === wanted);
+
+  if (!match) {
+    await page.keyboard.press('Escape');
+    const available = models.map((m) => m.id).join(', ') || 'none found';
+    throw relayError('INVALID_REQUEST', `Model not available: ${model} (available: ${available})`);
   }
 
-  // Step 2: Wait for stop button to DISAPPEAR (generation ended)
-  console.log('[chatgpt] Waiting for generation to complete...');
-  await stopBtn.waitFor({ state: 'hidden', timeout }).catch(() => {
-    console.log('[chatgpt] Stop button wait timed out');
-  });
-  console.log('[chatgpt] Generation complete');
+  console.log(`[chatgpt] Selecting model: ${match.label}`);
+  await match.locator.click();
+}
 
-  // Step 3: Get the last assistant message
-  const lastAssistant = page.locator(SELECTORS.assistantMessage).last();
+/**
+ * Turn on a tool mode (web search, reasoning, deep research) for the next message.
+ * @param {import('playwright').Page} page
+ * @param {string} mode - One of CHAT_MODES
+ */
+export async function selectMode(page, mode) {
+  const labels = MODE_LABELS[mode];
+  if (!labels) {
+    throw relayError('INVALID_REQUEST', `Unknown mode: ${mode} (expected one of: ${CHAT_MODES.join(', ')})`);
+  }
 
-  // Wait for it to be visible
+  const toolsBtn = page.locator(selectors().toolsButton).first();
   try {
-    await lastAssistant.waitFor({ state: 'visible', timeout: 10000 });
+    await toolsBtn.click({ timeout: 10000 });
   } catch {
-    throw new Error('No assistant message found after generation completed');
+    throw relayError('UI_CHANGED', 'Tools menu not found (ChatGPT UI may have changed)');
   }
 
-  // Step 4: Wait for text to stabilize (stops changing for ~1.5s)
-  console.log('[chatgpt] Waiting for response to stabilize...');
-  const startTime = Date.now();
-  let lastText = '';
-  let stableMs = 0;
-  const stabilityThreshold = 1500; // 1.5 seconds of no changes
-
-  while (Date.now() - startTime < timeout) {
-    // Check for error states
-    await checkErrorStates(page);
-
-    // Check for "Continue generating" button and click if present
-    const continueBtn = page.locator(SELECTORS.continueButton).first();
-    if (await continueBtn.isVisible({ timeout: 100 }).catch(() => false)) {
-      console.log('[chatgpt] Clicking "Continue generating"...');
-      await continueBtn.click().catch(() => {});
-      stableMs = 0;
-      await page.waitForTimeout(500);
-      continue;
+  for (const label of labels) {
+    const option = page.locator(selectors().toolOption).filter({ hasText: label }).first();
+    if (await option.isVisible({ timeout: 1000 }).catch(() => false)) {
+      console.log(`[chatgpt] Enabling mode: ${label}`);
+      await option.click();
+      return;
     }
+  }
 
-    const currentText = (await lastAssistant.innerText().catch(() => '')).trim();
-
-    if (currentText && currentText === lastText) {
-      stableMs += 250;
-      if (stableMs >= stabilityThreshold) {
-        console.log(`[chatgpt] Response stabilized (${currentText.length} chars)`);
-        return currentText;
-      }
-    } else {
-      stableMs = 0;
-      lastText = currentText;
-    }
+  await page.keyboard.press('Escape');
+  throw relayError('INVALID_REQUEST', `Mode not available: ${mode}`);
+}
 
-    await page.waitForTimeout(250);
+/**
+ * Send a prompt and wait for the response.
+ * @param {import('playwright').Page} page
+ * @param {string} prompt
+ * @param {object} opts
+ * @param {number} opts.timeout - Max wait time in ms (default: 600000)
+ * @param {string} opts.format - One of RESPONSE_FORMATS (default: 'text')
+ * @param {string[]} opts.attachments - Local file paths to upload with the prompt
+ * @param {string} opts.model - Model to select before sending (ID or label)
+ * @param {string} opts.mode - Tool mode to enable before sending (one of CHAT_MODES)
+ * @param {AbortSignal} opts.signal - Cancels the request; stops generation if already sent
+ * @param {function} opts.onEvent - Optional progress callback, receives
+ *   { type: 'start' | 'delta' | 'replace' | 'continue' | 'done', text? }
+ * @returns {Promise<string>} The assistant's response text
+ */
+export async function sendPromptAndWait(page, prompt, opts = {}) {
+  const format = opts.format ?? 'text';
+
+  if (!RESPONSE_FORMATS.includes(format)) {
+    throw relayError('INVALID_REQUEST', `Unknown response format: ${format}`);
   }
 
-  // Timeout - return whatever we have
-  const finalText = (await lastAssistant.innerText().catch(() => '')).trim();
-  if (finalText) {
-    console.log(`[chatgpt] Timeout but have partial response (${finalText.length} chars)`);
-    return finalText;
+  // Check login state before attempting to fill composer
+  await assertLoggedIn(page);
+  await dismissInterstitials(page);
+
+  if (opts.model) {
+    await selectModel(page, opts.model);
   }
 
-  throw new Error('Timeout waiting for ChatGPT response');
+  if (opts.mode) {
+    // The tools menu lives in the composer, so wait for it first
+    await page.locator(selectors().composer).first().waitFor({ state: 'visible', timeout: 15000 }).catch(() => {
+      throw relayError('UI_CHANGED', 'Composer not found (ChatGPT UI may have changed)');
+    });
+    await selectMode(page, opts.mode);
+  }
+
+  return sendAndWait(page, prompt, {
+    selectors: selectors(),
+    name: 'chatgpt',
+    checkErrorStates,
+    interstitials: INTERSTITIALS,
+    timeout: opts.timeout ?? 600000,
+    format,
+    attachments: opts.attachments ?? [],
+    onEvent: opts.onEvent ?? null,
+    signal: opts.signal ?? null
+  });
+}
+
+/**
+ * Regenerate the last reply after a failed generation and wait for it.
+ * @param {import('playwright').Page} page
+ * @param {object} opts - timeout, format, onEvent and signal, as for sendPromptAndWait
+ * @returns {Promise<string>} The assistant's response text
+ */
+export async function regenerate(page, opts = {}) {
+  await assertLoggedIn(page);
+
+  return regenerateResponse(page, {
+    selectors: selectors(),
+    name: 'chatgpt',
+    checkErrorStates,
+    interstitials: INTERSTITIALS,
+    timeout: opts.timeout ?? 600000,
+    format: opts.format ?? 'text',
+    onEvent: opts.onEvent ?? null,
+    signal: opts.signal ?? null
+  });
+}
+
+/**
+ * Click the stop button if a response is being generated.
+ * @param {import('playwright').Page} page
+ */
+export async function stopGeneration(page) {
+  await stopGenerationWith(page, { selectors: selectors(), name: 'chatgpt' });
+}
+
+/**
+ * Code blocks and cited sources of the last reply.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ codeBlocks: object[], sources: object[] }>}
+ */
+export async function extractStructured(page) {
+  return readStructured(page, { selectors: selectors() });
+}
+
+/**
+ * Download the images and files in the last reply.
+ * @param {import('playwright').Page} page
+ * @param {string} dir
+ * @returns {Promise<import('./artifacts.js').Artifact[]>}
+ */
+export async function downloadArtifacts(page, dir) {
+  return downloadArtifactsWith(page, dir, { selectors: selectors(), name: 'chatgpt', fileHosts: FILE_HOSTS });
 }
 
 /**
@@ -232,7 +448,7 @@ export async function isLoggedIn(page) {
   }
 
   // Check for login button on page
-  const loginBtn = page.locator(SELECTORS.loginButton).first();
+  const loginBtn = page.locator(selectors().loginButton).first();
   if (await loginBtn.isVisible({ timeout: 500 }).catch(() => false)) {
     return false;
   }
@@ -246,7 +462,7 @@ export async function isLoggedIn(page) {
  */
 export async function assertLoggedIn(page) {
   if (!(await isLoggedIn(page))) {
-    throw new Error('Not logged in to ChatGPT. Run "ask-question-login" first.');
+    throw relayError('NOT_LOGGED_IN', 'Not logged in to ChatGPT. Run "ask-question-login" first.');
   }
 }
 
@@ -259,9 +475,40 @@ async function checkErrorStates(page) {
   await assertLoggedIn(page);
 
   // Check for error toast
-  const errorToast = page.locator(SELECTORS.errorToast).first();
+  const errorToast = page.locator(selectors().errorToast).first();
   if (await errorToast.isVisible({ timeout: 100 }).catch(() => false)) {
-    const errorText = await errorToast.innerText().catch(() => 'Unknown error');
-    throw new Error(`ChatGPT error: ${errorText.trim()}`);
+    const errorText = (await errorToast.innerText().catch(() => 'Unknown error')).trim();
+    if (RATE_LIMIT_PATTERN.test(errorText)) {
+      const retryAt = parseRetryAt(errorText);
+      throw relayError('RATE_LIMITED', `ChatGPT error: ${errorText}`, retryAt ? { retryAt: retryAt.toISOString() } : {});
+    }
+    throw relayError('CHATGPT_ERROR', `ChatGPT error: ${errorText}`, { transient: isTransientMessage(errorText) });
   }
 }
+
+/**
+ * Provider adapter (see providers.js).
+ * @type {import('./providers.js').Provider}
+ */
+export const provider = {
+  name: 'chatgpt',
+  label: 'ChatGPT',
+  url: CHATGPT_URL,
+  // Chat history sidebar only renders once logged in
+  loginDetectedSelector: 'nav[aria-label="Chat history"]',
+  isAuthUrl: (url) => url.includes('/auth') || url.includes('login.') || url.includes('auth0'),
+  modes: CHAT_MODES,
+  // The composer rejects longer messages ("The message you submitted was too long")
+  maxMessageChars: 32000,
+  isLoggedIn,
+  navigateToNewChat,
+  navigateToConversation,
+  getConversationId,
+  sendPromptAndWait,
+  regenerate,
+  stopGeneration,
+  extractStructured,
+  downloadArtifacts,
+  listModels,
+  selectors
+};
@@ -0,0 +1,281 @@
+/**
+ * Claude.ai provider: DOM automation for claude.ai.
+ * Shares the send/wait/extract flow in automation.js; only the selectors,
+ * URLs and login detection are specific to Claude.ai.
+ */
+
+import {
+  RESPONSE_FORMATS,
+  sendAndWait,
+  regenerateResponse,
+  readStructured,
+  downloadArtifacts as downloadArtifactsWith,
+  stopGeneration as stopGenerationWith
+} from './automation.js';
+import { getSelectors } from './selectors.js';
+import { relayError } from './errors.js';
+import { parseRetryAt, isTransientMessage } from './retry.js';
+
+const CLAUDE_URL = 'https://claude.ai';
+
+// Selectors - grouped for easy maintenance when the Claude.ai UI changes
+const DEFAULT_SELECTORS = {
+  composer: [
+    'div[contenteditable="true"].ProseMirror',
+    'div[contenteditable="true"][aria-label*="prompt"]',
+    'fieldset div[contenteditable="true"]'
+  ].join(', '),
+
+  sendButton: [
+    'button[aria-label="Send message"]',
+    'button[aria-label*="Send"]'
+  ].join(', '),
+
+  stopButton: 'button[aria-label="Stop response"], button[aria-label*="Stop"]',
+
+  assistantMessage: '.font-claude-message, [data-is-streaming] .font-claude-response',
+
+  errorToast: [
+    '[data-testid="error-toast"]',
+    '[role="alert"]'
+  ].join(', '),
+
+  fileInput: 'input[type="file"][data-testid="file-upload"], input[type="file"]',
+
+  uploadProgress: '[role="progressbar"], [data-testid*="uploading"]',
+
+  // "You are out of free messages until 5:00 PM"
+  usageLimit: '[data-testid="message-limit-banner"], div:text-matches("out of .*messages until", "i")',
+
+  // "Claude's response was interrupted" / "Claude will return soon", with a Retry button
+  generationError: ':text("response was interrupted"), :text("will return soon"), :text("Network error")',
+
+  regenerateButton: 'button:has-text("Retry")',
+
+  loginButton: [
+    'button:has-text("Continue with Google")',
+    'button:has-text("Continue with email")',
+    'a[href="/login"]'
+  ].join(', '),
+
+  // Any blocking dialog; ones not in INTERSTITIALS fail the request
+  modal: '[role="dialog"][aria-modal="true"], [role="alertdialog"], dialog[open]'
+};
+
+// Dialogs Claude.ai shows over the composer, and how to get rid of them
+/** @type {import('./interstitials.js').Interstitial[]} */
+const INTERSTITIALS = [
+  {
+    id: 'cookie-banner',
+    detect: '[role="dialog"]:has-text("cookies")',
+    click: '[role="dialog"] button:has-text("Accept All Cookies"), [role="dialog"] button:has-text("Reject")'
+  },
+  {
+    id: 'whats-new',
+    detect: '[role="dialog"]:has-text("What’s new"), [role="dialog"]:has-text("What\'s new")',
+    click: '[role="dialog"] button:has-text("Got it"), [role="dialog"] button[aria-label="Close"]'
+  }
+];
+
+/**
+ * Current selectors: the built-ins with any user overrides applied.
+ * @returns {Object<string, string>}
+ */
+export function selectors() {
+  return getSelectors('claude', DEFAULT_SELECTORS);
+}
+
+/**
+ * Navigate to a fresh chat.
+ * @param {import('playwright').Page} page
+ */
+export async function navigateToNewChat(page) {
+  if (page.url() !== `${CLAUDE_URL}/new`) {
+    await page.goto(`${CLAUDE_URL}/new`);
+    await page.waitForLoadState('domcontentloaded');
+  }
+}
+
+/**
+ * Extract the conversation ID from a Claude.ai URL (/chat/<uuid>).
+ * @param {import('playwright').Page} page
+ * @returns {string|null} Conversation ID, or null if not in a conversation
+ */
+export function getConversationId(page) {
+  const match = new URL(page.url()).pathname.match(/\/chat\/([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Navigate to an existing conversation.
+ * @param {import('playwright').Page} page
+ * @param {string} conversationId
+ */
+export async function navigateToConversation(page, conversationId) {
+  if (!/^[\w-]+$/.test(conversationId)) {
+    throw relayError('INVALID_REQUEST', `Invalid conversation ID: ${conversationId}`);
+  }
+  if (getConversationId(page) === conversationId) {
+    return;
+  }
+  await page.goto(`${CLAUDE_URL}/chat/${conversationId}`);
+  await page.waitForLoadState('domcontentloaded');
+}
+
+/**
+ * Check if the user is logged in to Claude.ai.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<boolean>}
+ */
+export async function isLoggedIn(page) {
+  if (isAuthUrl(page.url())) {
+    return false;
+  }
+
+  const loginBtn = page.locator(selectors().loginButton).first();
+  if (await loginBtn.isVisible({ timeout: 500 }).catch(() => false)) {
+    return false;
+  }
+
+  return true;
+}
+
+function isAuthUrl(url) {
+  const { pathname } = new URL(url);
+  return pathname.startsWith('/login') || pathname.startsWith('/magic-link');
+}
+
+async function assertLoggedIn(page) {
+  if (!(await isLoggedIn(page))) {
+    throw relayError('NOT_LOGGED_IN', 'Not logged in to Claude.ai. Run "ask-question-login --provider claude" first.');
+  }
+}
+
+/**
+ * Check for error states and throw descriptive errors.
+ * @param {import('playwright').Page} page
+ */
+async function checkErrorStates(page) {
+  await assertLoggedIn(page);
+
+  const errorToast = page.locator(selectors().errorToast).first();
+  if (await errorToast.isVisible({ timeout: 100 }).catch(() => false)) {
+    const errorText = (await errorToast.innerText().catch(() => 'Unknown error')).trim();
+    if (/rate limit|too many|message limit|out of .*messages/i.test(errorText)) {
+      const retryAt = parseRetryAt(errorText);
+      throw relayError('RATE_LIMITED', `Claude.ai error: ${errorText}`, retryAt ? { retryAt: retryAt.toISOString() } : {});
+    }
+    throw relayError('CHATGPT_ERROR', `Claude.ai error: ${errorText}`, { transient: isTransientMessage(errorText) });
+  }
+}
+
+/**
+ * Send a prompt and wait for the response.
+ * Takes the same options as chatgpt.js's sendPromptAndWait; model and mode
+ * selection are not supported yet.
+ * @param {import('playwright').Page} page
+ * @param {string} prompt
+ * @param {object} opts
+ * @returns {Promise<string>} The assistant's response text
+ */
+export async function sendPromptAndWait(page, prompt, opts = {}) {
+  const format = opts.format ?? 'text';
+
+  if (!RESPONSE_FORMATS.includes(format)) {
+    throw relayError('INVALID_REQUEST', `Unknown response format: ${format}`);
+  }
+  if (opts.model) {
+    throw relayError('INVALID_REQUEST', 'Model selection is not supported for Claude.ai');
+  }
+  if (opts.mode) {
+    throw relayError('INVALID_REQUEST', 'Tool modes are not supported for Claude.ai');
+  }
+
+  await assertLoggedIn(page);
+
+  return sendAndWait(page, prompt, {
+    selectors: selectors(),
+    name: 'claude',
+    checkErrorStates,
+    interstitials: INTERSTITIALS,
+    timeout: opts.timeout ?? 600000,
+    format,
+    attachments: opts.attachments ?? [],
+    onEvent: opts.onEvent ?? null,
+    signal: opts.signal ?? null
+  });
+}
+
+/**
+ * Retry the last reply after a failed generation and wait for it.
+ * @param {import('playwright').Page} page
+ * @param {object} opts - timeout, format, onEvent and signal, as for sendPromptAndWait
+ * @returns {Promise<string>} The assistant's response text
+ */
+export async function regenerate(page, opts = {}) {
+  await assertLoggedIn(page);
+
+  return regenerateResponse(page, {
+    selectors: selectors(),
+    name: 'claude',
+    checkErrorStates,
+    interstitials: INTERSTITIALS,
+    timeout: opts.timeout ?? 600000,
+    format: opts.format ?? 'text',
+    onEvent: opts.onEvent ?? null,
+    signal: opts.signal ?? null
+  });
+}
+
+/**
+ * Click the stop button if a response is being generated.
+ * @param {import('playwright').Page} page
+ */
+export async function stopGeneration(page) {
+  await stopGenerationWith(page, { selectors: selectors(), name: 'claude' });
+}
+
+/**
+ * Code blocks and cited sources of the last reply.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ codeBlocks: object[], sources: object[] }>}
+ */
+export async function extractStructured(page) {
+  return readStructured(page, { selectors: selectors() });
+}
+
+/**
+ * Download the images and files in the last reply.
+ * @param {import('playwright').Page} page
+ * @param {string} dir
+ * @returns {Promise<import('./artifacts.js').Artifact[]>}
+ */
+export async function downloadArtifacts(page, dir) {
+  return downloadArtifactsWith(page, dir, { selectors: selectors(), name: 'claude' });
+}
+
+/**
+ * Provider adapter (see providers.js).
+ * @type {import('./providers.js').Provider}
+ */
+export const provider = {
+  name: 'claude',
+  label: 'Claude.ai',
+  url: `${CLAUDE_URL}/new`,
+  // Recent chats sidebar link only renders once logged in
+  loginDetectedSelector: 'a[href="/recents"], nav a[href^="/chat/"]',
+  isAuthUrl,
+  modes: [],
+  maxMessageChars: 100000,
+  isLoggedIn,
+  navigateToNewChat,
+  navigateToConversation,
+  getConversationId,
+  sendPromptAndWait,
+  regenerate,
+  stopGeneration,
+  extractStructured,
+  downloadArtifacts,
+  listModels: null,
+  selectors
+};
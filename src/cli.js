@@ -8,38 +8,167 @@
 
 import fs from 'node:fs';
 import { spawn } from 'node:child_process';
+import { pipeline } from 'node:stream/promises';
 import { parseArgs } from 'node:util';
+import path from 'node:path';
+import { threadKey, getLastConversation, saveLastConversation } from './threads.js';
+import { discoverSessionId } from './session.js';
+import { completionPayload, isValidWebhookUrl, postWebhook } from './webhook.js';
+import { formatReport, reportOk } from './doctor.js';
+import { ERROR_CODES, relayError, errorFromBody, exitCode } from './errors.js';
+import { request, readEvents, SERVER_URL, SOCKET_PATH } from './client.js';
+import { formatRetry } from './retry.js';
+import { loadManifest, readBatchState, writeBatchState, pendingItems } from './manifest.js';
+import { queryHistory, getHistoryRecord, parseSince, formatHistoryLine, historyToMarkdown } from './history.js';
+import { PROVIDERS, DEFAULT_PROVIDER, stateDir } from './providers.js';
+import { expandContext, bundleContext, splitPrompt, messageLimit } from './context.js';
+import { codeBlockFiles, formatSources } from './extract.js';
+import { uniqueFileName } from './artifacts.js';
 
-const SERVER_URL = process.env.ASK_QUESTION_SERVER_URL || 'http://127.0.0.1:3033';
+const STATE_DIR = stateDir();
+const THREADS_FILE = path.join(STATE_DIR, 'threads.json');
+const HISTORY_FILE = process.env.ASK_QUESTION_HISTORY_FILE || path.join(STATE_DIR, 'history.jsonl');
+const WEBHOOK_URL = process.env.ASK_QUESTION_WEBHOOK_URL || null;
+const JOB_POLL_INTERVAL_MS = 2000;
+const COMMANDS = new Set(['status', 'wait', 'cancel', 'models', 'doctor', 'batch', 'history']);
+
+/**
+ * Key for remembering the last conversation (--continue). Conversation IDs
+ * belong to one site, so each provider gets its own slot; ChatGPT keeps the
+ * bare thread key so existing threads.json entries still resolve.
+ * @param {string|null} provider
+ * @returns {string}
+ */
+function conversationKey(provider) {
+  const key = threadKey();
+  return provider && provider !== 'chatgpt' ? `${key}:${provider}` : key;
+}
 
 function usage() {
   console.log(`Usage: ask-question [options] [prompt...]
+       ask-question status [job-id]
+       ask-question wait <job-id> [options]
+       ask-question cancel <job-id>
+       ask-question models [--provider <name>]
+       ask-question doctor [--provider <name>] [--dry-run]
+       ask-question batch <manifest> [options]
+       ask-question history list|show <id>|search <text>|export [options]
+
+Send a prompt to ChatGPT (or another chat site) and get the response.
 
-Send a prompt to ChatGPT and get the response.
+Commands:
+  status [job-id]       Show a job's status (or list recent jobs)
+  wait <job-id>         Wait for a job to finish and output its response
+  cancel <job-id>       Cancel a queued or running job
+  models                List models available to the logged-in account
+  doctor                Check which selectors match the live page, and login state
+                        (--dry-run also types into the composer without sending)
+  batch <manifest>      Run many prompts: a directory of *-question.md files (answers
+                        go to *-answer.md) or a JSONL file of {"prompt"|"file", "id",
+                        "output", "thread", "newChat", ...} lines. Answered items are
+                        skipped, so rerun it to resume; items sharing a "thread" run in
+                        order in one conversation. --force reruns answered items,
+                        --report <path> saves a JSON summary
+  history list          Recent requests the server handled (--limit, --since, --provider)
+  history show <id>     A request's prompt, response and details (--format json)
+  history search <text> Requests whose prompt, response or error contain all the words
+  history export [text] All (or matching) requests as Markdown or JSON (--format md|json,
+                        -o <path>); --since takes a date (2026-10-13) or age (7d, 36h)
 
 Options:
-  -f, --file <path>     Read prompt from file
+  -f, --file <path>     Read prompt from file; repeat it, or give a prompt too, to bundle
+                        the files as context instead
+  --context <glob>      Bundle matching files (or a directory) into the prompt, each
+                        under its path in a code fence; repeatable. Prompts over the
+                        site's message limit are sent in parts in one conversation
   -o, --output <path>   Write response to file
+  --extract-code <dir>  Write each code block in the response to its own file
+                        (block-1.py, block-2.sh, ...)
+  --sources             Print the sources the response cites after it
+  --artifacts-dir <dir> Download generated images and files (charts, CSVs, zips...)
+                        from the response into this directory
   -t, --timeout <ms>    Response timeout (default: 600000 / 10 min)
   --new-chat            Start a new chat (don't reuse existing)
+  -p, --provider <name> Chat site: chatgpt or claude (default: chatgpt)
+  --conversation <id>   Continue the given conversation
+  --continue            Continue the last conversation used from this session/shell
+  --async               Queue the prompt and print a job ID without waiting
+  -a, --attach <path>   Attach a file (image, PDF, log...); repeatable
+  -m, --model <name>    Select a model before sending (see: ask-question models)
+  --mode <mode>         Enable a tool: search, reasoning or deep-research
+  --format <fmt>        Response format: text, markdown or html (default: text)
+  --retries <n>         Retries after transient failures (default: server's, 2);
+                        --async jobs also wait out usage limits
+  --cache-ttl <age>     Accept a cached answer to the same prompt and options up to
+                        this old (ms, or 30m, 12h, 7d), and cache this one
+  --no-cache            Always ask, even if the server caches answers
+  --stream              Print the response live as it is generated
+  --webhook <url>       Notify this URL when the answer is ready or fails
+                        (default: $ASK_QUESTION_WEBHOOK_URL)
   -h, --help            Show this help
 
 Examples:
   ask-question "What is the capital of France?"
-  ask-question -f question.md -o answer.md
+  ask-question -f question.md -o answer.md --format markdown
   echo "Explain async/await" | ask-question
+  ask-question -m gpt-4o --mode search "Latest Node.js LTS release?"
+  ask-question -a error.log -a screenshot.png "Why does this crash?"
+  ask-question --new-chat "Compare Bazel and Buck"
+  ask-question -p claude "Review this plan" -f plan.md
+  ask-question --continue "Which has better remote caching?"
+  ask-question --async -f question.md
+  ask-question wait <job-id> -o answer.md
+  ask-question batch research/ --format markdown
+  ask-question history search bazel remote caching --since 14d
+
+Exit codes:
+  0   Success
+${Object.entries(ERROR_CODES).map(([code, info]) => `  ${String(info.exitCode).padEnd(3)} ${code.padEnd(19)} ${info.description}`).join('\n')}
 `);
   process.exit(0);
 }
 
+/**
+ * Parse a duration: milliseconds, or a number with a unit (30s, 30m, 12h, 7d).
+ * @returns {number} ms, or NaN if it isn't one
+ */
+function parseDuration(value) {
+  const match = /^(\d+)(ms|s|m|h|d)?$/.exec(value.trim());
+  if (!match) return NaN;
+  const unitMs = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2] || 'ms'];
+  return Number(match[1]) * unitMs;
+}
+
 function parseCLIArgs(args) {
   const { values, positionals } = parseArgs({
     args,
     options: {
-      file: { type: 'string', short: 'f' },
+      file: { type: 'string', short: 'f', multiple: true },
+      context: { type: 'string', multiple: true },
       output: { type: 'string', short: 'o' },
       timeout: { type: 'string', short: 't' },
+      provider: { type: 'string', short: 'p' },
       'new-chat': { type: 'boolean' },
+      conversation: { type: 'string' },
+      continue: { type: 'boolean' },
+      async: { type: 'boolean' },
+      attach: { type: 'string', short: 'a', multiple: true },
+      model: { type: 'string', short: 'm' },
+      mode: { type: 'string' },
+      format: { type: 'string' },
+      retries: { type: 'string' },
+      'cache-ttl': { type: 'string' },
+      'no-cache': { type: 'boolean' },
+      'extract-code': { type: 'string' },
+      sources: { type: 'boolean' },
+      'artifacts-dir': { type: 'string' },
+      stream: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      force: { type: 'boolean' },
+      report: { type: 'string' },
+      limit: { type: 'string' },
+      since: { type: 'string' },
+      webhook: { type: 'string' },
       help: { type: 'boolean', short: 'h' },
     },
     allowPositionals: true,
@@ -50,15 +179,77 @@ function parseCLIArgs(args) {
     usage();
   }
 
+  const command = COMMANDS.has(positionals[0]) ? positionals.shift() : null;
+
   return {
+    command,
     prompt: positionals.join(' ') || null,
-    file: values.file ?? null,
+    files: values.file ?? [],
+    context: values.context ?? [],
     output: values.output ?? null,
     timeout: values.timeout ? parseInt(values.timeout, 10) : 600000,
-    newChat: values['new-chat'] ?? false
+    provider: values.provider ?? null,
+    newChat: values['new-chat'] ?? false,
+    conversation: values.conversation ?? null,
+    continue: values.continue ?? false,
+    async: values.async ?? false,
+    attach: (values.attach ?? []).map((file) => path.resolve(file)),
+    model: values.model ?? null,
+    mode: values.mode ?? null,
+    format: values.format ?? null,
+    retries: values.retries !== undefined ? parseInt(values.retries, 10) : null,
+    cacheTtl: values['cache-ttl'] !== undefined ? parseDuration(values['cache-ttl']) : null,
+    noCache: values['no-cache'] ?? false,
+    extractCode: values['extract-code'] ? path.resolve(values['extract-code']) : null,
+    sources: values.sources ?? false,
+    artifactsDir: values['artifacts-dir'] ? path.resolve(values['artifacts-dir']) : null,
+    stream: values.stream ?? false,
+    dryRun: values['dry-run'] ?? false,
+    force: values.force ?? false,
+    report: values.report ?? null,
+    limit: values.limit !== undefined ? parseInt(values.limit, 10) : null,
+    since: values.since ?? null,
+    webhook: values.webhook ?? WEBHOOK_URL
   };
 }
 
+/**
+ * Bundle the files matching --context / -f patterns with the question.
+ * Binary files are skipped with a warning.
+ * @returns {string}
+ */
+function readContext(patterns, question) {
+  const files = [];
+  for (const file of expandContext(patterns)) {
+    const content = fs.readFileSync(file);
+    const shown = path.relative(process.cwd(), file) || file;
+    if (content.includes(0)) {
+      console.error(`[ask-question] Skipping binary file: ${shown}`);
+      continue;
+    }
+    files.push({ path: shown, content: content.toString('utf8') });
+  }
+  if (files.length === 0) {
+    throw relayError('INVALID_REQUEST', 'No text files to bundle');
+  }
+  console.error(`[ask-question] Bundled ${files.length} file(s) as context`);
+  return bundleContext(files, question);
+}
+
+/**
+ * Warn before sending a prompt the server will have to split into parts.
+ * @param {string} prompt
+ * @param {import('./providers.js').Provider} provider - undefined if unknown (the server rejects it)
+ */
+function warnIfLong(prompt, provider) {
+  if (!provider) return;
+  const limit = messageLimit(provider);
+  if (prompt.length <= limit) return;
+  const parts = splitPrompt(prompt, limit).length;
+  console.error(`[ask-question] Warning: prompt is ${prompt.length} chars, over ${provider.label}'s ${limit}-char message limit; ` +
+    `it will be sent as ${parts} parts in one conversation`);
+}
+
 async function readStdin() {
   if (process.stdin.isTTY) return null;
 
@@ -82,92 +273,750 @@ function pbcopy(text) {
 }
 
 async function askServer(prompt, opts = {}) {
-  const { timeout = 600000, newChat = false } = opts;
+  const { timeout = 600000, ...rest } = opts;
 
-  const res = await fetch(`${SERVER_URL}/ask`, {
+  const res = await request('/ask', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ prompt, timeout, newChat }),
+    body: JSON.stringify({ prompt, timeout, ...rest }),
     signal: AbortSignal.timeout(timeout + 10000) // Extra buffer for HTTP overhead
   });
 
   const data = await res.json();
 
   if (!data.ok) {
-    throw new Error(data.error || 'Unknown server error');
+    throw errorFromBody(data);
   }
 
-  return data.text;
+  const { ok, queue, ...response } = data;
+  return { ...response, conversationId: data.conversationId ?? null, attempts: data.attempts ?? [] };
 }
 
+/**
+ * Ask via the streaming endpoint, writing text to stdout as it arrives.
+ * @returns {Promise<{ text: string, conversationId: string|null }>} The final response
+ */
+async function askServerStream(prompt, opts = {}) {
+  const { timeout = 600000, ...rest } = opts;
+
+  const res = await request('/ask?stream=1', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt, timeout, ...rest }),
+    signal: AbortSignal.timeout(timeout + 10000)
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw errorFromBody(data, `Server returned ${res.status}`);
+  }
+
+  let printed = '';
+  for await (const { event, data } of readEvents(res.body)) {
+    if (event === 'queued') {
+      if (data.position > 0) {
+        console.error(`[ask-question] Queued at position ${data.position} (ETA ~${Math.round(data.etaMs / 1000)}s)`);
+      }
+    } else if (event === 'part') {
+      console.error(`[ask-question] Sending part ${data.part} of ${data.parts}...`);
+    } else if (event === 'start') {
+      console.error('[ask-question] Generating...');
+    } else if (event === 'delta') {
+      process.stdout.write(data.text);
+      printed += data.text;
+    } else if (event === 'replace') {
+      // Already-printed text can't be taken back; print only what was appended
+      if (data.text.startsWith(printed)) {
+        process.stdout.write(data.text.slice(printed.length));
+        printed = data.text;
+      }
+    } else if (event === 'continue') {
+      console.error('\n[ask-question] Clicked "Continue generating"');
+    } else if (event === 'retry') {
+      // The next attempt streams from the start
+      if (printed) process.stdout.write('\n');
+      printed = '';
+      console.error(`[ask-question] ${formatRetry(data)}`);
+    } else if (event === 'done') {
+      if (data.text.startsWith(printed)) {
+        process.stdout.write(data.text.slice(printed.length));
+      } else {
+        console.error('\n[ask-question] Warning: Streamed output differs from final response; use -o for the exact text');
+      }
+      process.stdout.write('\n');
+      return { ...data, conversationId: data.conversationId ?? null, attempts: data.attempts ?? [] };
+    } else if (event === 'error') {
+      throw errorFromBody(data);
+    }
+  }
+
+  throw new Error('Stream ended before response completed');
+}
+
+async function submitJob(prompt, opts = {}) {
+  const { timeout = 600000, ...rest } = opts;
+
+  const res = await request('/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt, timeout, ...rest }),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  const data = await res.json();
+
+  if (!data.ok) {
+    throw errorFromBody(data);
+  }
+
+  return data;
+}
+
+async function fetchJobs(id) {
+  const url = id ? `/jobs/${encodeURIComponent(id)}` : '/jobs';
+  const res = await request(url, { signal: AbortSignal.timeout(10000) });
+  const data = await res.json();
+
+  if (!data.ok) {
+    throw errorFromBody(data);
+  }
+
+  return id ? data.job : data.jobs;
+}
+
+async function waitForJob(id) {
+  let lastStatus = null;
+  for (;;) {
+    const job = await fetchJobs(id);
+    if (job.status === 'done') {
+      const { text, conversationId = null, attempts = [], codeBlocks, sources, artifacts, cached, cachedAt } = job;
+      return { text, conversationId, attempts, codeBlocks, sources, artifacts, cached, cachedAt };
+    }
+    if ((job.status === 'parked' || job.status === 'retrying') && job.status !== lastStatus) {
+      const action = job.status === 'parked' ? 'park' : 'retry';
+      const delayMs = Date.parse(job.retryAt) - Date.now();
+      console.error(`[ask-question] ${formatRetry({ action, retryAt: job.retryAt, delayMs, code: job.errorCode, error: job.error })}`);
+    }
+    lastStatus = job.status;
+    if (job.status === 'error' || job.status === 'cancelled') {
+      const code = job.errorCode || (job.status === 'cancelled' ? 'CANCELLED' : 'INTERNAL');
+      throw relayError(code, job.error || `Job ${job.status}`, {
+        partialText: job.text ?? undefined,
+        retryAt: job.retryAt ?? undefined,
+        attempts: job.attempts ?? undefined
+      });
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+}
+
+function formatJobLine(job) {
+  const preview = job.prompt.replace(/\s+/g, ' ').slice(0, 60);
+  return `${job.id}  ${job.status.padEnd(8)}  ${job.createdAt}  ${preview}`;
+}
+
+/**
+ * Fetch the server's /health.
+ * @returns {Promise<object|null>} Its body (an error body if the server refused
+ *   the request), or null if the server can't be reached
+ */
 async function checkServerHealth() {
   try {
-    const res = await fetch(`${SERVER_URL}/health`, {
+    const res = await request('/health', {
       signal: AbortSignal.timeout(2000)
     });
-    const data = await res.json();
-    return data.ok === true;
+    return await res.json();
   } catch {
-    return false;
+    return null;
+  }
+}
+
+/**
+ * Print the response, save it to --output, copy it to the clipboard, and
+ * remember its conversation for --continue.
+ */
+async function deliverResponse({ text: response, conversationId, attempts = [], codeBlocks, sources, artifacts, cached, cachedAt, coalesced }, args, { printed = false } = {}) {
+  // Output response (unless it was already streamed)
+  if (!printed) {
+    console.log(response);
+  }
+
+  if (args.sources && sources) {
+    if (sources.length > 0) console.log(`\nSources:\n${formatSources(sources)}`);
+    else console.error('[ask-question] The response cites no sources');
+  }
+
+  if (args.extractCode && codeBlocks) {
+    fs.mkdirSync(args.extractCode, { recursive: true });
+    for (const { name, code } of codeBlockFiles(codeBlocks)) {
+      fs.writeFileSync(path.join(args.extractCode, name), code, 'utf8');
+    }
+    console.error(`[ask-question] Wrote ${codeBlocks.length} code block(s) to ${args.extractCode}`);
+  }
+
+  if (args.artifactsDir && artifacts) {
+    await saveArtifacts(artifacts, args.artifactsDir);
+  }
+
+  if (cached) {
+    console.error(`[ask-question] Cached answer from ${new Date(cachedAt).toLocaleString()} (--no-cache to ask again)`);
+  } else if (coalesced) {
+    console.error('[ask-question] Shared the answer to an identical request that was already running');
+  }
+
+  if (attempts.length > 1) {
+    const failed = attempts.filter((a) => !a.ok).map((a) => a.code).join(', ');
+    console.error(`[ask-question] Succeeded after ${attempts.length} attempts (earlier: ${failed})`);
+  }
+
+  if (conversationId) {
+    saveLastConversation(THREADS_FILE, conversationKey(args.provider), conversationId);
+    console.error(`[ask-question] Conversation: ${conversationId}`);
+  }
+
+  // Save to file if specified
+  if (args.output) {
+    fs.writeFileSync(args.output, response, 'utf8');
+    console.error(`[ask-question] Response saved to: ${args.output}`);
+  }
+
+  // Copy to clipboard
+  try {
+    await pbcopy(response);
+    console.error('[ask-question] Response copied to clipboard');
+  } catch (e) {
+    console.error(`[ask-question] Warning: Could not copy to clipboard: ${e.message}`);
+  }
+}
+
+/**
+ * Download the artifacts the server saved into dir and list them.
+ * Failures only warn; the response itself has already been delivered.
+ * @param {import('./artifacts.js').Artifact[]} artifacts
+ * @param {string} dir
+ */
+async function saveArtifacts(artifacts, dir) {
+  if (artifacts.length === 0) {
+    console.error('[ask-question] The response has no images or files to download');
+    return;
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const artifact of artifacts) {
+    if (artifact.error) {
+      console.error(`[ask-question] Warning: Could not download ${artifact.name}: ${artifact.error}`);
+      continue;
+    }
+    const dest = path.join(dir, uniqueFileName(dir, artifact.name));
+    try {
+      const res = await request(artifact.url);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw errorFromBody(data, `Server returned ${res.status}`);
+      }
+      await pipeline(res.body, fs.createWriteStream(dest));
+      console.error(`[ask-question] Saved ${artifact.kind}: ${dest} (${artifact.mimeType}, ${artifact.size} bytes)`);
+    } catch (e) {
+      fs.rmSync(dest, { force: true });
+      console.error(`[ask-question] Warning: Could not download ${artifact.name}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Tell the webhook (e.g. Claude-Code-Remote /research-complete) the outcome.
+ * Failures only warn; the answer itself has already been delivered.
+ */
+async function notifyWebhook(args, { status, error, code, conversationId }) {
+  if (!args.webhook) return;
+
+  const payload = completionPayload({
+    sessionId: discoverSessionId(),
+    answerFile: args.output ? path.resolve(args.output) : null,
+    status,
+    error,
+    code,
+    conversationId,
+    source: args.provider ?? undefined
+  });
+
+  try {
+    await postWebhook(args.webhook, payload);
+    console.error(`[ask-question] Notified ${args.webhook}`);
+  } catch (e) {
+    console.error(`[ask-question] Warning: Could not notify webhook: ${e.message}`);
+  }
+}
+
+/**
+ * Print a failed request's error. A response cut off by the timeout is still
+ * delivered (printed, saved to --output) so the caller can use what arrived;
+ * the exit code tells it the text is incomplete.
+ */
+async function reportFailure(e, args, { printed = false } = {}) {
+  console.error(`[ask-question] Error${e.code ? ` (${e.code})` : ''}: ${e.message}`);
+  if (e.attempts?.length > 1) {
+    console.error(`[ask-question] Gave up after ${e.attempts.length} attempts`);
+  }
+  if (e.retryAt) {
+    console.error(`[ask-question] Usage limit resets at ${new Date(e.retryAt).toLocaleString()} (--async jobs wait for it)`);
+  }
+  if (e.code === 'PARTIAL_RESPONSE' && e.partialText) {
+    if (printed) process.stdout.write('\n');
+    await deliverResponse({ text: e.partialText, conversationId: null }, args, { printed });
+    console.error(`[ask-question] Warning: Response is incomplete (${e.partialText.length} chars received before the timeout)`);
+  }
+}
+
+async function requireServer() {
+  const health = await checkServerHealth();
+  if (health && !health.ok && health.code) {
+    const error = errorFromBody(health);
+    console.error(`Error: Server refused the request: ${error.message}`);
+    if (error.code === 'UNAUTHORIZED') {
+      console.error('Set ASK_QUESTION_TOKEN (or ASK_QUESTION_TOKEN_FILE) to the token the server generated.');
+    }
+    process.exit(exitCode(error));
+  }
+  if (health?.ok !== true) {
+    console.error(`Error: Server not running or not responding (${SOCKET_PATH ? `unix:${SOCKET_PATH}` : SERVER_URL}).`);
+    console.error('Start it with: ask-question-server');
+    process.exit(ERROR_CODES.SERVER_UNAVAILABLE.exitCode);
+  }
+}
+
+async function runStatus(args) {
+  await requireServer();
+
+  if (!args.prompt) {
+    const jobs = await fetchJobs();
+    for (const job of jobs) {
+      console.log(formatJobLine(job));
+    }
+    return;
+  }
+
+  const res = await request(`/jobs/${encodeURIComponent(args.prompt)}`, {
+    signal: AbortSignal.timeout(10000)
+  });
+  const data = await res.json();
+  if (!data.ok) {
+    throw errorFromBody(data);
+  }
+  console.log(JSON.stringify({ ...data.job, queue: data.queue }, null, 2));
+}
+
+async function runCancel(args) {
+  if (!args.prompt) {
+    console.error('Error: No job ID provided');
+    usage();
+  }
+
+  await requireServer();
+
+  const res = await request(`/jobs/${encodeURIComponent(args.prompt)}`, {
+    method: 'DELETE',
+    signal: AbortSignal.timeout(10000)
+  });
+  const data = await res.json();
+  if (!data.ok) {
+    throw errorFromBody(data);
+  }
+  console.error(`[ask-question] Job ${data.id} cancelled (was ${data.cancelled})`);
+}
+
+async function runModels(args) {
+  await requireServer();
+
+  const query = args.provider ? `?provider=${encodeURIComponent(args.provider)}` : '';
+  const res = await request(`/models${query}`, { signal: AbortSignal.timeout(60000) });
+  const data = await res.json();
+  if (!data.ok) {
+    throw errorFromBody(data);
+  }
+
+  for (const model of data.models) {
+    console.log(`${model.selected ? '*' : ' '} ${model.id.padEnd(24)} ${model.label}`);
+  }
+}
+
+async function runDoctor(args) {
+  await requireServer();
+
+  const query = new URLSearchParams();
+  if (args.provider) query.set('provider', args.provider);
+  if (args.dryRun) query.set('dryRun', '1');
+
+  const res = await request(`/doctor?${query}`, { signal: AbortSignal.timeout(120000) });
+  const data = await res.json();
+  if (!data.ok) {
+    throw errorFromBody(data);
+  }
+
+  console.log(formatReport(data.report));
+  if (!reportOk(data.report)) {
+    process.exit(ERROR_CODES[data.report.loggedIn ? 'UI_CHANGED' : 'NOT_LOGGED_IN'].exitCode);
+  }
+}
+
+async function runWait(args) {
+  if (!args.prompt) {
+    console.error('Error: No job ID provided');
+    usage();
+  }
+
+  await requireServer();
+
+  console.error(`[ask-question] Waiting for job ${args.prompt}...`);
+  try {
+    const response = await waitForJob(args.prompt);
+    await deliverResponse(response, args);
+  } catch (e) {
+    await reportFailure(e, args);
+    process.exit(exitCode(e));
+  }
+}
+
+async function fetchBatch(id) {
+  const res = await request(`/batch/${encodeURIComponent(id)}`, { signal: AbortSignal.timeout(10000) });
+  const data = await res.json();
+  if (!data.ok) {
+    throw errorFromBody(data);
+  }
+  return data.batch;
+}
+
+/**
+ * Submit a manifest's unanswered items as a batch, or reattach to the batch
+ * a previous run left going, then write each answer file as its item
+ * finishes and print a summary.
+ */
+async function runBatch(args) {
+  if (!args.prompt) {
+    console.error('Error: No manifest provided');
+    usage();
+  }
+
+  let manifest;
+  try {
+    manifest = loadManifest(args.prompt);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(exitCode(e));
+  }
+  const state = readBatchState(manifest.stateFile);
+
+  await requireServer();
+
+  let batch = null;
+  if (state.batchId && !args.force) {
+    batch = await fetchBatch(state.batchId).catch((e) => {
+      if (e.code === 'NOT_FOUND') return null;
+      throw e;
+    });
+    if (batch?.finishedAt) batch = null;
+    if (batch) console.error(`[ask-question] Resuming batch ${batch.id} (still running on the server)`);
+  }
+
+  const byId = new Map(manifest.items.map((item) => [item.id, item]));
+  let answered = [];
+  if (!batch) {
+    const pending = pendingItems(manifest.items, state, { force: args.force });
+    answered = pending.answered;
+    if (answered.length > 0) {
+      console.error(`[ask-question] Skipping ${answered.length} already answered item(s)`);
+    }
+    if (pending.todo.length === 0) {
+      console.error(`[ask-question] All ${manifest.items.length} items are answered (--force to rerun)`);
+      return;
+    }
+
+    const res = await request('/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client: threadKey(),
+        items: pending.todo.map(({ output, ...item }) => ({
+          timeout: args.timeout,
+          format: args.format ?? undefined,
+          provider: args.provider ?? undefined,
+          model: args.model ?? undefined,
+          mode: args.mode ?? undefined,
+          retries: args.retries ?? undefined,
+          cache: args.noCache ? false : undefined,
+          cacheTtl: args.cacheTtl ?? undefined,
+          ...item
+        }))
+      }),
+      signal: AbortSignal.timeout(30000)
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      throw errorFromBody(data);
+    }
+    state.batchId = data.id;
+    writeBatchState(manifest.stateFile, state);
+    console.error(`[ask-question] Batch ${data.id} queued (${data.items} items). Interrupt any time; rerun to resume.`);
+    batch = await fetchBatch(data.id);
+  }
+
+  // Write answers as items finish
+  const reported = new Set();
+  for (;;) {
+    for (const item of batch.items) {
+      if (reported.has(item.id) || !['done', 'error', 'cancelled', 'skipped'].includes(item.status)) continue;
+      reported.add(item.id);
+      const target = byId.get(item.id);
+      const progress = `[${reported.size}/${batch.items.length}]`;
+
+      if (item.status === 'done' && target) {
+        fs.mkdirSync(path.dirname(target.output), { recursive: true });
+        fs.writeFileSync(target.output, item.text, 'utf8');
+        if (item.conversationId) state.conversations[item.id] = item.conversationId;
+        writeBatchState(manifest.stateFile, state);
+        console.error(`[ask-question] ${progress} ${item.id}: done -> ${target.output}`);
+      } else {
+        console.error(`[ask-question] ${progress} ${item.id}: ${item.status}${item.error ? ` (${item.errorCode ? `${item.errorCode}: ` : ''}${item.error})` : ''}`);
+      }
+    }
+    if (batch.finishedAt) break;
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    batch = await fetchBatch(batch.id);
+  }
+
+  const failed = batch.items.filter((item) => item.status !== 'done');
+  const done = batch.items.length - failed.length;
+  console.error(`[ask-question] Batch ${batch.id} ${batch.status}: ${done} done, ${failed.length} failed` +
+    (answered.length ? `, ${answered.length} previously answered` : ''));
+  for (const item of failed) {
+    console.error(`  ${item.id.padEnd(24)} ${item.status.padEnd(9)} ${item.errorCode ? `${item.errorCode}: ` : ''}${item.error ?? ''}`);
+  }
+
+  if (args.report) {
+    const report = {
+      batchId: batch.id,
+      status: batch.status,
+      items: [
+        ...answered.map((item) => ({ id: item.id, status: 'answered', output: item.output })),
+        ...batch.items.map((item) => ({
+          id: item.id,
+          status: item.status,
+          output: item.status === 'done' ? byId.get(item.id)?.output ?? null : null,
+          conversationId: item.conversationId,
+          error: item.error,
+          code: item.errorCode
+        }))
+      ]
+    };
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2), 'utf8');
+    console.error(`[ask-question] Report saved to: ${args.report}`);
+  }
+
+  if (failed.length > 0) {
+    const first = failed[0];
+    process.exit(exitCode(relayError(first.errorCode || (first.status === 'cancelled' ? 'CANCELLED' : 'INTERNAL'), first.error || first.status)));
+  }
+}
+
+/**
+ * Read the history file the server writes (no server needed).
+ */
+function runHistory(args) {
+  const [subcommand = 'list', ...rest] = (args.prompt ?? '').split(' ').filter(Boolean);
+  const text = rest.join(' ') || null;
+
+  let since = null;
+  if (args.since) {
+    since = parseSince(args.since);
+    if (!since) {
+      console.error(`Error: --since must be a date (2026-10-13) or an age (7d, 36h): ${args.since}`);
+      process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
+    }
+  }
+  const filters = { since, provider: args.provider };
+
+  if (subcommand === 'list' || subcommand === 'search') {
+    if (subcommand === 'search' && !text) {
+      console.error('Error: No search text provided');
+      usage();
+    }
+    const records = queryHistory(HISTORY_FILE, { ...filters, text, limit: args.limit ?? 20 });
+    if (records.length === 0) {
+      console.error(`[ask-question] No matching requests in ${HISTORY_FILE}`);
+    }
+    for (const record of records) {
+      console.log(formatHistoryLine(record));
+    }
+    return;
   }
+
+  if (subcommand === 'show') {
+    if (!text) {
+      console.error('Error: No history ID provided');
+      usage();
+    }
+    const record = getHistoryRecord(HISTORY_FILE, text);
+    if (!record) {
+      console.error(`Error: No single request matches ${text}`);
+      process.exit(ERROR_CODES.NOT_FOUND.exitCode);
+    }
+    console.log(args.format === 'json' ? JSON.stringify(record, null, 2) : historyToMarkdown([record]));
+    return;
+  }
+
+  if (subcommand === 'export') {
+    const format = args.format ?? 'md';
+    if (format !== 'md' && format !== 'json') {
+      console.error('Error: history export --format must be md or json');
+      process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
+    }
+    // Oldest first reads better in an archive
+    const records = queryHistory(HISTORY_FILE, { ...filters, text, limit: args.limit }).reverse();
+    const content = format === 'json' ? JSON.stringify(records, null, 2) + '\n' : historyToMarkdown(records);
+    if (args.output) {
+      fs.writeFileSync(args.output, content, 'utf8');
+      console.error(`[ask-question] Exported ${records.length} request(s) to: ${args.output}`);
+    } else {
+      process.stdout.write(content);
+    }
+    return;
+  }
+
+  console.error(`Error: Unknown history command: ${subcommand}`);
+  usage();
 }
 
 async function main() {
   const args = parseCLIArgs(process.argv.slice(2));
 
-  // Get prompt
+  if (args.command === 'status') {
+    return runStatus(args);
+  }
+  if (args.command === 'wait') {
+    return runWait(args);
+  }
+  if (args.command === 'cancel') {
+    return runCancel(args);
+  }
+  if (args.command === 'models') {
+    return runModels(args);
+  }
+  if (args.command === 'doctor') {
+    return runDoctor(args);
+  }
+  if (args.command === 'batch') {
+    return runBatch(args);
+  }
+  if (args.command === 'history') {
+    return runHistory(args);
+  }
+
+  // Get prompt: a single -f is the prompt itself, more files are context for it
   let prompt = args.prompt;
-  if (args.file) {
-    prompt = fs.readFileSync(args.file, 'utf8').trim();
-  } else if (!prompt) {
+  const contextPatterns = [...args.context];
+  if (args.files.length === 1 && contextPatterns.length === 0 && !prompt) {
+    prompt = fs.readFileSync(args.files[0], 'utf8').trim();
+  } else {
+    contextPatterns.unshift(...args.files);
+  }
+  if (!prompt) {
     prompt = await readStdin();
   }
+  if (contextPatterns.length > 0) {
+    prompt = readContext(contextPatterns, prompt ?? '');
+  }
 
   if (!prompt) {
     console.error('Error: No prompt provided');
     usage();
   }
 
-  // Check server is running
-  const serverOk = await checkServerHealth();
-  if (!serverOk) {
-    console.error('Error: Server not running or not responding.');
-    console.error('Start it with: ask-question-server');
-    process.exit(1);
+  let conversationId = args.conversation;
+  if (args.continue && !conversationId) {
+    conversationId = getLastConversation(THREADS_FILE, conversationKey(args.provider));
+    if (!conversationId) {
+      console.error('Error: No previous conversation found for this session. Omit --continue to start one.');
+      process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
+    }
+  }
+  if (conversationId && args.newChat) {
+    console.error('Error: --new-chat cannot be combined with --conversation or --continue');
+    process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
   }
 
-  console.error(`[ask-question] Sending prompt (${prompt.length} chars)...`);
+  for (const file of args.attach) {
+    if (!fs.existsSync(file)) {
+      console.error(`Error: Attachment not found: ${file}`);
+      process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
+    }
+  }
 
-  try {
-    const response = await askServer(prompt, {
-      timeout: args.timeout,
-      newChat: args.newChat
-    });
+  if (args.retries !== null && !(args.retries >= 0)) {
+    console.error(`Error: --retries must be a non-negative number`);
+    process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
+  }
 
-    // Output response
-    console.log(response);
+  if (args.cacheTtl !== null && Number.isNaN(args.cacheTtl)) {
+    console.error('Error: --cache-ttl must be a duration like 3600000, 30m, 12h or 7d');
+    process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
+  }
 
-    // Save to file if specified
-    if (args.output) {
-      fs.writeFileSync(args.output, response, 'utf8');
-      console.error(`[ask-question] Response saved to: ${args.output}`);
-    }
+  if (args.webhook && !isValidWebhookUrl(args.webhook)) {
+    console.error(`Error: Invalid webhook URL: ${args.webhook}`);
+    process.exit(ERROR_CODES.INVALID_REQUEST.exitCode);
+  }
 
-    // Copy to clipboard
-    try {
-      await pbcopy(response);
-      console.error('[ask-question] Response copied to clipboard');
-    } catch (e) {
-      console.error(`[ask-question] Warning: Could not copy to clipboard: ${e.message}`);
-    }
+  warnIfLong(prompt, PROVIDERS[args.provider ?? DEFAULT_PROVIDER]);
+
+  const requestOpts = {
+    timeout: args.timeout,
+    newChat: args.newChat,
+    conversationId,
+    format: args.format ?? 'text',
+    attachments: args.attach,
+    client: threadKey(),
+    provider: args.provider ?? undefined,
+    model: args.model ?? undefined,
+    mode: args.mode ?? undefined,
+    retries: args.retries ?? undefined,
+    cache: args.noCache ? false : undefined,
+    cacheTtl: args.cacheTtl ?? undefined,
+    extract: args.extractCode || args.sources ? true : undefined,
+    artifacts: args.artifactsDir ? true : undefined
+  };
+
+  // Check server is running
+  await requireServer();
+
+  if (args.async) {
+    // The CLI exits before the answer is ready, so the server sends the notification
+    const { id, position, etaMs } = await submitJob(prompt, {
+      ...requestOpts,
+      callbackUrl: args.webhook ?? undefined,
+      sessionId: args.webhook ? discoverSessionId() : undefined
+    });
+    console.error(`[ask-question] Job queued at position ${position} (ETA ~${Math.round(etaMs / 1000)}s). Check with: ask-question status ${id}`);
+    console.log(id);
+    return;
+  }
+
+  const attached = args.attach.length ? ` with ${args.attach.length} attachment(s)` : '';
+  console.error(`[ask-question] Sending prompt (${prompt.length} chars)${attached}...`);
+
+  try {
+    const ask = args.stream ? askServerStream : askServer;
+    const response = await ask(prompt, requestOpts);
 
+    await deliverResponse(response, args, { printed: args.stream });
+    await notifyWebhook(args, { status: 'done', conversationId: response.conversationId });
   } catch (e) {
-    console.error(`[ask-question] Error: ${e.message}`);
-    process.exit(1);
+    await reportFailure(e, args, { printed: args.stream });
+    await notifyWebhook(args, { status: 'error', error: e.message, code: e.code });
+    process.exit(exitCode(e));
   }
 }
 
 main().catch((e) => {
   console.error(`[ask-question] Error: ${e.message}`);
-  process.exit(1);
+  process.exit(exitCode(e));
 });
@@ -0,0 +1,98 @@
+import http from 'node:http';
+import https from 'node:https';
+import path from 'node:path';
+import { readToken } from './auth.js';
+import { stateDir } from './providers.js';
+
+/**
+ * HTTP client for the daemon.
+ * Talks to ASK_QUESTION_SERVER_URL over TCP, or to ASK_QUESTION_SOCKET when
+ * the server listens on a Unix socket, and attaches the API token if there
+ * is one (ASK_QUESTION_TOKEN, or the token file the server generated).
+ */
+
+export const SERVER_URL = process.env.ASK_QUESTION_SERVER_URL || 'http://127.0.0.1:3033';
+export const SOCKET_PATH = process.env.ASK_QUESTION_SOCKET || null;
+
+const TOKEN_FILE = process.env.ASK_QUESTION_TOKEN_FILE || path.join(stateDir(), 'token');
+
+let token;
+
+function apiToken() {
+  token ??= process.env.ASK_QUESTION_TOKEN || readToken(TOKEN_FILE);
+  return token;
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Send a request to the daemon. The response mirrors the parts of fetch()'s
+ * the CLI uses: ok, status, json() and body (an async iterable of chunks).
+ * @param {string} pathname - Path and query, e.g. '/jobs?limit=5'
+ * @param {object} init
+ * @param {string} init.method - Default: GET
+ * @param {Object<string, string>} init.headers
+ * @param {string|Buffer} init.body
+ * @param {AbortSignal} init.signal
+ * @returns {Promise<{ ok: boolean, status: number, json: function(): Promise<any>, body: import('node:http').IncomingMessage }>}
+ */
+export function request(pathname, { method = 'GET', headers = {}, body = null, signal = null } = {}) {
+  let target;
+  let transport = http;
+  if (SOCKET_PATH) {
+    target = { socketPath: SOCKET_PATH, path: pathname };
+  } else {
+    const url = new URL(SERVER_URL.replace(/\/+$/, '') + pathname);
+    if (url.protocol === 'https:') transport = https;
+    target = { hostname: url.hostname, port: url.port, path: url.pathname + url.search };
+  }
+
+  const auth = apiToken() ? { Authorization: `Bearer ${apiToken()}` } : {};
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({ ...target, method, headers: { ...auth, ...headers }, signal }, (res) => {
+      resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        json: async () => JSON.parse(await readAll(res)),
+        body: res
+      });
+    });
+    req.on('error', reject);
+    req.end(body ?? undefined);
+  });
+}
+
+/**
+ * Parse a Server-Sent Events response body.
+ * @param {AsyncIterable<Buffer>} body
+ * @returns {AsyncGenerator<{ event: string, data: object }>}
+ */
+export async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      yield { event, data: data ? JSON.parse(data) : {} };
+    }
+  }
+}
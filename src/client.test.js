@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatgpt-relay-client-'));
+const socketPath = path.join(tmpDir, 'server.sock');
+let server;
+let client;
+const seen = [];
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    seen.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+    res.writeHead(req.url === '/missing' ? 404 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: req.url !== '/missing' }));
+  });
+  await new Promise((resolve) => server.listen(socketPath, resolve));
+
+  // client.js reads these at import time
+  process.env.ASK_QUESTION_SOCKET = socketPath;
+  process.env.ASK_QUESTION_TOKEN = 's3cret';
+  client = await import('./client.js');
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('request talks to the Unix socket with the API token', async () => {
+  const res = await client.request('/ask?stream=1', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt: 'hi' })
+  });
+
+  assert.strictEqual(res.ok, true);
+  assert.deepStrictEqual(await res.json(), { ok: true });
+  const { method, url, headers, body } = seen.at(-1);
+  assert.strictEqual(method, 'POST');
+  assert.strictEqual(url, '/ask?stream=1');
+  assert.strictEqual(headers.authorization, 'Bearer s3cret');
+  assert.deepStrictEqual(JSON.parse(body), { prompt: 'hi' });
+});
+
+test('request reports non-2xx statuses like fetch', async () => {
+  const res = await client.request('/missing');
+  assert.strictEqual(res.ok, false);
+  assert.strictEqual(res.status, 404);
+});
@@ -0,0 +1,250 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { relayError } from './errors.js';
+
+/**
+ * Long prompts.
+ * The CLI bundles source files (--context / repeated -f) into one prompt,
+ * each under a path header in a code fence. Prompts over a provider's
+ * message limit are split into "part N of M" messages that the server sends
+ * one after another in the same conversation, returning only the reply to
+ * the last one.
+ */
+
+const GLOB_CHARS = /[*?[{]/;
+
+// Directories a recursive match never descends into
+const SKIP_DIRS = new Set(['node_modules', '.git', '.hg', '.svn']);
+
+// Room left in each part for its "[Part N of M]" instructions
+const PART_HEADER_CHARS = 300;
+
+const LANGUAGES = {
+  mjs: 'js', cjs: 'js', py: 'python', rb: 'ruby', rs: 'rust', kt: 'kotlin', yml: 'yaml',
+  md: 'markdown', sh: 'bash', h: 'c', hpp: 'cpp', cc: 'cpp', cs: 'csharp', txt: ''
+};
+
+/**
+ * Convert a glob to a RegExp over '/'-separated relative paths.
+ * Supports *, **, ?, [...] and {a,b}.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (c === '{') {
+      braces++;
+      source += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (c === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += c.replace(/[.+^$()|\\\]{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * All files under a directory, skipping VCS and node_modules directories.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function walk(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIP_DIRS.has(entry.name)) files.push(...walk(full));
+    } else if (entry.isFile()) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand file paths, directories and globs into a list of files.
+ * Directories include every file below them. Duplicates are dropped;
+ * each glob's matches are sorted.
+ * @param {string[]} patterns
+ * @param {object} opts
+ * @param {string} opts.cwd - Base for relative patterns
+ * @returns {string[]} Absolute paths
+ * @throws INVALID_REQUEST if a path doesn't exist or a glob matches nothing
+ */
+export function expandContext(patterns, { cwd = process.cwd() } = {}) {
+  const files = new Set();
+  for (const pattern of patterns) {
+    const normalized = pattern.split(path.sep).join('/');
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+
+    if (firstGlob === -1) {
+      const full = path.resolve(cwd, pattern);
+      const stat = fs.statSync(full, { throwIfNoEntry: false });
+      if (!stat) throw relayError('INVALID_REQUEST', `File not found: ${pattern}`);
+      for (const file of stat.isDirectory() ? walk(full).sort() : [full]) files.add(file);
+      continue;
+    }
+
+    const base = path.resolve(cwd, segments.slice(0, firstGlob).join('/') || '.');
+    const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+    const matches = fs.existsSync(base)
+      ? walk(base).filter((file) => regex.test(path.relative(base, file).split(path.sep).join('/'))).sort()
+      : [];
+    if (matches.length === 0) throw relayError('INVALID_REQUEST', `No files match ${pattern}`);
+    for (const file of matches) files.add(file);
+  }
+  return [...files];
+}
+
+/**
+ * Code fence language for a file name (its extension, mostly).
+ * @param {string} name
+ * @returns {string}
+ */
+function fenceLanguage(name) {
+  const ext = path.extname(name).slice(1).toLowerCase();
+  return LANGUAGES[ext] ?? ext;
+}
+
+/**
+ * Build a prompt from context files followed by the question.
+ * @param {Array<{ path: string, content: string }>} files - Paths as they should be shown
+ * @param {string} question - May be empty if the files say what to do
+ * @returns {string}
+ */
+export function bundleContext(files, question = '') {
+  const sections = files.map((file) => {
+    // A fence longer than any backtick run in the file can't be closed early
+    const longest = Math.max(0, ...(file.content.match(/`{3,}/g) ?? []).map((run) => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `### ${file.path}\n\n${fence}${fenceLanguage(file.path)}\n${file.content.replace(/\n$/, '')}\n${fence}`;
+  });
+  const bundle = `Context files (${files.length}):\n\n${sections.join('\n\n')}`;
+  return question?.trim() ? `${bundle}\n\n---\n\n${question.trim()}` : bundle;
+}
+
+/**
+ * A provider's message size limit in characters; ASK_QUESTION_MAX_MESSAGE_CHARS
+ * overrides it for every provider.
+ * @param {import('./providers.js').Provider} provider
+ * @returns {number}
+ */
+export function messageLimit(provider) {
+  const override = parseInt(process.env.ASK_QUESTION_MAX_MESSAGE_CHARS || '', 10);
+  return override > 0 ? override : provider.maxMessageChars;
+}
+
+/**
+ * Split a prompt into messages of at most maxChars each. A prompt that fits
+ * is returned as is. Otherwise it is cut at line breaks (long lines are cut
+ * anywhere), code blocks cut in two are closed and reopened, and each part
+ * is prefixed with instructions to wait for the rest.
+ * @param {string} prompt
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+export function splitPrompt(prompt, maxChars) {
+  if (prompt.length <= maxChars) return [prompt];
+
+  const budget = maxChars - PART_HEADER_CHARS;
+  if (budget < PART_HEADER_CHARS) {
+    throw relayError('INVALID_REQUEST', `Message limit too small to split a prompt into parts: ${maxChars}`);
+  }
+
+  const bodies = [];
+  let current = '';
+  let reopened = '';
+  let fence = null; // Code block open at the end of `current`: { marker, opening }
+
+  const flush = () => {
+    bodies.push(fence ? `${current.replace(/\n?$/, '\n')}${fence.marker}` : current.replace(/\n+$/, ''));
+    reopened = fence ? `${fence.opening}\n` : '';
+    current = reopened;
+  };
+
+  for (const line of prompt.match(/[^\n]*\n|[^\n]+$/g)) {
+    const pieceSize = Math.floor(budget / 2);
+    for (let i = 0; i < line.length; i += pieceSize) {
+      const piece = line.slice(i, i + pieceSize);
+      const room = budget - (fence ? fence.marker.length + 1 : 0);
+      if (current.length + piece.length > room && current.length > reopened.length) flush();
+      current += piece;
+    }
+
+    const marker = /^ {0,3}(`{3,}|~{3,})(.*)$/.exec(line.trimEnd());
+    if (!marker) continue;
+    if (!fence) {
+      fence = { marker: marker[1], opening: line.trimEnd() };
+    } else if (marker[1][0] === fence.marker[0] && marker[1].length >= fence.marker.length && !marker[2].trim()) {
+      fence = null;
+    }
+  }
+  if (current.length > reopened.length) bodies.push(current.replace(/\n+$/, ''));
+
+  const total = bodies.length;
+  return bodies.map((body, i) => i < total - 1
+    ? `[Part ${i + 1} of ${total}] This message is too long to send at once, so it is split into ${total} parts. ` +
+      `Do not respond to it yet: reply only "Received part ${i + 1} of ${total}" and wait for the rest.\n\n${body}`
+    : `[Part ${total} of ${total}] This is the last part. Read all ${total} parts as one message and respond to it now.\n\n${body}`);
+}
+
+/**
+ * Open a request's conversation and send all but the last part of its split
+ * prompt (the caller sends the last one and waits on its reply). `progress`
+ * is shared by the request's attempts: a retry reopens the conversation the
+ * earlier parts went to and only sends what is left, so the site never sees
+ * a part twice.
+ * @param {string[]} parts - From splitPrompt
+ * @param {{ sent: number, conversationId: string|null }} progress - Updated as parts are sent
+ * @param {object} steps
+ * @param {function(): Promise<void>} steps.open - Opens the requested conversation or new chat
+ * @param {function(string): Promise<void>} steps.resume - Reopens the conversation by ID
+ * @param {function(string, number): Promise<string|null>} steps.send - Sends part i and waits for
+ *   its reply; resolves to the conversation ID
+ * @throws CHATGPT_ERROR (not retried) if parts were sent but their conversation is unknown
+ */
+export async function sendLeadingParts(parts, progress, { open, resume, send }) {
+  if (progress.sent === 0) {
+    await open();
+  } else if (progress.conversationId) {
+    await resume(progress.conversationId);
+  } else {
+    throw relayError('CHATGPT_ERROR', `Sent ${progress.sent} of ${parts.length} parts, but not the rest: their conversation can't be reopened`, {
+      partsSent: progress.sent
+    });
+  }
+
+  for (let i = progress.sent; i < parts.length - 1; i++) {
+    progress.conversationId = await send(parts[i], i) ?? progress.conversationId;
+    progress.sent = i + 1;
+  }
+}
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { globToRegExp, expandContext, bundleContext, messageLimit, splitPrompt, sendLeadingParts } from './context.js';
+import { tmpDir } from './test-helpers.js';
+
+function tmpTree(files) {
+  const dir = tmpDir('context');
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('globToRegExp handles *, **, ?, classes and braces', () => {
+  assert.match('a.js', globToRegExp('*.js'));
+  assert.doesNotMatch('lib/a.js', globToRegExp('*.js'));
+  assert.match('a.js', globToRegExp('**/*.js'));
+  assert.match('lib/deep/a.js', globToRegExp('**/*.js'));
+  assert.match('a.ts', globToRegExp('?.{js,ts}'));
+  assert.doesNotMatch('ab.ts', globToRegExp('?.{js,ts}'));
+  assert.match('v2.txt', globToRegExp('v[0-9].txt'));
+  assert.doesNotMatch('v2.txt', globToRegExp('v[!0-9].txt'));
+  assert.doesNotMatch('aXjs', globToRegExp('a.js'));
+});
+
+test('expandContext expands files, directories and globs', () => {
+  const dir = tmpTree({
+    'src/b.js': 'b',
+    'src/a.js': 'a',
+    'src/lib/c.js': 'c',
+    'src/lib/d.md': 'd',
+    'src/node_modules/x.js': 'x',
+    'README.md': 'readme'
+  });
+  const rel = (files) => files.map((file) => path.relative(dir, file));
+
+  assert.deepStrictEqual(rel(expandContext(['src/*.js'], { cwd: dir })), ['src/a.js', 'src/b.js']);
+  assert.deepStrictEqual(rel(expandContext(['src/**/*.js'], { cwd: dir })), ['src/a.js', 'src/b.js', 'src/lib/c.js']);
+  assert.deepStrictEqual(rel(expandContext(['README.md', 'src/lib', 'src/lib/c.js'], { cwd: dir })),
+    ['README.md', 'src/lib/c.js', 'src/lib/d.md']);
+
+  assert.throws(() => expandContext(['missing.js'], { cwd: dir }), (e) => e.code === 'INVALID_REQUEST' && /File not found: missing.js/.test(e.message));
+  assert.throws(() => expandContext(['src/*.py'], { cwd: dir }), /No files match src\/\*\.py/);
+});
+
+test('bundleContext puts each file under its path in a fence it cannot close', () => {
+  const prompt = bundleContext([
+    { path: 'src/a.js', content: 'const a = 1;\n' },
+    { path: 'README.md', content: 'Use:\n```sh\nnpm test\n```\n' }
+  ], '  Review these.  ');
+
+  assert.strictEqual(prompt, [
+    'Context files (2):',
+    '',
+    '### src/a.js',
+    '',
+    '```js',
+    'const a = 1;',
+    '```',
+    '',
+    '### README.md',
+    '',
+    '````markdown',
+    'Use:',
+    '```sh',
+    'npm test',
+    '```',
+    '````',
+    '',
+    '---',
+    '',
+    'Review these.'
+  ].join('\n'));
+  assert.doesNotMatch(bundleContext([{ path: 'a.txt', content: 'x' }], ''), /---/);
+});
+
+test('messageLimit uses ASK_QUESTION_MAX_MESSAGE_CHARS over the provider\'s', (t) => {
+  const provider = { maxMessageChars: 32000 };
+  t.after(() => delete process.env.ASK_QUESTION_MAX_MESSAGE_CHARS);
+  assert.strictEqual(messageLimit(provider), 32000);
+  process.env.ASK_QUESTION_MAX_MESSAGE_CHARS = '5000';
+  assert.strictEqual(messageLimit(provider), 5000);
+});
+
+test('splitPrompt leaves short prompts alone', () => {
+  assert.deepStrictEqual(splitPrompt('Why Bazel?', 1000), ['Why Bazel?']);
+});
+
+test('splitPrompt cuts long prompts into numbered parts within the limit', () => {
+  const lines = Array.from({ length: 100 }, (_, i) => `Line ${i} of the prompt`);
+  const parts = splitPrompt(lines.join('\n'), 1000);
+
+  assert.ok(parts.length > 1);
+  for (const part of parts) assert.ok(part.length <= 1000, `${part.length} chars`);
+  assert.match(parts[0], /^\[Part 1 of \d+\] .*reply only "Received part 1 of \d+"/);
+  assert.match(parts.at(-1), new RegExp(`^\\[Part ${parts.length} of ${parts.length}\\] This is the last part`));
+
+  // Nothing is lost or reordered
+  const bodies = parts.map((part) => part.slice(part.indexOf('\n\n') + 2));
+  assert.strictEqual(bodies.join('\n'), lines.join('\n'));
+});
+
+test('splitPrompt closes and reopens code blocks it cuts, and cuts long lines', () => {
+  const code = Array.from({ length: 150 }, (_, i) => `  call(${i});`).join('\n');
+  const parts = splitPrompt(`Intro\n\`\`\`js\n${code}\n\`\`\`\nQuestion?`, 1000);
+
+  for (const part of parts) {
+    assert.ok(part.length <= 1000);
+    assert.strictEqual((part.match(/^```/gm) ?? []).length % 2, 0, 'balanced fences');
+  }
+  assert.match(parts[1], /\n\n```js\n {2}call\(/);
+
+  const long = splitPrompt('x'.repeat(2500), 1000);
+  assert.strictEqual(long.map((part) => part.slice(part.indexOf('\n\n') + 2)).join(''), 'x'.repeat(2500));
+  assert.throws(() => splitPrompt('x'.repeat(500), 400), /Message limit too small/);
+});
+
+test('sendLeadingParts resumes a retried split prompt without resending its parts', async () => {
+  const parts = ['part 1', 'part 2', 'part 3'];
+  const progress = { sent: 0, conversationId: null };
+  const calls = [];
+  let failNext = true;
+  const steps = {
+    open: async () => calls.push('open'),
+    resume: async (id) => calls.push(`resume ${id}`),
+    send: async (part, i) => {
+      calls.push(part);
+      // The second part fails the first time, as a transient site error would
+      if (i === 1 && failNext) {
+        failNext = false;
+        throw Object.assign(new Error('Something went wrong'), { code: 'CHATGPT_ERROR', transient: true });
+      }
+      return 'conv-1';
+    }
+  };
+
+  await assert.rejects(sendLeadingParts(parts, progress, steps), (e) => e.transient);
+  assert.deepStrictEqual(progress, { sent: 1, conversationId: 'conv-1' });
+
+  await sendLeadingParts(parts, progress, steps);
+  assert.deepStrictEqual(calls, ['open', 'part 1', 'part 2', 'resume conv-1', 'part 2']);
+  assert.deepStrictEqual(progress, { sent: 2, conversationId: 'conv-1' });
+
+  // Retrying after the last part fails sends nothing again
+  calls.length = 0;
+  await sendLeadingParts(parts, progress, steps);
+  assert.deepStrictEqual(calls, ['resume conv-1']);
+});
+
+test('sendLeadingParts gives up when sent parts have no conversation to resume', async () => {
+  const progress = { sent: 1, conversationId: null };
+  const fail = async () => assert.fail('nothing should be opened or sent');
+  await assert.rejects(
+    sendLeadingParts(['part 1', 'part 2'], progress, { open: fail, resume: fail, send: fail }),
+    (e) => e.code === 'CHATGPT_ERROR' && !e.transient && e.partsSent === 1
+  );
+});
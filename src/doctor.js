@@ -0,0 +1,151 @@
+import fs from 'node:fs';
+import { splitSelectors, SELECTORS_FILE } from './selectors.js';
+
+/**
+ * Selector diagnostics (`ask-question doctor`).
+ * Counts matches for every alternative in each selector group on a live
+ * page, so a UI change shows up as "composer: 0 matches" instead of a
+ * timeout deep inside a request.
+ */
+
+// Groups that only match in some states (generating, errors, menus open,
+// logged out), so zero matches on an idle page is expected
+const STATEFUL_GROUPS = new Set([
+  'sendButton', // ChatGPT hides it until the composer has text; checked by the dry run
+  'stopButton',
+  'assistantMessage',
+  'errorToast',
+  'continueButton',
+  'usageLimit',
+  'generationError',
+  'regenerateButton',
+  'uploadProgress',
+  'modelOption',
+  'toolOption',
+  'loginButton',
+  'modal'
+]);
+
+const DRY_RUN_TEXT = 'ask-question doctor dry run';
+
+/**
+ * Count matches for each alternative of each selector group.
+ * @param {import('playwright').Page} page
+ * @param {Object<string, string>} selectors
+ * @returns {Promise<Array<{ group: string, status: 'ok'|'missing'|'idle', entries: Array<{ selector: string, count: number, error?: string }> }>>}
+ */
+export async function checkSelectors(page, selectors) {
+  const groups = [];
+  for (const [group, value] of Object.entries(selectors)) {
+    const entries = [];
+    for (const selector of splitSelectors(value)) {
+      try {
+        entries.push({ selector, count: await page.locator(selector).count() });
+      } catch (e) {
+        entries.push({ selector, count: 0, error: e.message.split('\n')[0] });
+      }
+    }
+
+    const matched = entries.some((e) => e.count > 0);
+    const status = matched ? 'ok' : STATEFUL_GROUPS.has(group) ? 'idle' : 'missing';
+    groups.push({ group, status, entries });
+  }
+  return groups;
+}
+
+/**
+ * Type into the composer and check the send button enables, without sending.
+ * The composer is cleared afterwards.
+ * @param {import('playwright').Page} page
+ * @param {Object<string, string>} selectors
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function dryRunSend(page, selectors) {
+  const composer = page.locator(selectors.composer).first();
+  try {
+    await composer.waitFor({ state: 'visible', timeout: 10000 });
+  } catch {
+    return { ok: false, error: 'Composer not visible' };
+  }
+
+  try {
+    await composer.fill(DRY_RUN_TEXT);
+    const sendBtn = page.locator(selectors.sendButton).first();
+    try {
+      await sendBtn.waitFor({ state: 'visible', timeout: 5000 });
+    } catch {
+      return { ok: false, error: 'Send button not found after typing' };
+    }
+    if (!(await sendBtn.isEnabled().catch(() => false))) {
+      return { ok: false, error: 'Send button is disabled after typing' };
+    }
+    return { ok: true };
+  } finally {
+    await composer.fill('').catch(() => {});
+  }
+}
+
+/**
+ * Run all diagnostics for a provider on its page.
+ * @param {import('playwright').Page} page
+ * @param {import('./providers.js').Provider} provider
+ * @param {object} opts
+ * @param {boolean} opts.dryRun - Also check the composer accepts text and enables send
+ * @returns {Promise<object>} Report for formatReport()
+ */
+export async function diagnose(page, provider, { dryRun = false } = {}) {
+  const selectors = provider.selectors();
+  const report = {
+    provider: provider.name,
+    url: page.url(),
+    loggedIn: await provider.isLoggedIn(page),
+    selectorsFile: SELECTORS_FILE,
+    overridesLoaded: fs.existsSync(SELECTORS_FILE),
+    groups: await checkSelectors(page, selectors),
+    dryRun: null
+  };
+
+  if (dryRun) {
+    report.dryRun = await dryRunSend(page, selectors);
+  }
+  return report;
+}
+
+/**
+ * Whether a report found anything broken.
+ * @param {object} report
+ * @returns {boolean}
+ */
+export function reportOk(report) {
+  return report.loggedIn &&
+    report.groups.every((g) => g.status !== 'missing') &&
+    (report.dryRun === null || report.dryRun.ok);
+}
+
+/**
+ * Render a report as plain text for the terminal.
+ * @param {object} report
+ * @returns {string}
+ */
+export function formatReport(report) {
+  const lines = [
+    `Provider:  ${report.provider}`,
+    `Page:      ${report.url}`,
+    `Logged in: ${report.loggedIn ? 'yes' : 'NO'}`,
+    `Overrides: ${report.selectorsFile}${report.overridesLoaded ? '' : ' (not present)'}`,
+    ''
+  ];
+
+  const labels = { ok: 'ok', missing: 'MISSING', idle: 'no match (expected when idle)' };
+  for (const { group, status, entries } of report.groups) {
+    lines.push(`${group}: ${labels[status]}`);
+    for (const { selector, count, error } of entries) {
+      lines.push(`  ${String(count).padStart(3)}  ${selector}${error ? `  (invalid: ${error})` : ''}`);
+    }
+  }
+
+  if (report.dryRun) {
+    lines.push('', `Dry run: ${report.dryRun.ok ? 'ok (composer accepts text, send button enabled)' : `FAILED - ${report.dryRun.error}`}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { checkSelectors, formatReport, reportOk } from './doctor.js';
+
+// Minimal stand-in for a Playwright page: counts come from a lookup table
+function fakePage(counts) {
+  return {
+    locator: (selector) => ({
+      count: async () => {
+        if (selector === 'bad[') throw new Error('Unexpected token "["\nmore detail');
+        return counts[selector] ?? 0;
+      }
+    })
+  };
+}
+
+test('checkSelectors reports per-alternative matches and group status', async () => {
+  const groups = await checkSelectors(
+    fakePage({ '#composer': 1 }),
+    { composer: 'bad[, #composer', fileInput: 'input[type="file"]', stopButton: '#stop' }
+  );
+
+  assert.deepStrictEqual(groups[0], {
+    group: 'composer',
+    status: 'ok',
+    entries: [
+      { selector: 'bad[', count: 0, error: 'Unexpected token "["' },
+      { selector: '#composer', count: 1 }
+    ]
+  });
+  assert.strictEqual(groups[1].status, 'missing');
+  assert.strictEqual(groups[2].status, 'idle');
+});
+
+test('reportOk fails on missing groups, logout or a failed dry run', () => {
+  const report = {
+    provider: 'chatgpt',
+    url: 'https://chatgpt.com/',
+    loggedIn: true,
+    selectorsFile: '/tmp/selectors.json',
+    overridesLoaded: false,
+    groups: [{ group: 'composer', status: 'ok', entries: [{ selector: '#c', count: 1 }] }],
+    dryRun: null
+  };
+  assert.strictEqual(reportOk(report), true);
+  assert.strictEqual(reportOk({ ...report, loggedIn: false }), false);
+  assert.strictEqual(reportOk({ ...report, dryRun: { ok: false, error: 'x' } }), false);
+  assert.strictEqual(reportOk({ ...report, groups: [{ ...report.groups[0], status: 'missing' }] }), false);
+
+  const text = formatReport({ ...report, dryRun: { ok: false, error: 'Send button not found after typing' } });
+  assert.match(text, /composer: ok\n {4}1 {2}#c/);
+  assert.match(text, /Dry run: FAILED - Send button not found/);
+});
@@ -0,0 +1,255 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { chromium } from 'playwright';
+import { startFakeChatGPT } from './fake-chatgpt.js';
+
+// End-to-end tests against the local fake ChatGPT (no network).
+// Skipped when Playwright's Chromium isn't installed.
+const skip = !fs.existsSync(chromium.executablePath()) &&
+  'Chromium not installed (run: npx playwright install chromium)';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatgpt-relay-e2e-'));
+let fake;
+let browser;
+let chatgpt;
+
+before(async () => {
+  fake = await startFakeChatGPT();
+
+  // chatgpt.js and selectors.js read these at import time
+  process.env.ASK_QUESTION_CHATGPT_URL = fake.url;
+  process.env.ASK_QUESTION_SELECTORS_FILE = path.join(tmpDir, 'selectors.json');
+  chatgpt = await import('./chatgpt.js');
+
+  if (!skip) {
+    browser = await chromium.launch({ headless: true });
+  }
+});
+
+after(async () => {
+  await browser?.close();
+  await fake.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function openChat(t) {
+  const context = await browser.newContext();
+  t.after(() => context.close());
+  const page = await context.newPage();
+  await page.goto(fake.url);
+  return page;
+}
+
+test('sends a prompt and reads the streamed reply', { skip }, async (t) => {
+  const page = await openChat(t);
+  const text = await chatgpt.sendPromptAndWait(page, 'hello there', { timeout: 20000 });
+
+  assert.strictEqual(text, 'Echo: hello there');
+  assert.match(chatgpt.getConversationId(page), /^[\w-]{36}$/);
+});
+
+test('emits start, delta and done events while streaming', { skip }, async (t) => {
+  const page = await openChat(t);
+  const events = [];
+  const text = await chatgpt.sendPromptAndWait(page, 'one two three four five six seven eight', {
+    timeout: 20000,
+    onEvent: (event) => events.push(event)
+  });
+
+  const types = events.map((e) => e.type);
+  assert.strictEqual(types[0], 'start');
+  assert.ok(types.includes('delta'));
+  assert.deepStrictEqual(events.at(-1), { type: 'done', text });
+});
+
+test('clicks "Continue generating" until the reply is complete', { skip }, async (t) => {
+  const page = await openChat(t);
+  const events = [];
+  const text = await chatgpt.sendPromptAndWait(page, '[continue] alpha beta gamma delta epsilon zeta', {
+    timeout: 20000,
+    onEvent: (event) => events.push(event)
+  });
+
+  assert.strictEqual(text, 'Echo: [continue] alpha beta gamma delta epsilon zeta');
+  assert.ok(events.some((e) => e.type === 'continue'));
+});
+
+test('surfaces error toasts', { skip }, async (t) => {
+  const page = await openChat(t);
+  await assert.rejects(
+    chatgpt.sendPromptAndWait(page, '[error] this will fail', { timeout: 20000 }),
+    { code: 'CHATGPT_ERROR', message: /ChatGPT error: Something went wrong/ }
+  );
+});
+
+test('reports a usage limit with its reset time', { skip }, async (t) => {
+  const page = await openChat(t);
+  const error = await chatgpt.sendPromptAndWait(page, '[limit] hi', { timeout: 20000 }).then(
+    () => assert.fail('expected a usage limit'),
+    (e) => e
+  );
+
+  assert.strictEqual(error.code, 'RATE_LIMITED');
+  const inMs = Date.parse(error.retryAt) - Date.now();
+  assert.ok(inMs > 110 * 60 * 1000 && inMs <= 120 * 60 * 1000);
+});
+
+test('regenerates a failed generation in place', { skip }, async (t) => {
+  const page = await openChat(t);
+  await assert.rejects(
+    chatgpt.sendPromptAndWait(page, '[flaky] one two three four', { timeout: 20000 }),
+    { code: 'CHATGPT_ERROR', regenerate: true }
+  );
+
+  const text = await chatgpt.regenerate(page, { timeout: 20000 });
+  assert.strictEqual(text, 'Echo: [flaky] one two three four');
+  assert.strictEqual(await page.locator('[data-message-author-role="assistant"]').count(), 1);
+});
+
+test('converts the reply to Markdown', { skip }, async (t) => {
+  const page = await openChat(t);
+  const text = await chatgpt.sendPromptAndWait(page, '[markdown] rich', { timeout: 20000, format: 'markdown' });
+
+  assert.match(text, /^## Answer/);
+  assert.match(text, /\*\*bold\*\*/);
+  assert.match(text, /```js\nconst answer = 42;\n```/);
+});
+
+test('extracts code blocks and sources from the reply', { skip }, async (t) => {
+  const page = await openChat(t);
+  await chatgpt.sendPromptAndWait(page, '[markdown] rich', { timeout: 20000 });
+
+  assert.deepStrictEqual(await chatgpt.extractStructured(page), {
+    codeBlocks: [{ language: 'js', code: 'const answer = 42;' }],
+    sources: [{ title: 'bazel.build', url: 'https://bazel.build/' }]
+  });
+});
+
+test('downloads generated images and files', { skip }, async (t) => {
+  const page = await openChat(t);
+  await chatgpt.sendPromptAndWait(page, '[artifacts] chart', { timeout: 20000 });
+
+  const dir = path.join(tmpDir, 'artifacts');
+  const artifacts = await chatgpt.downloadArtifacts(page, dir);
+  assert.deepStrictEqual(artifacts.map(({ kind, name, mimeType }) => ({ kind, name, mimeType })), [
+    { kind: 'image', name: 'image-1.png', mimeType: 'image/png' },
+    { kind: 'file', name: 'data.csv', mimeType: 'text/csv' }
+  ]);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'data.csv'), 'utf8'), 'a,b\n1,2\n');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'image-1.png')).subarray(1, 4).toString(), 'PNG');
+});
+
+test('continues an existing conversation by ID', { skip }, async (t) => {
+  const page = await openChat(t);
+  await chatgpt.sendPromptAndWait(page, 'first', { timeout: 20000 });
+  const id = chatgpt.getConversationId(page);
+
+  await chatgpt.navigateToNewChat(page);
+  assert.strictEqual(chatgpt.getConversationId(page), null);
+
+  await chatgpt.navigateToConversation(page, id);
+  const text = await chatgpt.sendPromptAndWait(page, 'second', { timeout: 20000 });
+
+  assert.strictEqual(text, 'Echo: second');
+  assert.strictEqual(chatgpt.getConversationId(page), id);
+  assert.strictEqual(await page.locator('[data-message-author-role="assistant"]').count(), 2);
+});
+
+test('selects a model and tool mode before sending', { skip }, async (t) => {
+  const page = await openChat(t);
+  const models = await chatgpt.listModels(page);
+  assert.deepStrictEqual(models.map((m) => m.id), ['gpt-4o', 'o3']);
+
+  const text = await chatgpt.sendPromptAndWait(page, 'pick', { timeout: 20000, model: 'o3', mode: 'search' });
+  assert.strictEqual(text, 'Echo: pick (model: o3; tool: Web search)');
+});
+
+test('uploads attachments with the prompt', { skip }, async (t) => {
+  const page = await openChat(t);
+  const file = path.join(tmpDir, 'notes.txt');
+  fs.writeFileSync(file, 'some notes');
+
+  const text = await chatgpt.sendPromptAndWait(page, 'read this', { timeout: 20000, attachments: [file] });
+  assert.strictEqual(text, 'Echo: read this (files: notes.txt)');
+});
+
+test('stops generation when the request is aborted', { skip }, async (t) => {
+  const page = await openChat(t);
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('Request cancelled')), 1500);
+
+  await assert.rejects(
+    chatgpt.sendPromptAndWait(page, '[slow] a b c d e f g h i j k l', { timeout: 20000, signal: controller.signal }),
+    /Request cancelled/
+  );
+  assert.strictEqual(await page.locator('[data-testid="stop-button"]').isVisible(), false);
+});
+
+test('dismisses known interstitials before sending', { skip }, async (t) => {
+  fake.setInterstitial('whats-new');
+  t.after(() => fake.setInterstitial(null));
+  const page = await openChat(t);
+
+  const text = await chatgpt.sendPromptAndWait(page, 'after the dialog', { timeout: 20000 });
+  assert.strictEqual(text, 'Echo: after the dialog');
+});
+
+test('fails fast on an unknown modal', { skip }, async (t) => {
+  fake.setInterstitial('unknown');
+  t.after(() => fake.setInterstitial(null));
+  const page = await openChat(t);
+
+  await assert.rejects(
+    chatgpt.sendPromptAndWait(page, 'hi', { timeout: 20000 }),
+    { code: 'UI_CHANGED', message: /Blocked by modal: Please verify you are a human/ }
+  );
+});
+
+test('detects a logged-out session', { skip }, async (t) => {
+  const page = await openChat(t);
+  fake.setLoggedIn(false);
+  t.after(() => fake.setLoggedIn(true));
+
+  await page.goto(fake.url);
+  assert.strictEqual(await chatgpt.isLoggedIn(page), false);
+  await assert.rejects(chatgpt.sendPromptAndWait(page, 'hi', { timeout: 5000 }), { code: 'NOT_LOGGED_IN' });
+});
+
+test('daemon answers /ask through the fake site', { skip }, async (t) => {
+  const stateFile = path.join(tmpDir, 'storage-state.json');
+  fs.writeFileSync(stateFile, JSON.stringify({ cookies: [], origins: [] }));
+  const port = 40000 + Math.floor(Math.random() * 10000);
+
+  const server = spawn(process.execPath, [path.join(import.meta.dirname, 'server.js')], {
+    env: {
+      ...process.env,
+      ASK_QUESTION_CHATGPT_URL: fake.url,
+      ASK_QUESTION_STORAGE_STATE_FILE: stateFile,
+      ASK_QUESTION_JOBS_DIR: path.join(tmpDir, 'jobs'),
+      ASK_QUESTION_PORT: String(port)
+    },
+    stdio: 'ignore'
+  });
+  t.after(() => server.kill());
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 30000;
+  while (!(await fetch(`${baseUrl}/health`).then((r) => r.ok, () => false))) {
+    assert.ok(Date.now() < deadline, 'server did not start');
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+
+  const res = await fetch(`${baseUrl}/ask`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt: 'via daemon', newChat: true, timeout: 20000 })
+  });
+  const data = await res.json();
+  assert.strictEqual(data.ok, true);
+  assert.strictEqual(data.text, 'Echo: via daemon');
+  assert.ok(data.conversationId);
+});
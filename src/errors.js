@@ -0,0 +1,93 @@
+/**
+ * Error taxonomy shared by the daemon and CLI.
+ * Errors stay plain Error objects with a stable `code` property, created with
+ * relayError(); this table maps each code to the HTTP status the daemon
+ * answers with and the exit code ask-question ends with.
+ */
+
+export const ERROR_CODES = {
+  INTERNAL: { status: 500, exitCode: 1, description: 'Unexpected failure' },
+  INVALID_REQUEST: { status: 400, exitCode: 2, description: 'Bad option, model, mode, attachment or conversation ID' },
+  NOT_LOGGED_IN: { status: 401, exitCode: 3, description: 'Session expired; run ask-question-login' },
+  RATE_LIMITED: { status: 429, exitCode: 4, description: 'The chat site is rate limiting the account' },
+  QUEUE_FULL: { status: 429, exitCode: 5, description: 'Too many requests waiting in the daemon' },
+  TIMEOUT: { status: 504, exitCode: 6, description: 'No response within the timeout' },
+  PARTIAL_RESPONSE: { status: 504, exitCode: 7, description: 'Timed out mid-response; partial text is included' },
+  UI_CHANGED: { status: 502, exitCode: 8, description: 'Selectors no longer match or a modal blocks the page' },
+  CHATGPT_ERROR: { status: 502, exitCode: 9, description: 'The chat site showed an error' },
+  CANCELLED: { status: 409, exitCode: 10, description: 'Request was cancelled' },
+  NOT_FOUND: { status: 404, exitCode: 11, description: 'No such job or route' },
+  CONFLICT: { status: 409, exitCode: 12, description: 'Job already finished' },
+  SERVER_UNAVAILABLE: { status: 503, exitCode: 13, description: 'Daemon not running or not responding' },
+  UNAUTHORIZED: { status: 401, exitCode: 14, description: 'Missing or invalid API token' },
+  FORBIDDEN: { status: 403, exitCode: 15, description: 'Request from a browser page or a non-loopback Host' },
+  PAYLOAD_TOO_LARGE: { status: 413, exitCode: 16, description: 'Request body over the daemon\'s size limit' }
+};
+
+/**
+ * Create an error with a code from ERROR_CODES.
+ * @param {string} code
+ * @param {string} message
+ * @param {object} props - Extra properties (e.g. partialText)
+ * @returns {Error}
+ */
+export function relayError(code, message, props = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, props);
+  return error;
+}
+
+/**
+ * The taxonomy code for any error; uncoded errors are INTERNAL.
+ * @param {Error} error
+ * @returns {string}
+ */
+export function errorCode(error) {
+  return error?.code && ERROR_CODES[error.code] ? error.code : 'INTERNAL';
+}
+
+/**
+ * HTTP status for an error.
+ * @param {Error} error
+ * @returns {number}
+ */
+export function httpStatus(error) {
+  return ERROR_CODES[errorCode(error)].status;
+}
+
+/**
+ * CLI exit code for an error.
+ * @param {Error} error
+ * @returns {number}
+ */
+export function exitCode(error) {
+  return ERROR_CODES[errorCode(error)].exitCode;
+}
+
+/**
+ * JSON body describing an error, as sent by the daemon.
+ * @param {Error} error
+ * @returns {{ ok: false, error: string, code: string, text?: string, retryAt?: string, attempts?: object[] }}
+ */
+export function errorBody(error) {
+  const body = { ok: false, error: error.message, code: errorCode(error) };
+  if (error.partialText) body.text = error.partialText;
+  if (error.retryAt) body.retryAt = error.retryAt;
+  if (error.attempts) body.attempts = error.attempts;
+  return body;
+}
+
+/**
+ * Rebuild an error from a daemon JSON body (the inverse of errorBody).
+ * @param {object} data
+ * @param {string} fallback - Message when the body has none
+ * @returns {Error}
+ */
+export function errorFromBody(data, fallback = 'Unknown server error') {
+  const props = {};
+  if (data?.text) props.partialText = data.text;
+  if (data?.retryAt) props.retryAt = data.retryAt;
+  if (data?.attempts) props.attempts = data.attempts;
+  return relayError(data?.code || 'INTERNAL', data?.error || fallback, props);
+}
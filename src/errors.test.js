@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ERROR_CODES, relayError, errorCode, httpStatus, exitCode, errorBody, errorFromBody } from './errors.js';
+
+test('exit codes are distinct and never 0', () => {
+  const codes = Object.values(ERROR_CODES).map((c) => c.exitCode);
+  assert.strictEqual(new Set(codes).size, codes.length);
+  assert.ok(codes.every((c) => c > 0 && c < 126));
+});
+
+test('relayError sets the code and extra properties', () => {
+  const error = relayError('PARTIAL_RESPONSE', 'Timed out', { partialText: 'half' });
+  assert.ok(error instanceof Error);
+  assert.strictEqual(error.code, 'PARTIAL_RESPONSE');
+  assert.strictEqual(error.partialText, 'half');
+});
+
+test('uncoded and unknown errors are INTERNAL', () => {
+  assert.strictEqual(errorCode(new Error('boom')), 'INTERNAL');
+  assert.strictEqual(errorCode(Object.assign(new Error('x'), { code: 'ENOENT' })), 'INTERNAL');
+  assert.strictEqual(httpStatus(new Error('boom')), 500);
+  assert.strictEqual(exitCode(new Error('boom')), 1);
+});
+
+test('codes map to HTTP statuses and exit codes', () => {
+  assert.strictEqual(httpStatus(relayError('NOT_LOGGED_IN', 'x')), 401);
+  assert.strictEqual(httpStatus(relayError('RATE_LIMITED', 'x')), 429);
+  assert.strictEqual(httpStatus(relayError('PAYLOAD_TOO_LARGE', 'x')), 413);
+  assert.strictEqual(exitCode(relayError('TIMEOUT', 'x')), 6);
+  assert.strictEqual(exitCode(relayError('UI_CHANGED', 'x')), 8);
+});
+
+test('errorBody and errorFromBody round-trip code and partial text', () => {
+  const body = errorBody(relayError('PARTIAL_RESPONSE', 'Timed out', { partialText: 'half' }));
+  assert.deepStrictEqual(body, { ok: false, error: 'Timed out', code: 'PARTIAL_RESPONSE', text: 'half' });
+
+  const error = errorFromBody(body);
+  assert.strictEqual(error.code, 'PARTIAL_RESPONSE');
+  assert.strictEqual(error.message, 'Timed out');
+  assert.strictEqual(error.partialText, 'half');
+
+  assert.strictEqual(errorFromBody({}).message, 'Unknown server error');
+  assert.strictEqual(errorFromBody({}).code, 'INTERNAL');
+});
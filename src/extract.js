@@ -0,0 +1,117 @@
+/**
+ * Structured data from assistant messages: fenced code blocks and cited
+ * sources, returned alongside the text when a request sets `extract`.
+ *
+ * extractStructured runs inside the page via locator.evaluate(), so like
+ * domToMarkdown it must be self-contained and only touch nodeType,
+ * nodeName, childNodes, getAttribute and textContent.
+ */
+
+// File extensions for code block languages that don't use their own name
+const EXTENSIONS = {
+  javascript: 'js', typescript: 'ts', python: 'py', ruby: 'rb', rust: 'rs', kotlin: 'kt', csharp: 'cs',
+  'c#': 'cs', 'c++': 'cpp', shell: 'sh', bash: 'sh', zsh: 'sh', powershell: 'ps1', yaml: 'yml',
+  markdown: 'md', plaintext: 'txt', text: 'txt', golang: 'go', perl: 'pl', haskell: 'hs', dockerfile: 'Dockerfile'
+};
+
+/**
+ * @typedef {object} CodeBlock
+ * @property {string} language - From the block's language-* class; '' if unlabelled
+ * @property {string} code
+ */
+
+/**
+ * @typedef {object} Source
+ * @property {string} title - Link text (for citation pills, usually the site name)
+ * @property {string} url - Without the utm_source the site adds to citations
+ */
+
+/**
+ * Collect the code blocks and linked sources of a rendered message.
+ * Links inside code blocks are ignored; each URL is listed once.
+ * @param {Node} root
+ * @returns {{ codeBlocks: CodeBlock[], sources: Source[] }}
+ */
+export function extractStructured(root) {
+  const ELEMENT_NODE = 1;
+  const tagOf = (node) => String(node.nodeName).toUpperCase();
+  const elementChildren = (node) => Array.from(node.childNodes).filter((c) => c.nodeType === ELEMENT_NODE);
+
+  function findFirst(node, predicate) {
+    for (const child of elementChildren(node)) {
+      if (predicate(child)) return child;
+      const found = findFirst(child, predicate);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function cleanUrl(href) {
+    try {
+      const url = new URL(href);
+      url.searchParams.delete('utm_source');
+      return url.toString();
+    } catch {
+      return href;
+    }
+  }
+
+  const codeBlocks = [];
+  const sources = [];
+  const seen = new Set();
+
+  (function visit(node) {
+    for (const child of elementChildren(node)) {
+      const tag = tagOf(child);
+      if (tag === 'PRE') {
+        const code = findFirst(child, (n) => tagOf(n) === 'CODE') || child;
+        const langClass = (code.getAttribute('class') || '').split(/\s+/).find((c) => c.startsWith('language-'));
+        codeBlocks.push({
+          language: langClass ? langClass.slice('language-'.length) : '',
+          code: code.textContent.replace(/\n$/, '')
+        });
+        continue;
+      }
+      if (tag === 'A' && /^https?:\/\//i.test(child.getAttribute('href') || '')) {
+        const url = cleanUrl(child.getAttribute('href'));
+        if (!seen.has(url)) {
+          seen.add(url);
+          const title = child.textContent.replace(/\s+/g, ' ').trim();
+          let hostname = '';
+          try {
+            hostname = new URL(url).hostname;
+          } catch {
+            // Not a URL after all ("https://"); fall back to the href itself
+          }
+          sources.push({ title: title || hostname || url, url });
+        }
+        continue;
+      }
+      visit(child);
+    }
+  })(root);
+
+  return { codeBlocks, sources };
+}
+
+/**
+ * File names for writing code blocks out: block-1.py, block-2.sh, ...
+ * @param {CodeBlock[]} codeBlocks
+ * @returns {Array<{ name: string, code: string }>}
+ */
+export function codeBlockFiles(codeBlocks) {
+  return codeBlocks.map(({ language, code }, i) => {
+    const lang = language.toLowerCase();
+    const ext = EXTENSIONS[lang] ?? (/^[a-z0-9]{1,10}$/.test(lang) ? lang : 'txt');
+    return { name: `block-${i + 1}.${ext}`, code: code.endsWith('\n') ? code : `${code}\n` };
+  });
+}
+
+/**
+ * Numbered citation list, one source per line.
+ * @param {Source[]} sources
+ * @returns {string}
+ */
+export function formatSources(sources) {
+  return sources.map(({ title, url }, i) => `[${i + 1}] ${title} - ${url}`).join('\n');
+}
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { extractStructured, codeBlockFiles, formatSources } from './extract.js';
+import { h } from './test-helpers.js';
+
+test('extractStructured collects code blocks with their language', () => {
+  const root = h('div', {},
+    h('p', {}, 'Run this:'),
+    h('pre', {},
+      h('div', {}, 'bash', h('button', {}, 'Copy code')),
+      h('code', { class: 'hljs language-bash' }, 'bazel build //...\n')),
+    h('pre', {}, h('code', {}, 'plain'))
+  );
+  assert.deepStrictEqual(extractStructured(root).codeBlocks, [
+    { language: 'bash', code: 'bazel build //...' },
+    { language: '', code: 'plain' }
+  ]);
+});
+
+test('extractStructured lists each cited URL once, without utm_source', () => {
+  const root = h('div', {},
+    h('p', {}, 'Bazel caches remotely ',
+      h('span', { 'data-testid': 'webpage-citation-pill' },
+        h('a', { href: 'https://bazel.build/remote/caching?utm_source=chatgpt.com' }, 'bazel.build'))),
+    h('p', {}, 'See ', h('a', { href: 'https://bazel.build/remote/caching' }, 'again'), ' and ',
+      h('a', { href: 'https://example.com/x?a=1&utm_source=chatgpt.com' }, h('img', { alt: 'icon' }))),
+    h('p', {}, h('a', { href: '#footnote' }, 'local'), h('a', { href: 'mailto:a@b.c' }, 'mail')),
+    h('p', {}, h('a', { href: 'https://' })),
+    h('pre', {}, h('code', {}, h('a', { href: 'https://in-code.example' }, 'https://in-code.example')))
+  );
+  assert.deepStrictEqual(extractStructured(root).sources, [
+    { title: 'bazel.build', url: 'https://bazel.build/remote/caching' },
+    { title: 'example.com', url: 'https://example.com/x?a=1' },
+    { title: 'https://', url: 'https://' }
+  ]);
+});
+
+test('codeBlockFiles numbers blocks and picks extensions', () => {
+  assert.deepStrictEqual(codeBlockFiles([
+    { language: 'Python', code: 'print(1)' },
+    { language: 'go', code: 'package main\n' },
+    { language: '', code: 'x' },
+    { language: 'objective-c', code: 'y' }
+  ]), [
+    { name: 'block-1.py', code: 'print(1)\n' },
+    { name: 'block-2.go', code: 'package main\n' },
+    { name: 'block-3.txt', code: 'x\n' },
+    { name: 'block-4.txt', code: 'y\n' }
+  ]);
+});
+
+test('formatSources numbers the citations', () => {
+  assert.strictEqual(formatSources([
+    { title: 'bazel.build', url: 'https://bazel.build/' },
+    { title: 'Buck2 docs', url: 'https://buck2.build/docs' }
+  ]), '[1] bazel.build - https://bazel.build/\n[2] Buck2 docs - https://buck2.build/docs');
+});
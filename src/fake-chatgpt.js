@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * Fake ChatGPT
+ *
+ * A small local stand-in for chatgpt.com, for end-to-end tests and for
+ * trying the daemon without an account. It mimics the parts of the real UI
+ * the relay depends on: composer, send/stop button lifecycle, streamed
+ * assistant messages, "Continue generating", error toasts, failed
+ * generations with Regenerate, usage-limit banners, /c/<id>
+ * conversation URLs, the model picker, the tools menu, file uploads and a
+ * logged-out redirect to /auth/login. setInterstitial() makes every page
+ * load open with a "what's new" dialog or an unrecognized one.
+ *
+ * The reply is "Echo: <prompt>". Markers in the prompt change behavior:
+ *   [slow]      stream slowly (for cancellation)
+ *   [continue]  stop halfway and show "Continue generating"
+ *   [error]     fail mid-stream with an error toast
+ *   [flaky]     fail the first generation with a Regenerate button
+ *   [limit]     show a usage-limit banner instead of replying
+ *   [markdown]  re-render the finished reply as rich HTML
+ *
+ * Usage: node src/fake-chatgpt.js [port]
+ *   then ASK_QUESTION_CHATGPT_URL=http://127.0.0.1:<port> ask-question-server
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const MODELS = [
+  { id: 'gpt-4o', label: 'GPT-4o' },
+  { id: 'o3', label: 'o3' }
+];
+
+const TOOLS = ['Web search', 'Think longer', 'Deep research'];
+
+const INTERSTITIALS = {
+  'whats-new': `<div role="dialog" aria-modal="true"><h2>What's new</h2><p>Projects are here.</p>
+    <button type="button" onclick="this.closest('[role=dialog]').remove()">Got it</button></div>`,
+  unknown: '<div role="dialog" aria-modal="true"><p>Please verify you are a human</p></div>'
+};
+
+function renderTurn({ role, html }) {
+  return `<div data-message-author-role="${role}"><div class="${role === 'assistant' ? 'markdown' : 'whitespace-pre-wrap'}">${html}</div></div>`;
+}
+
+// Runs in the browser. Kept free of template literals so it can be inlined as-is.
+function clientScript() {
+  const form = document.getElementById('composer-form');
+  const composer = document.getElementById('prompt-textarea');
+  const sendBtn = document.querySelector('[data-testid="send-button"]');
+  const stopBtn = document.querySelector('[data-testid="stop-button"]');
+  const thread = document.getElementById('thread');
+  const toasts = document.getElementById('toasts');
+  const fileInput = document.querySelector('input[type="file"]');
+  const chips = document.getElementById('attachments');
+  const modelBtn = document.querySelector('[data-testid="model-switcher-dropdown-button"]');
+  const modelMenu = document.getElementById('model-menu');
+  const toolsBtn = document.querySelector('[data-testid="composer-plus-btn"]');
+  const toolsMenu = document.getElementById('tools-menu');
+
+  let files = [];
+  let uploading = false;
+  let tool = null;
+  let stream = null;
+
+  function updateSend() {
+    sendBtn.disabled = uploading || composer.innerText.trim() === '';
+  }
+
+  function closeMenus() {
+    modelMenu.hidden = true;
+    toolsMenu.hidden = true;
+  }
+
+  composer.addEventListener('input', updateSend);
+  composer.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      if (!sendBtn.disabled) form.requestSubmit();
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeMenus();
+  });
+
+  modelBtn.addEventListener('click', () => {
+    toolsMenu.hidden = true;
+    modelMenu.hidden = !modelMenu.hidden;
+  });
+  modelMenu.addEventListener('click', (e) => {
+    const item = e.target.closest('[role="menuitem"]');
+    if (!item) return;
+    for (const other of modelMenu.querySelectorAll('[role="menuitem"]')) {
+      other.setAttribute('aria-checked', String(other === item));
+    }
+    document.getElementById('model-label').textContent = item.textContent;
+    closeMenus();
+  });
+
+  toolsBtn.addEventListener('click', () => {
+    modelMenu.hidden = true;
+    toolsMenu.hidden = !toolsMenu.hidden;
+  });
+  toolsMenu.addEventListener('click', (e) => {
+    const item = e.target.closest('[role="menuitemcheckbox"]');
+    if (!item) return;
+    tool = item.textContent;
+    closeMenus();
+  });
+
+  fileInput.addEventListener('change', () => {
+    files = files.concat(Array.from(fileInput.files).map((f) => f.name));
+    chips.textContent = files.join(', ');
+    // Simulate the upload taking a moment
+    uploading = true;
+    const progress = document.createElement('div');
+    progress.setAttribute('role', 'progressbar');
+    progress.textContent = 'Uploading...';
+    chips.appendChild(progress);
+    updateSend();
+    setTimeout(() => {
+      progress.remove();
+      uploading = false;
+      updateSend();
+    }, 300);
+  });
+
+  function conversationId() {
+    const match = location.pathname.match(/^\/c\/([\w-]+)/);
+    return match ? match[1] : null;
+  }
+
+  function addTurn(role, text) {
+    const turn = document.createElement('div');
+    turn.setAttribute('data-message-author-role', role);
+    const body = document.createElement('div');
+    body.className = role === 'assistant' ? 'markdown' : 'whitespace-pre-wrap';
+    body.textContent = text;
+    turn.appendChild(body);
+    thread.appendChild(turn);
+    return body;
+  }
+
+  function setGenerating(on) {
+    stopBtn.hidden = !on;
+    sendBtn.hidden = on;
+    updateSend();
+  }
+
+  function save(user, assistant) {
+    return fetch('/api/conversation/' + conversationId(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ user: user, assistant: assistant })
+    });
+  }
+
+  function buildReply(prompt) {
+    const notes = [];
+    const model = modelMenu.querySelector('[aria-checked="true"]');
+    if (model && model.getAttribute('data-testid') !== 'model-switcher-gpt-4o') notes.push('model: ' + model.textContent);
+    if (tool) notes.push('tool: ' + tool);
+    if (files.length) notes.push('files: ' + files.join(', '));
+    return 'Echo: ' + prompt + (notes.length ? ' (' + notes.join('; ') + ')' : '');
+  }
+
+  function showToast(text) {
+    const toast = document.createElement('div');
+    toast.setAttribute('role', 'alert');
+    toast.setAttribute('data-testid', 'error-toast');
+    toast.textContent = text;
+    toasts.appendChild(toast);
+  }
+
+  // Stream words into the message; stopAt pauses for "Continue generating"
+  function streamWords(body, words, from, opts, onEnd) {
+    let i = from;
+    const timer = setInterval(() => {
+      if (opts.errorAt !== undefined && i === opts.errorAt) {
+        clearInterval(timer);
+        stream = null;
+        setGenerating(false);
+        showToast('Something went wrong while generating the response.');
+        return;
+      }
+      if (i >= words.length || i === opts.stopAt) {
+        clearInterval(timer);
+        stream = null;
+        onEnd(i);
+        return;
+      }
+      body.textContent += (i === 0 ? '' : ' ') + words[i];
+      i++;
+    }, opts.delay);
+    stream = { stop: () => { clearInterval(timer); stream = null; onEnd(-1); } };
+  }
+
+  function showLimitBanner() {
+    const banner = document.createElement('div');
+    banner.setAttribute('data-testid', 'usage-limit-banner');
+    banner.textContent = 'You have reached the usage limit for this model. Try again in 2 hours.';
+    toasts.appendChild(banner);
+  }
+
+  // Mid-reply failure with a Regenerate button that streams the reply again
+  function failGeneration(body, words, opts, onEnd) {
+    const turn = body.parentNode;
+    const error = document.createElement('div');
+    error.setAttribute('data-testid', 'generation-error');
+    error.textContent = 'There was an error generating a response';
+    const regen = document.createElement('button');
+    regen.type = 'button';
+    regen.setAttribute('data-testid', 'regenerate-button');
+    regen.textContent = 'Regenerate';
+    regen.addEventListener('click', () => {
+      error.remove();
+      regen.remove();
+      body.textContent = '';
+      setGenerating(true);
+      streamWords(body, words, 0, { delay: opts.delay }, onEnd);
+    });
+    turn.appendChild(error);
+    turn.appendChild(regen);
+    setGenerating(false);
+  }
+
+  function respond(prompt, user) {
+    const reply = buildReply(prompt);
+    const words = reply.split(' ');
+    const opts = { delay: prompt.includes('[slow]') ? 400 : 40 };
+    if (prompt.includes('[continue]')) opts.stopAt = Math.ceil(words.length / 2);
+    if (prompt.includes('[error]')) opts.errorAt = Math.min(2, words.length);
+    if (prompt.includes('[flaky]')) opts.stopAt = Math.min(2, words.length);
+
+    if (prompt.includes('[limit]')) {
+      showLimitBanner();
+      return;
+    }
+
+    setGenerating(true);
+    setTimeout(() => {
+      const body = addTurn('assistant', '');
+
+      function finish() {
+        if (prompt.includes('[markdown]')) {
+          body.innerHTML = '<h2>Answer</h2><p>' + body.textContent.replace(/[&<>]/g, '') +
+            ' with <strong>bold</strong> text.</p><pre><code class="language-js">const answer = 42;</code></pre>' +
+            '<p>Source: <a href="https://bazel.build/?utm_source=chatgpt.com">bazel.build</a></p>';
+        }
+        if (prompt.includes('[artifacts]')) {
+          // A 1x1 PNG and a file that only exists in the page, like code interpreter output
+          const csv = URL.createObjectURL(new Blob(['a,b\n1,2\n'], { type: 'text/csv' }));
+          body.innerHTML = '<p>Here is your chart.</p><img alt="Generated image" src="data:image/png;base64,' +
+            'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=">' +
+            '<p><a href="' + csv + '" download="data.csv">data.csv</a></p>';
+        }
+        setGenerating(false);
+        save(user, body.innerHTML);
+      }
+
+      streamWords(body, words, 0, opts, (end) => {
+        if (end === opts.stopAt && prompt.includes('[flaky]')) {
+          failGeneration(body, words, opts, finish);
+          return;
+        }
+        if (end === opts.stopAt) {
+          setGenerating(false);
+          const cont = document.createElement('button');
+          cont.type = 'button';
+          cont.setAttribute('data-testid', 'continue-button');
+          cont.textContent = 'Continue generating';
+          cont.addEventListener('click', () => {
+            cont.remove();
+            setGenerating(true);
+            streamWords(body, words, end, { delay: opts.delay }, finish);
+          });
+          thread.appendChild(cont);
+          return;
+        }
+        finish();
+      });
+    }, 200);
+  }
+
+  stopBtn.addEventListener('click', () => {
+    if (stream) stream.stop();
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const prompt = composer.innerText.trim();
+    if (!prompt || uploading) return;
+
+    composer.textContent = '';
+    toasts.textContent = '';
+    const userBody = addTurn('user', prompt);
+    if (!conversationId()) {
+      history.pushState(null, '', '/c/' + crypto.randomUUID());
+    }
+    respond(prompt, userBody.innerHTML);
+    files = [];
+    chips.textContent = '';
+    tool = null;
+  });
+
+  updateSend();
+}
+
+function chatPage(turns, interstitial) {
+  const models = MODELS.map((m, i) =>
+    `<div role="menuitem" data-testid="model-switcher-${m.id}" aria-checked="${i === 0}">${m.label}</div>`
+  ).join('');
+  const tools = TOOLS.map((t) => `<div role="menuitemcheckbox">${t}</div>`).join('');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>ChatGPT (fake)</title>
+<style>
+  body { font-family: sans-serif; display: flex; margin: 0; }
+  nav { width: 200px; padding: 1em; background: #f4f4f4; }
+  main { flex: 1; padding: 1em; }
+  [role="menu"] { border: 1px solid #ccc; padding: 0.5em; }
+  [data-message-author-role] { margin: 0.5em 0; }
+  #prompt-textarea { border: 1px solid #ccc; min-height: 2em; padding: 0.5em; }
+</style>
+</head>
+<body>
+<nav aria-label="Chat history"><a href="/">New chat</a></nav>
+<main>
+  <header>
+    <button type="button" data-testid="model-switcher-dropdown-button" aria-haspopup="menu">ChatGPT <span id="model-label">${MODELS[0].label}</span></button>
+    <div role="menu" id="model-menu" hidden>${models}</div>
+  </header>
+  <div id="thread">${turns.map(renderTurn).join('')}</div>
+  <div id="toasts"></div>
+  <form id="composer-form">
+    <button type="button" data-testid="composer-plus-btn" aria-label="Choose tool">+</button>
+    <div role="menu" id="tools-menu" hidden>${tools}</div>
+    <input type="file" multiple hidden>
+    <div id="attachments"></div>
+    <div id="prompt-textarea" contenteditable="true" data-placeholder="Ask anything"></div>
+    <button type="submit" data-testid="send-button" aria-label="Send prompt" disabled>Send</button>
+    <button type="button" data-testid="stop-button" aria-label="Stop streaming" hidden>Stop</button>
+  </form>
+</main>
+${interstitial ? INTERSTITIALS[interstitial] : ''}
+<script>(${clientScript.toString()})();</script>
+</body>
+</html>`;
+}
+
+const LOGIN_PAGE = `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Log in (fake)</title></head>
+<body>
+<form method="post" action="/auth/login"><button type="submit">Log in</button></form>
+</body>
+</html>`;
+
+/**
+ * Start the fake ChatGPT server.
+ * @param {object} opts
+ * @param {number} opts.port - Port to listen on (default: 0, any free port)
+ * @param {boolean} opts.loggedIn - Start logged in (default: true)
+ * @param {'whats-new'|'unknown'|null} opts.interstitial - Dialog shown on page load (default: none)
+ * @returns {Promise<{ url: string, setLoggedIn: function(boolean): void, setInterstitial: function(string|null): void, close: function(): Promise<void> }>}
+ */
+export function startFakeChatGPT({ port = 0, loggedIn = true, interstitial = null } = {}) {
+  const conversations = new Map(); // id -> [{ role, html }]
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/auth/login') {
+      if (req.method === 'POST') {
+        loggedIn = true;
+        res.writeHead(303, { Location: '/' });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(LOGIN_PAGE);
+      return;
+    }
+
+    const saveMatch = pathname.match(/^\/api\/conversation\/([\w-]+)$/);
+    if (req.method === 'POST' && saveMatch) {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const { user, assistant } = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      const turns = conversations.get(saveMatch[1]) ?? [];
+      turns.push({ role: 'user', html: user }, { role: 'assistant', html: assistant });
+      conversations.set(saveMatch[1], turns);
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const pageMatch = pathname.match(/^\/(?:c\/([\w-]+))?$/);
+    if (req.method === 'GET' && pageMatch) {
+      if (!loggedIn) {
+        res.writeHead(302, { Location: '/auth/login' });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(chatPage(pageMatch[1] ? conversations.get(pageMatch[1]) ?? [] : [], interstitial));
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        setLoggedIn: (value) => { loggedIn = value; },
+        setInterstitial: (value) => { interstitial = value; },
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fake = await startFakeChatGPT({ port: parseInt(process.argv[2] || '4000', 10) });
+  console.log(`[fake-chatgpt] Listening on ${fake.url}`);
+  console.log(`[fake-chatgpt] Run: ASK_QUESTION_CHATGPT_URL=${fake.url} ask-question-server`);
+}
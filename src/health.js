@@ -0,0 +1,167 @@
+import fs from 'node:fs';
+
+/**
+ * Session health: periodic login checks, storage-state refresh and
+ * expiry alerts for the daemon's browser contexts.
+ */
+
+/**
+ * Path of the metadata file kept next to a storage state file.
+ * @param {string} stateFile
+ * @returns {string}
+ */
+export function sessionMetaFile(stateFile) {
+  return stateFile.replace(/\.json$/, '') + '.meta.json';
+}
+
+/**
+ * Read a session's metadata. Sessions saved before the metadata file existed
+ * take the storage state's mtime as the login time, written to a new
+ * metadata file when first seen: refreshes rewrite the storage state, so its
+ * mtime only stands in for the login time once.
+ * @param {string} stateFile
+ * @returns {{ loginAt: string|null }}
+ */
+export function readSessionMeta(stateFile) {
+  try {
+    return JSON.parse(fs.readFileSync(sessionMetaFile(stateFile), 'utf8'));
+  } catch {
+    let meta;
+    try {
+      meta = { loginAt: fs.statSync(stateFile).mtime.toISOString() };
+    } catch {
+      return { loginAt: null };
+    }
+    try {
+      fs.writeFileSync(sessionMetaFile(stateFile), JSON.stringify(meta, null, 2), 'utf8');
+    } catch (e) {
+      console.error(`[ask-question-server] Could not save session metadata: ${e.message}`);
+    }
+    return meta;
+  }
+}
+
+/**
+ * Record that a session was just logged in (called by the login helper).
+ * @param {string} stateFile
+ */
+export function recordLogin(stateFile) {
+  fs.writeFileSync(sessionMetaFile(stateFile), JSON.stringify({ loginAt: new Date().toISOString() }, null, 2), 'utf8');
+}
+
+/**
+ * Write a context's current cookies + localStorage over its storage state file.
+ * Written atomically so a crash never leaves a truncated session behind.
+ * @param {import('playwright').BrowserContext} context
+ * @param {string} stateFile
+ */
+export async function saveStorageState(context, stateFile) {
+  const state = await context.storageState();
+  const tmp = `${stateFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmp, stateFile);
+}
+
+/**
+ * Create a monitor that periodically checks a session is still logged in.
+ * While logged in, the session is refreshed (saved back to disk) every
+ * refreshIntervalMs; a logged-out session is never saved, so a good file on
+ * disk isn't overwritten. onExpired fires once per transition to logged out.
+ * @param {object} opts
+ * @param {function(): Promise<boolean>} opts.check - Resolves true if logged in
+ * @param {function(): Promise<void>} opts.refresh - Saves the session
+ * @param {function(): void} opts.onExpired - Called when the session stops being logged in
+ * @param {number} opts.intervalMs - Time between login checks
+ * @param {number} opts.refreshIntervalMs - Min time between refreshes
+ * @param {boolean|null} opts.loggedIn - Known login state at creation (e.g. from the startup check)
+ * @param {function(): number} opts.now - Clock (for tests)
+ * @returns {object} Monitor with start(), stop(), checkNow(), refreshNow() and status()
+ */
+export function createSessionMonitor(opts) {
+  const {
+    check,
+    refresh,
+    onExpired,
+    intervalMs = 5 * 60 * 1000,
+    refreshIntervalMs = 30 * 60 * 1000,
+    loggedIn = null,
+    now = Date.now
+  } = opts;
+
+  const state = {
+    loggedIn,
+    checkedAt: null,
+    refreshedAt: null,
+    error: null
+  };
+  let lastRefresh = now();
+  let timer = null;
+  let running = null;
+
+  async function runCheck() {
+    let loggedIn;
+    try {
+      loggedIn = await check();
+      state.error = null;
+    } catch (e) {
+      // A failed check (page crash, navigation timeout) isn't proof of logout
+      state.error = e.message;
+      state.checkedAt = new Date(now()).toISOString();
+      return state.loggedIn;
+    }
+
+    const wasLoggedIn = state.loggedIn;
+    state.loggedIn = loggedIn;
+    state.checkedAt = new Date(now()).toISOString();
+
+    if (!loggedIn) {
+      if (wasLoggedIn !== false) onExpired?.();
+      return false;
+    }
+
+    if (now() - lastRefresh >= refreshIntervalMs) {
+      await refreshNow();
+    }
+    return true;
+  }
+
+  /**
+   * Save the session now if it is logged in (e.g. on shutdown).
+   */
+  async function refreshNow() {
+    if (!state.loggedIn) return;
+    try {
+      await refresh();
+      lastRefresh = now();
+      state.refreshedAt = new Date(lastRefresh).toISOString();
+    } catch (e) {
+      state.error = `Refresh failed: ${e.message}`;
+    }
+  }
+
+  /**
+   * Run a check immediately (or join the one in progress).
+   * @returns {Promise<boolean|null>} Login state, or null if never determined
+   */
+  function checkNow() {
+    running ??= runCheck().finally(() => { running = null; });
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => { checkNow(); }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    return { ...state };
+  }
+
+  return { start, stop, checkNow, refreshNow, status };
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createSessionMonitor, readSessionMeta, recordLogin, sessionMetaFile } from './health.js';
+import { tmpDir } from './test-helpers.js';
+
+function fakeSession(results) {
+  let clock = 0;
+  const calls = { refresh: 0, expired: 0 };
+  const monitor = createSessionMonitor({
+    check: async () => {
+      const result = results.shift();
+      if (result instanceof Error) throw result;
+      return result;
+    },
+    refresh: async () => { calls.refresh++; },
+    onExpired: () => { calls.expired++; },
+    refreshIntervalMs: 1000,
+    loggedIn: true,
+    now: () => clock
+  });
+  return { monitor, calls, advance: (ms) => { clock += ms; } };
+}
+
+test('monitor refreshes a logged-in session at most once per interval', async () => {
+  const { monitor, calls, advance } = fakeSession([true, true, true]);
+
+  await monitor.checkNow();
+  assert.strictEqual(calls.refresh, 0);
+
+  advance(1000);
+  await monitor.checkNow();
+  await monitor.checkNow();
+  assert.strictEqual(calls.refresh, 1);
+  assert.strictEqual(monitor.status().refreshedAt, new Date(1000).toISOString());
+});
+
+test('monitor alerts once on expiry and never saves a logged-out session', async () => {
+  const { monitor, calls, advance } = fakeSession([false, false, true, false]);
+
+  advance(5000);
+  assert.strictEqual(await monitor.checkNow(), false);
+  assert.strictEqual(await monitor.checkNow(), false);
+  await monitor.refreshNow();
+  assert.deepStrictEqual(calls, { refresh: 0, expired: 1 });
+
+  // Logging back in and expiring again alerts again
+  await monitor.checkNow();
+  await monitor.checkNow();
+  assert.strictEqual(calls.expired, 2);
+});
+
+test('a failed check keeps the last known state', async () => {
+  const { monitor, calls } = fakeSession([new Error('Navigation timeout')]);
+
+  assert.strictEqual(await monitor.checkNow(), true);
+  assert.strictEqual(monitor.status().error, 'Navigation timeout');
+  assert.strictEqual(calls.expired, 0);
+});
+
+test('recordLogin stores the login time next to the storage state', () => {
+  const dir = tmpDir('health');
+  const stateFile = path.join(dir, 'storage-state.json');
+  fs.writeFileSync(stateFile, '{}');
+
+  // Older sessions fall back to the storage state's mtime, kept from when first seen
+  const firstSeen = fs.statSync(stateFile).mtime.toISOString();
+  assert.strictEqual(readSessionMeta(stateFile).loginAt, firstSeen);
+  const later = new Date(Date.parse(firstSeen) + 3600000);
+  fs.utimesSync(stateFile, later, later);
+  assert.strictEqual(readSessionMeta(stateFile).loginAt, firstSeen);
+
+  recordLogin(stateFile);
+  assert.strictEqual(sessionMetaFile(stateFile), path.join(dir, 'storage-state.meta.json'));
+  assert.ok(Date.now() - Date.parse(readSessionMeta(stateFile).loginAt) < 5000);
+});
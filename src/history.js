@@ -0,0 +1,173 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/**
+ * Local prompt/response history.
+ * The server appends one JSON line per finished request (answered, failed or
+ * cancelled) to ~/.chatgpt-relay/history.jsonl; `ask-question history` reads
+ * the file directly, so old answers can be found without a running server.
+ */
+
+const UNITS_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * @typedef {object} HistoryRecord
+ * @property {string} id
+ * @property {string} source - 'ask', 'job', 'batch' or 'openai'
+ * @property {string|null} jobId
+ * @property {string} provider
+ * @property {string|null} model - Requested model (null: the site's default)
+ * @property {string|null} mode
+ * @property {string} format
+ * @property {string|null} conversationId
+ * @property {string} prompt
+ * @property {string[]} attachments - File names
+ * @property {string|null} text - Response (partial text for timeouts)
+ * @property {'done'|'error'|'cancelled'} status
+ * @property {string|null} error
+ * @property {string|null} errorCode
+ * @property {number} attempts
+ * @property {string} receivedAt
+ * @property {string|null} startedAt - When a worker picked it up
+ * @property {string} finishedAt
+ * @property {number|null} queuedMs
+ * @property {number} durationMs - Received to finished
+ */
+
+/**
+ * Append a record, creating the file owner-only (it holds every prompt).
+ * @param {string} file
+ * @param {Omit<HistoryRecord, 'id'>} record
+ * @returns {HistoryRecord} The record with its new ID
+ */
+export function appendHistory(file, record) {
+  const entry = { id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`, ...record };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n', { encoding: 'utf8', mode: 0o600 });
+  return entry;
+}
+
+/**
+ * Read all records, oldest first. Unparseable lines (e.g. a write cut short
+ * by a crash) are skipped.
+ * @param {string} file
+ * @returns {HistoryRecord[]}
+ */
+export function readHistory(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch {
+    return [];
+  }
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Skip it
+    }
+  }
+  return records;
+}
+
+/**
+ * Parse a --since value: a date ("2026-10-13") or an age ("36h", "7d", "2w").
+ * @param {string} value
+ * @param {number} now
+ * @returns {Date|null} null if it isn't either
+ */
+export function parseSince(value, now = Date.now()) {
+  const age = /^(\d+)\s*([hdw])$/i.exec(value.trim());
+  if (age) return new Date(now - Number(age[1]) * UNITS_MS[age[2].toLowerCase()]);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Find records, newest first.
+ * @param {string} file
+ * @param {object} opts
+ * @param {string} opts.text - Words that must all appear in the prompt, response or error (case-insensitive)
+ * @param {Date} opts.since - Only records received after this
+ * @param {string} opts.provider
+ * @param {string} opts.status
+ * @param {number} opts.limit
+ * @returns {HistoryRecord[]}
+ */
+export function queryHistory(file, { text = null, since = null, provider = null, status = null, limit = null } = {}) {
+  const words = text ? text.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const matches = readHistory(file).reverse().filter((record) => {
+    if (since && new Date(record.receivedAt) < since) return false;
+    if (provider && record.provider !== provider) return false;
+    if (status && record.status !== status) return false;
+    if (words.length === 0) return true;
+    const haystack = [record.prompt, record.text, record.error].filter(Boolean).join('\n').toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+  return limit ? matches.slice(0, limit) : matches;
+}
+
+/**
+ * Look up a record by ID or unique ID prefix.
+ * @param {string} file
+ * @param {string} id
+ * @returns {HistoryRecord|null} null if no record (or more than one) matches
+ */
+export function getHistoryRecord(file, id) {
+  const records = readHistory(file);
+  const exact = records.find((record) => record.id === id);
+  if (exact) return exact;
+  const matches = records.filter((record) => record.id.startsWith(id));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * One-line summary of a record, for lists.
+ * @param {HistoryRecord} record
+ * @returns {string}
+ */
+export function formatHistoryLine(record) {
+  const target = record.model ? `${record.provider}/${record.model}` : record.provider;
+  const preview = record.prompt.replace(/\s+/g, ' ').slice(0, 60);
+  return `${record.id}  ${record.status.padEnd(9)}  ${record.receivedAt}  ${target.padEnd(16)}  ${preview}`;
+}
+
+/**
+ * Render records as Markdown: a heading and details per record, then the
+ * prompt and response.
+ * @param {HistoryRecord[]} records
+ * @returns {string}
+ */
+export function historyToMarkdown(records) {
+  return records.map((record) => {
+    const details = [
+      `- ID: ${record.id}`,
+      `- Date: ${record.receivedAt}`,
+      `- Provider: ${record.provider}${record.model ? ` (model: ${record.model})` : ''}${record.mode ? `, mode: ${record.mode}` : ''}`,
+      record.conversationId && `- Conversation: ${record.conversationId}`,
+      `- Status: ${record.status}${record.errorCode ? ` (${record.errorCode}: ${record.error})` : ''}`,
+      `- Duration: ${(record.durationMs / 1000).toFixed(1)}s${record.queuedMs ? ` (${(record.queuedMs / 1000).toFixed(1)}s queued)` : ''}` +
+        (record.attempts > 1 ? `, ${record.attempts} attempts` : ''),
+      record.attachments?.length > 0 && `- Attachments: ${record.attachments.join(', ')}`
+    ].filter(Boolean);
+
+    const title = record.prompt.replace(/\s+/g, ' ').slice(0, 80);
+    return [
+      `## ${title}`,
+      '',
+      ...details,
+      '',
+      '### Prompt',
+      '',
+      record.prompt,
+      '',
+      '### Response',
+      '',
+      record.text ?? '_(no response)_',
+      ''
+    ].join('\n');
+  }).join('\n');
+}
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  appendHistory, readHistory, parseSince, queryHistory, getHistoryRecord, formatHistoryLine, historyToMarkdown
+} from './history.js';
+import { tmpDir } from './test-helpers.js';
+
+function tmpFile() {
+  return path.join(tmpDir('history'), 'history.jsonl');
+}
+
+function record(prompt, extra = {}) {
+  return {
+    source: 'ask',
+    jobId: null,
+    provider: 'chatgpt',
+    model: null,
+    mode: null,
+    format: 'text',
+    conversationId: 'c1',
+    prompt,
+    attachments: [],
+    text: `Answer to ${prompt}`,
+    status: 'done',
+    error: null,
+    errorCode: null,
+    attempts: 1,
+    receivedAt: '2026-10-13T10:00:00.000Z',
+    startedAt: '2026-10-13T10:00:01.000Z',
+    finishedAt: '2026-10-13T10:00:31.000Z',
+    queuedMs: 1000,
+    durationMs: 31000,
+    ...extra
+  };
+}
+
+test('appendHistory writes owner-only JSONL that readHistory reads back', () => {
+  const file = tmpFile();
+  assert.deepStrictEqual(readHistory(file), []);
+
+  const entry = appendHistory(file, record('Why Bazel?'));
+  assert.match(entry.id, /^[a-z0-9]+-[0-9a-f]{6}$/);
+  fs.appendFileSync(file, '{"truncated\n');
+  appendHistory(file, record('Why Buck?'));
+
+  assert.deepStrictEqual(readHistory(file).map((r) => r.prompt), ['Why Bazel?', 'Why Buck?']);
+  assert.deepStrictEqual(readHistory(file)[0], entry);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('queryHistory filters by words, date, provider and status, newest first', () => {
+  const file = tmpFile();
+  appendHistory(file, record('Remote caching in Bazel', { receivedAt: '2026-10-06T09:00:00.000Z' }));
+  appendHistory(file, record('Buck vs Pants', { provider: 'claude', text: 'Bazel has better remote caching' }));
+  appendHistory(file, record('Broken one', { status: 'error', text: null, error: 'Blocked by modal', errorCode: 'UI_CHANGED' }));
+
+  assert.deepStrictEqual(queryHistory(file).map((r) => r.prompt), ['Broken one', 'Buck vs Pants', 'Remote caching in Bazel']);
+  assert.deepStrictEqual(queryHistory(file, { text: 'REMOTE bazel' }).map((r) => r.prompt), ['Buck vs Pants', 'Remote caching in Bazel']);
+  assert.deepStrictEqual(queryHistory(file, { text: 'modal' }).map((r) => r.prompt), ['Broken one']);
+  assert.deepStrictEqual(queryHistory(file, { since: new Date('2026-10-10') }).length, 2);
+  assert.deepStrictEqual(queryHistory(file, { provider: 'claude' }).map((r) => r.prompt), ['Buck vs Pants']);
+  assert.deepStrictEqual(queryHistory(file, { status: 'error', limit: 5 }).map((r) => r.prompt), ['Broken one']);
+  assert.strictEqual(queryHistory(file, { limit: 1 }).length, 1);
+});
+
+test('parseSince accepts dates and ages', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.strictEqual(parseSince('7d', now).toISOString(), '2026-10-12T12:00:00.000Z');
+  assert.strictEqual(parseSince('36h', now).toISOString(), '2026-10-18T00:00:00.000Z');
+  assert.strictEqual(parseSince('2026-10-13T00:00:00Z', now).toISOString(), '2026-10-13T00:00:00.000Z');
+  assert.strictEqual(parseSince('last tuesday', now), null);
+});
+
+test('getHistoryRecord finds records by ID or unique prefix', () => {
+  const file = tmpFile();
+  const a = appendHistory(file, record('A'));
+  assert.strictEqual(getHistoryRecord(file, a.id).prompt, 'A');
+  assert.strictEqual(getHistoryRecord(file, a.id.slice(0, -2)).prompt, 'A');
+  assert.strictEqual(getHistoryRecord(file, 'nope'), null);
+
+  appendHistory(file, { ...record('B'), id: `${a.id}x` });
+  assert.strictEqual(getHistoryRecord(file, a.id.slice(0, -2)), null);
+});
+
+test('records render as list lines and Markdown', () => {
+  const entry = { id: 'abc-123456', ...record('Why Bazel?', { model: 'o3', attempts: 2 }) };
+  assert.strictEqual(formatHistoryLine(entry), 'abc-123456  done       2026-10-13T10:00:00.000Z  chatgpt/o3        Why Bazel?');
+
+  const markdown = historyToMarkdown([entry]);
+  assert.match(markdown, /^## Why Bazel\?\n/);
+  assert.match(markdown, /- Duration: 31\.0s \(1\.0s queued\), 2 attempts/);
+  assert.match(markdown, /### Prompt\n\nWhy Bazel\?\n\n### Response\n\nAnswer to Why Bazel\?\n$/);
+});
@@ -0,0 +1,70 @@
+import { relayError } from './errors.js';
+
+/**
+ * Interstitial dismissal.
+ * Chat sites put up onboarding dialogs, "what's new" modals, cookie banners,
+ * upsells and "are you still there" prompts that block the composer. Each
+ * provider lists the ones it knows with a detector and a dismissal action;
+ * any other modal fails fast with its text instead of a 15s composer timeout.
+ */
+
+const MAX_ROUNDS = 3; // Dismissing one dialog sometimes reveals another
+const DISMISS_TIMEOUT_MS = 2000;
+
+/**
+ * @typedef {object} Interstitial
+ * @property {string} id - Short name, used in logs
+ * @property {string} detect - Selector that is visible while it is shown
+ * @property {string} [click] - Button that dismisses it (first visible match is clicked)
+ * @property {string} [press] - Key that dismisses it (default when click is missing or fails: Escape)
+ */
+
+async function isShown(page, selector) {
+  return page.locator(selector).first().isVisible({ timeout: 100 }).catch(() => false);
+}
+
+async function dismiss(page, interstitial) {
+  if (interstitial.click) {
+    const button = page.locator(interstitial.click).first();
+    const clicked = await button.click({ timeout: DISMISS_TIMEOUT_MS }).then(() => true, () => false);
+    if (clicked) return;
+  }
+  await page.keyboard.press(interstitial.press || 'Escape');
+}
+
+/**
+ * Dismiss any known interstitials, then fail if a modal is still in the way.
+ * @param {import('playwright').Page} page
+ * @param {object} opts
+ * @param {Interstitial[]} opts.interstitials - Known interstitials for this site
+ * @param {string} opts.modalSelector - Matches any blocking dialog (known or not)
+ * @param {string} opts.name - Log prefix
+ * @returns {Promise<string[]>} IDs of the interstitials that were dismissed
+ */
+export async function clearInterstitials(page, { interstitials = [], modalSelector = null, name }) {
+  const dismissed = [];
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    let found = false;
+    for (const interstitial of interstitials) {
+      if (!(await isShown(page, interstitial.detect))) continue;
+
+      found = true;
+      console.log(`[${name}] Dismissing interstitial: ${interstitial.id}`);
+      await dismiss(page, interstitial);
+      await page.locator(interstitial.detect).first()
+        .waitFor({ state: 'hidden', timeout: DISMISS_TIMEOUT_MS })
+        .catch(() => {});
+      dismissed.push(interstitial.id);
+    }
+    if (!found) break;
+  }
+
+  if (modalSelector && (await isShown(page, modalSelector))) {
+    const text = await page.locator(modalSelector).first().innerText().catch(() => '');
+    const summary = text.replace(/\s+/g, ' ').trim().slice(0, 200) || '(no text)';
+    throw relayError('UI_CHANGED', `Blocked by modal: ${summary}`);
+  }
+
+  return dismissed;
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { clearInterstitials } from './interstitials.js';
+
+// Fake page: `shown` maps visible selectors to their text; clicking or
+// pressing a key runs the matching handler, which can hide things
+function fakePage(shown, handlers = {}) {
+  const pressed = [];
+  const locator = (selector) => ({
+    first: () => locator(selector),
+    isVisible: async () => selector in shown,
+    innerText: async () => shown[selector],
+    waitFor: async () => {},
+    click: async () => {
+      if (!handlers[selector]) throw new Error('not clickable');
+      handlers[selector]();
+    }
+  });
+  return {
+    pressed,
+    locator,
+    keyboard: {
+      press: async (key) => {
+        pressed.push(key);
+        handlers[key]?.();
+      }
+    }
+  };
+}
+
+const WHATS_NEW = { id: 'whats-new', detect: '#whats-new', click: '#got-it' };
+const STILL_THERE = { id: 'still-there', detect: '#still-there' };
+const MODAL = '[role="dialog"]';
+
+test('dismisses known interstitials by clicking or pressing Escape', async () => {
+  const shown = { '#whats-new': '', '#still-there': '', [MODAL]: '' };
+  const page = fakePage(shown, {
+    '#got-it': () => { delete shown['#whats-new']; },
+    Escape: () => { delete shown['#still-there']; delete shown[MODAL]; }
+  });
+
+  const dismissed = await clearInterstitials(page, {
+    interstitials: [WHATS_NEW, STILL_THERE],
+    modalSelector: MODAL,
+    name: 'test'
+  });
+  assert.deepStrictEqual(dismissed, ['whats-new', 'still-there']);
+  assert.deepStrictEqual(page.pressed, ['Escape']);
+});
+
+test('falls back to Escape when the dismiss button is missing', async () => {
+  const shown = { '#whats-new': '' };
+  const page = fakePage(shown, { Escape: () => { delete shown['#whats-new']; } });
+
+  await clearInterstitials(page, { interstitials: [WHATS_NEW], name: 'test' });
+  assert.deepStrictEqual(page.pressed, ['Escape']);
+});
+
+test('fails with the text of an unknown modal', async () => {
+  const page = fakePage({ [MODAL]: 'Please verify\n  you are a human' });
+
+  await assert.rejects(
+    clearInterstitials(page, { interstitials: [WHATS_NEW], modalSelector: MODAL, name: 'test' }),
+    /^Error: Blocked by modal: Please verify you are a human$/
+  );
+});
@@ -0,0 +1,160 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/**
+ * Persistent job store for async requests.
+ * One JSON file per job so a crash mid-write only loses that job.
+ */
+
+const FINISHED_STATUSES = new Set(['done', 'error', 'cancelled']);
+
+/**
+ * Generate a short, roughly time-ordered job ID.
+ * @returns {string}
+ */
+function newJobId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function jobPath(dir, id) {
+  // IDs come from URLs; refuse anything that could escape the jobs directory
+  if (!/^[a-z0-9-]+$/i.test(id)) {
+    return null;
+  }
+  return path.join(dir, `${id}.json`);
+}
+
+function writeJob(dir, job) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = jobPath(dir, job.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(job, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Check whether a job has reached a terminal state.
+ * @param {object} job
+ * @returns {boolean}
+ */
+export function isFinished(job) {
+  return FINISHED_STATUSES.has(job.status);
+}
+
+/**
+ * Create and persist a new queued job.
+ * @param {string} dir - Jobs directory
+ * @param {object} request
+ * @param {string} request.prompt
+ * @param {object} request.options - Options passed through to the request queue
+ * @param {string} request.batchId - Batch the job runs an item of, if any (see batches.js)
+ * @returns {object} The new job
+ */
+export function createJob(dir, { prompt, options = {}, batchId = null }) {
+  const job = {
+    id: newJobId(),
+    status: 'queued',
+    prompt,
+    options,
+    ...(batchId && { batchId }),
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    text: null,
+    error: null
+  };
+  writeJob(dir, job);
+  return job;
+}
+
+/**
+ * Read a job by ID.
+ * @param {string} dir - Jobs directory
+ * @param {string} id
+ * @returns {object|null} The job, or null if it doesn't exist
+ */
+export function getJob(dir, id) {
+  const file = jobPath(dir, id);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Merge fields into a stored job.
+ * @param {string} dir - Jobs directory
+ * @param {string} id
+ * @param {object} patch
+ * @returns {object} The updated job
+ */
+export function updateJob(dir, id, patch) {
+  const job = getJob(dir, id);
+  if (!job) {
+    throw new Error(`Job not found: ${id}`);
+  }
+  const updated = { ...job, ...patch };
+  writeJob(dir, updated);
+  return updated;
+}
+
+/**
+ * List stored jobs, newest first.
+ * @param {string} dir - Jobs directory
+ * @param {object} opts
+ * @param {string} opts.status - Only return jobs with this status
+ * @param {number} opts.limit - Max jobs to return
+ * @returns {object[]}
+ */
+export function listJobs(dir, opts = {}) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  let jobs = fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  if (opts.status) {
+    jobs = jobs.filter((job) => job.status === opts.status);
+  }
+  if (opts.limit) {
+    jobs = jobs.slice(0, opts.limit);
+  }
+  return jobs;
+}
+
+/**
+ * Reconcile jobs left behind by a previous server process.
+ * Queued jobs never reached the browser, so they can be run again, as can
+ * jobs that were waiting to retry (parked on a usage limit or backing off).
+ * Running jobs may have been half-sent, so they are marked failed.
+ * @param {string} dir - Jobs directory
+ * @returns {object[]} Queued jobs to resubmit, oldest first
+ */
+export function recoverJobs(dir) {
+  const requeue = [];
+
+  for (const job of listJobs(dir)) {
+    if (job.status === 'running') {
+      updateJob(dir, job.id, {
+        status: 'error',
+        error: 'Interrupted by server restart',
+        finishedAt: new Date().toISOString()
+      });
+    } else if (job.status === 'queued' || job.status === 'parked' || job.status === 'retrying') {
+      requeue.push(job);
+    }
+  }
+
+  return requeue.reverse();
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { createJob, getJob, updateJob, listJobs, recoverJobs, isFinished } from './jobs.js';
+import { tmpDir } from './test-helpers.js';
+
+test('createJob persists a queued job that getJob can read back', () => {
+  const dir = tmpDir('jobs');
+  const job = createJob(dir, { prompt: 'hello', options: { newChat: true } });
+
+  assert.strictEqual(job.status, 'queued');
+  assert.deepStrictEqual(getJob(dir, job.id), job);
+});
+
+test('getJob returns null for unknown or unsafe IDs', () => {
+  const dir = tmpDir('jobs');
+  assert.strictEqual(getJob(dir, 'missing'), null);
+  assert.strictEqual(getJob(dir, '../storage-state'), null);
+});
+
+test('updateJob merges fields and isFinished reflects terminal states', () => {
+  const dir = tmpDir('jobs');
+  const job = createJob(dir, { prompt: 'hello' });
+  assert.strictEqual(isFinished(job), false);
+
+  const updated = updateJob(dir, job.id, { status: 'done', text: 'hi' });
+  assert.strictEqual(updated.prompt, 'hello');
+  assert.strictEqual(getJob(dir, job.id).text, 'hi');
+  assert.strictEqual(isFinished(updated), true);
+});
+
+test('listJobs filters by status', () => {
+  const dir = tmpDir('jobs');
+  const a = createJob(dir, { prompt: 'a' });
+  createJob(dir, { prompt: 'b' });
+  updateJob(dir, a.id, { status: 'done' });
+
+  assert.strictEqual(listJobs(dir).length, 2);
+  assert.deepStrictEqual(listJobs(dir, { status: 'done' }).map((j) => j.id), [a.id]);
+  assert.deepStrictEqual(listJobs(path.join(dir, 'nope')), []);
+});
+
+test('recoverJobs fails running jobs and returns queued ones', () => {
+  const dir = tmpDir('jobs');
+  const running = createJob(dir, { prompt: 'running' });
+  updateJob(dir, running.id, { status: 'running' });
+  const queued = createJob(dir, { prompt: 'queued' });
+
+  const requeue = recoverJobs(dir);
+
+  assert.deepStrictEqual(requeue.map((j) => j.id), [queued.id]);
+  assert.strictEqual(getJob(dir, running.id).status, 'error');
+  assert.match(getJob(dir, running.id).error, /restart/);
+});
+
+test('recoverJobs requeues jobs that were waiting to retry', () => {
+  const dir = tmpDir('jobs');
+  const parked = createJob(dir, { prompt: 'parked' });
+  updateJob(dir, parked.id, { status: 'parked', retryAt: new Date().toISOString() });
+
+  assert.deepStrictEqual(recoverJobs(dir).map((j) => j.id), [parked.id]);
+  assert.strictEqual(getJob(dir, parked.id).status, 'parked');
+});
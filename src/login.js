@@ -1,29 +1,41 @@
 #!/usr/bin/env node
 
 /**
- * ChatGPT Login Helper
+ * Login Helper
  *
  * Launches a headed browser for one-time login, then saves the session
  * (cookies + localStorage) to a storage state file. The daemon can then
  * run headless using this saved state.
+ *
+ * Usage: ask-question-login [--provider chatgpt|claude]
  */
 
 import { chromium } from 'playwright';
+import { parseArgs } from 'node:util';
 import path from 'node:path';
 import fs from 'node:fs';
-import os from 'node:os';
+import { PROVIDERS, DEFAULT_PROVIDER, getProvider, storageStateFile } from './providers.js';
+import { recordLogin } from './health.js';
 
-const STORAGE_STATE_FILE = process.env.ASK_QUESTION_STORAGE_STATE_FILE ||
-  path.join(os.homedir(), '.chatgpt-relay/storage-state.json');
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      provider: { type: 'string', short: 'p', default: DEFAULT_PROVIDER }
+    }
+  });
 
-const CHATGPT_URL = 'https://chatgpt.com';
+  if (!PROVIDERS[values.provider]) {
+    console.error(`[ask-question-login] Unknown provider: ${values.provider} (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    process.exit(1);
+  }
+  const provider = getProvider(values.provider);
+  const STORAGE_STATE_FILE = storageStateFile(provider.name);
 
-async function main() {
   // Ensure storage directory exists
   fs.mkdirSync(path.dirname(STORAGE_STATE_FILE), { recursive: true });
 
   console.log('[ask-question-login] Launching browser for login...');
-  console.log('[ask-question-login] Log into ChatGPT. Session will be saved automatically when login is detected.');
+  console.log(`[ask-question-login] Log into ${provider.label}. Session will be saved automatically when login is detected.`);
 
   // Launch headed browser (will steal focus, but that's fine for login)
   const browser = await chromium.launch({
@@ -36,16 +48,13 @@ async function main() {
   const context = await browser.newContext();
   const page = await context.newPage();
 
-  await page.goto(CHATGPT_URL);
+  await page.goto(provider.url);
 
-  // Wait for login by detecting the chat history panel (left sidebar)
-  // This only appears when logged in, making it a reliable indicator
+  // Wait for login by detecting an element that only appears when logged in
+  // (ChatGPT's chat history panel, Claude.ai's recents link)
   console.log('[ask-question-login] Waiting for login...');
   console.log('[ask-question-login] (Log in, then wait for "Login detected!" message)');
 
-  // Selector for chat history panel (only visible when logged in)
-  const chatHistorySelector = 'nav[aria-label="Chat history"]';
-
   // Poll until we detect logged-in state
   const startTime = Date.now();
   const maxWait = 300000; // 5 minutes
@@ -54,17 +63,17 @@ async function main() {
     const url = page.url();
 
     // Skip if we're on an auth page
-    if (url.includes('/auth') || url.includes('login.') || url.includes('auth0')) {
+    if (provider.isAuthUrl(url)) {
       await page.waitForTimeout(1000);
       continue;
     }
 
-    // Check for chat history panel (only visible when logged in)
-    const chatHistoryVisible = await page.locator(chatHistorySelector)
+    // Check for the logged-in marker
+    const loggedInVisible = await page.locator(provider.loginDetectedSelector).first()
       .isVisible({ timeout: 500 }).catch(() => false);
 
-    if (chatHistoryVisible) {
-      console.log('[ask-question-login] Login detected! (chat history panel visible)');
+    if (loggedInVisible) {
+      console.log('[ask-question-login] Login detected!');
       break;
     }
 
@@ -72,7 +81,7 @@ async function main() {
   }
 
   if (Date.now() - startTime >= maxWait) {
-    console.error('[ask-question-login] Timeout: Chat history panel not found.');
+    console.error(`[ask-question-login] Timeout: ${provider.label} login not detected.`);
     console.error('[ask-question-login] Login may have failed. Please try again.');
     await browser.close();
     process.exit(1);
@@ -83,10 +92,12 @@ async function main() {
 
   // Save storage state
   await context.storageState({ path: STORAGE_STATE_FILE });
+  recordLogin(STORAGE_STATE_FILE);
   console.log(`[ask-question-login] Session saved to: ${STORAGE_STATE_FILE}`);
 
   await browser.close();
   console.log('[ask-question-login] Done! You can now run ask-question-server (it will start headless).');
+  console.log('[ask-question-login] (A server that is already running picks the new session up at its next login check.)');
 }
 
 main().catch((e) => {
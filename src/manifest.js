@@ -0,0 +1,197 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { relayError } from './errors.js';
+
+/**
+ * Batch manifests for `ask-question batch`.
+ * A manifest is either a directory of `*-question.md` files (answers go to
+ * the matching `*-answer.md`) or a JSONL file with one item per line:
+ *
+ *   {"id": "q1", "file": "q1-question.md"}
+ *   {"prompt": "Follow-up...", "thread": "bazel", "output": "answers/q2.md"}
+ *
+ * Items whose answer file already exists are skipped, so an interrupted
+ * batch can be run again. A state file next to the manifest remembers the
+ * last batch ID and each answered item's conversation, so threads resume in
+ * the right conversation.
+ */
+
+const QUESTION_SUFFIX = '-question.md';
+// Per-item request options a JSONL line may set
+const ITEM_OPTIONS = ['newChat', 'conversationId', 'thread', 'provider', 'model', 'mode', 'format', 'timeout', 'retries'];
+
+/**
+ * @typedef {object} ManifestItem
+ * @property {string} id
+ * @property {string} prompt
+ * @property {string} output - Absolute path of the answer file
+ * @property {string[]} [attachments] - Absolute paths
+ * @property {string} [thread] - Items sharing a thread run in order in one conversation
+ */
+
+function answerPathFor(questionFile) {
+  return questionFile.endsWith(QUESTION_SUFFIX)
+    ? questionFile.slice(0, -QUESTION_SUFFIX.length) + '-answer.md'
+    : null;
+}
+
+function loadDirectory(dir) {
+  const items = fs.readdirSync(dir)
+    .filter((name) => name.endsWith(QUESTION_SUFFIX))
+    .sort()
+    .map((name) => {
+      const file = path.join(dir, name);
+      return {
+        id: name.slice(0, -QUESTION_SUFFIX.length),
+        prompt: fs.readFileSync(file, 'utf8').trim(),
+        output: answerPathFor(file)
+      };
+    });
+  return { items, stateFile: path.join(dir, '.ask-question-batch.json') };
+}
+
+function parseLine(line, n, baseDir) {
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch (e) {
+    throw new Error(`invalid JSON (${e.message})`);
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('expected a JSON object');
+  }
+  if ((entry.prompt === undefined) === (entry.file === undefined)) {
+    throw new Error('set exactly one of "prompt" and "file"');
+  }
+
+  const file = entry.file !== undefined ? path.resolve(baseDir, String(entry.file)) : null;
+  const prompt = file ? fs.readFileSync(file, 'utf8').trim() : String(entry.prompt).trim();
+  if (!prompt) {
+    throw new Error('empty prompt');
+  }
+
+  const fileId = file ? path.basename(file).replace(/(-question)?\.[^.]*$/, '') : null;
+  const id = entry.id !== undefined ? String(entry.id) : fileId || `item-${n}`;
+  const output = entry.output !== undefined
+    ? path.resolve(baseDir, String(entry.output))
+    : (file && answerPathFor(file)) || path.join(baseDir, `${id}-answer.md`);
+
+  const item = { id, prompt, output };
+  for (const key of ITEM_OPTIONS) {
+    if (entry[key] !== undefined) item[key] = entry[key];
+  }
+  if (entry.attachments !== undefined) {
+    if (!Array.isArray(entry.attachments)) throw new Error('"attachments" must be an array');
+    item.attachments = entry.attachments.map((f) => path.resolve(baseDir, String(f)));
+  }
+  return item;
+}
+
+function loadJSONL(file) {
+  const baseDir = path.dirname(path.resolve(file));
+  const items = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    try {
+      items.push(parseLine(line, items.length + 1, baseDir));
+    } catch (e) {
+      throw relayError('INVALID_REQUEST', `${file}:${i + 1}: ${e.message}`);
+    }
+  });
+  return { items, stateFile: `${path.resolve(file)}.state.json` };
+}
+
+/**
+ * Load a batch manifest: a directory of *-question.md files or a JSONL file.
+ * @param {string} target
+ * @returns {{ items: ManifestItem[], stateFile: string }}
+ */
+export function loadManifest(target) {
+  if (!fs.existsSync(target)) {
+    throw relayError('INVALID_REQUEST', `Manifest not found: ${target}`);
+  }
+  const manifest = fs.statSync(target).isDirectory() ? loadDirectory(target) : loadJSONL(target);
+
+  if (manifest.items.length === 0) {
+    throw relayError('INVALID_REQUEST', `No questions in ${target}`);
+  }
+  const seen = new Set();
+  for (const item of manifest.items) {
+    if (seen.has(item.id)) throw relayError('INVALID_REQUEST', `Duplicate item ID in ${target}: ${item.id}`);
+    seen.add(item.id);
+  }
+  return manifest;
+}
+
+/**
+ * Whether an item already has a (non-empty) answer file.
+ * @param {ManifestItem} item
+ * @returns {boolean}
+ */
+export function isAnswered(item) {
+  try {
+    return fs.statSync(item.output).size > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a manifest's state file.
+ * @param {string} file
+ * @returns {{ batchId: string|null, conversations: Object<string, string> }}
+ */
+export function readBatchState(file) {
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { batchId: state.batchId ?? null, conversations: state.conversations ?? {} };
+  } catch {
+    return { batchId: null, conversations: {} };
+  }
+}
+
+/**
+ * Save a manifest's state file.
+ * @param {string} file
+ * @param {{ batchId: string|null, conversations: Object<string, string> }} state
+ */
+export function writeBatchState(file, state) {
+  fs.writeFileSync(file, JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * Pick the items still to run. In a thread whose earlier items are already
+ * answered, the first remaining item continues the last answered one's
+ * conversation (from the state file).
+ * @param {ManifestItem[]} items
+ * @param {{ conversations: Object<string, string> }} state
+ * @param {object} opts
+ * @param {boolean} opts.force - Run answered items again
+ * @returns {{ todo: ManifestItem[], answered: ManifestItem[] }}
+ */
+export function pendingItems(items, state, { force = false } = {}) {
+  const todo = [];
+  const answered = [];
+  const threads = new Map(); // thread -> { conversationId, resumed }
+
+  for (const item of items) {
+    const thread = item.thread ? threads.get(item.thread) ?? { conversationId: null, resumed: false } : null;
+    if (item.thread) threads.set(item.thread, thread);
+
+    if (!force && isAnswered(item)) {
+      answered.push(item);
+      if (thread) thread.conversationId = state.conversations[item.id] ?? null;
+      continue;
+    }
+
+    if (thread && !thread.resumed) {
+      thread.resumed = true;
+      if (thread.conversationId && !item.conversationId) {
+        todo.push({ ...item, conversationId: thread.conversationId, newChat: undefined });
+        continue;
+      }
+    }
+    todo.push(item);
+  }
+  return { todo, answered };
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadManifest, isAnswered, readBatchState, writeBatchState, pendingItems } from './manifest.js';
+import { tmpDir } from './test-helpers.js';
+
+test('a directory manifest pairs *-question.md with *-answer.md', () => {
+  const dir = tmpDir('manifest');
+  fs.writeFileSync(path.join(dir, 'b-question.md'), 'Second?\n');
+  fs.writeFileSync(path.join(dir, 'a-question.md'), 'First?\n');
+  fs.writeFileSync(path.join(dir, 'notes.md'), 'ignored');
+
+  const { items, stateFile } = loadManifest(dir);
+  assert.deepStrictEqual(items, [
+    { id: 'a', prompt: 'First?', output: path.join(dir, 'a-answer.md') },
+    { id: 'b', prompt: 'Second?', output: path.join(dir, 'b-answer.md') }
+  ]);
+  assert.strictEqual(stateFile, path.join(dir, '.ask-question-batch.json'));
+});
+
+test('a JSONL manifest resolves files, outputs and per-item options', () => {
+  const dir = tmpDir('manifest');
+  fs.writeFileSync(path.join(dir, 'bazel-question.md'), 'Why Bazel?');
+  const file = path.join(dir, 'batch.jsonl');
+  fs.writeFileSync(file, [
+    '{"file": "bazel-question.md", "thread": "build"}',
+    '# comments and blank lines are ignored',
+    '',
+    '{"prompt": "And Buck?", "thread": "build", "output": "out/buck.md", "attachments": ["log.txt"]}',
+    '{"id": "solo", "prompt": "Unrelated", "newChat": true, "model": "o3"}'
+  ].join('\n'));
+
+  const { items, stateFile } = loadManifest(file);
+  assert.deepStrictEqual(items, [
+    { id: 'bazel', prompt: 'Why Bazel?', output: path.join(dir, 'bazel-answer.md'), thread: 'build' },
+    { id: 'item-2', prompt: 'And Buck?', output: path.join(dir, 'out/buck.md'), thread: 'build', attachments: [path.join(dir, 'log.txt')] },
+    { id: 'solo', prompt: 'Unrelated', output: path.join(dir, 'solo-answer.md'), newChat: true, model: 'o3' }
+  ]);
+  assert.strictEqual(stateFile, `${file}.state.json`);
+});
+
+test('loadManifest reports the bad line', () => {
+  const dir = tmpDir('manifest');
+  const file = path.join(dir, 'batch.jsonl');
+  fs.writeFileSync(file, '{"prompt": "ok"}\n{"prompt": "x", "file": "y"}\n');
+  assert.throws(() => loadManifest(file), (e) => e.code === 'INVALID_REQUEST' && e.message.endsWith('batch.jsonl:2: set exactly one of "prompt" and "file"'));
+
+  fs.writeFileSync(file, '{"id": "a", "prompt": "x"}\n{"id": "a", "prompt": "y"}\n');
+  assert.throws(() => loadManifest(file), /Duplicate item ID/);
+  assert.throws(() => loadManifest(path.join(dir, 'missing.jsonl')), /Manifest not found/);
+});
+
+test('pendingItems skips answered items and resumes their threads', () => {
+  const dir = tmpDir('manifest');
+  const items = [
+    { id: 'a', prompt: 'A', output: path.join(dir, 'a.md'), thread: 't' },
+    { id: 'b', prompt: 'B', output: path.join(dir, 'b.md'), thread: 't' },
+    { id: 'c', prompt: 'C', output: path.join(dir, 'c.md'), thread: 't' },
+    { id: 'd', prompt: 'D', output: path.join(dir, 'd.md') }
+  ];
+  fs.writeFileSync(items[0].output, 'Answer A');
+  fs.writeFileSync(items[3].output, '');
+  assert.strictEqual(isAnswered(items[0]), true);
+  assert.strictEqual(isAnswered(items[3]), false);
+
+  const stateFile = path.join(dir, 'state.json');
+  assert.deepStrictEqual(readBatchState(stateFile), { batchId: null, conversations: {} });
+  writeBatchState(stateFile, { batchId: 'b1', conversations: { a: 'conv-a' } });
+  const state = readBatchState(stateFile);
+
+  const { todo, answered } = pendingItems(items, state);
+  assert.deepStrictEqual(answered.map((i) => i.id), ['a']);
+  assert.deepStrictEqual(todo.map((i) => [i.id, i.conversationId]), [['b', 'conv-a'], ['c', undefined], ['d', undefined]]);
+
+  assert.strictEqual(pendingItems(items, state, { force: true }).todo.length, 4);
+});
@@ -0,0 +1,212 @@
+/**
+ * DOM to Markdown conversion for assistant messages.
+ *
+ * domToMarkdown runs inside the page via locator.evaluate(), so it must be
+ * completely self-contained: no imports, no references to module scope.
+ * It only touches nodeType, nodeName, childNodes, getAttribute and
+ * textContent, which keeps it testable against plain objects in Node.
+ */
+
+/**
+ * Convert a rendered ChatGPT message to GitHub-flavored Markdown.
+ * Keeps fenced code languages, tables, headings, nested lists, links and
+ * KaTeX math (from its TeX annotation).
+ * @param {Node} root
+ * @returns {string}
+ */
+export function domToMarkdown(root) {
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+  const SKIP_TAGS = new Set(['BUTTON', 'SVG', 'STYLE', 'SCRIPT', 'TEMPLATE', 'NOSCRIPT']);
+  const CONTAINER_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'FIGURE', 'MAIN']);
+  const BLOCK_TAGS = new Set([
+    'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'UL', 'OL', 'BLOCKQUOTE', 'TABLE', 'HR',
+    ...CONTAINER_TAGS
+  ]);
+
+  const tagOf = (node) => String(node.nodeName).toUpperCase();
+  const classesOf = (node) => (node.getAttribute?.('class') || '').split(/\s+/);
+  const hasClass = (node, name) => classesOf(node).includes(name);
+  const elementChildren = (node) => Array.from(node.childNodes).filter((c) => c.nodeType === ELEMENT_NODE);
+
+  function findFirst(node, predicate) {
+    for (const child of elementChildren(node)) {
+      if (predicate(child)) return child;
+      const found = findFirst(child, predicate);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function findAll(node, predicate, out = []) {
+    for (const child of elementChildren(node)) {
+      if (predicate(child)) out.push(child);
+      findAll(child, predicate, out);
+    }
+    return out;
+  }
+
+  function texOf(node) {
+    const annotation = findFirst(node, (n) =>
+      tagOf(n) === 'ANNOTATION' && n.getAttribute('encoding') === 'application/x-tex');
+    return annotation ? annotation.textContent.trim() : node.textContent.trim();
+  }
+
+  // Fence long enough not to collide with runs of the same char inside the text
+  function fenceFor(text, char, min) {
+    const runs = text.match(new RegExp(`${char}+`, 'g')) || [];
+    const longest = Math.max(0, ...runs.map((r) => r.length));
+    return char.repeat(Math.max(min, longest + 1));
+  }
+
+  function isBlock(node) {
+    return BLOCK_TAGS.has(tagOf(node)) || hasClass(node, 'katex-display');
+  }
+
+  function inlineNode(node) {
+    if (node.nodeType === TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== ELEMENT_NODE) return '';
+
+    const tag = tagOf(node);
+    if (SKIP_TAGS.has(tag)) return '';
+    if (hasClass(node, 'katex-display')) return `$$${texOf(node)}$$`;
+    if (hasClass(node, 'katex')) return `$${texOf(node)}$`;
+
+    switch (tag) {
+      case 'STRONG':
+      case 'B':
+        return wrap(inline(node), '**');
+      case 'EM':
+      case 'I':
+        return wrap(inline(node), '*');
+      case 'DEL':
+      case 'S':
+        return wrap(inline(node), '~~');
+      case 'CODE': {
+        const text = node.textContent;
+        const fence = fenceFor(text, '`', 1);
+        const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+        return `${fence}${pad}${text}${pad}${fence}`;
+      }
+      case 'A': {
+        const text = inline(node).trim();
+        const href = node.getAttribute('href');
+        return href ? `[${text || href}](${href})` : text;
+      }
+      case 'IMG':
+        return `![${node.getAttribute('alt') || ''}](${node.getAttribute('src') || ''})`;
+      case 'BR':
+        return '\n';
+      default:
+        return inline(node);
+    }
+  }
+
+  function wrap(text, marker) {
+    const trimmed = text.trim();
+    return trimmed ? `${marker}${trimmed}${marker}` : '';
+  }
+
+  function inline(node) {
+    return Array.from(node.childNodes).map(inlineNode).join('');
+  }
+
+  function blocks(node, separator = '\n\n') {
+    const out = [];
+    let buffer = '';
+    const flush = () => {
+      const text = buffer.replace(/ *\n */g, '\n').trim();
+      if (text) out.push(text);
+      buffer = '';
+    };
+
+    for (const child of node.childNodes) {
+      if (child.nodeType === ELEMENT_NODE && isBlock(child)) {
+        flush();
+        const text = block(child);
+        if (text) out.push(text);
+      } else {
+        buffer += inlineNode(child);
+      }
+    }
+    flush();
+    return out.join(separator);
+  }
+
+  function codeBlock(pre) {
+    const code = findFirst(pre, (n) => tagOf(n) === 'CODE') || pre;
+    const langClass = classesOf(code).find((c) => c.startsWith('language-'));
+    const lang = langClass ? langClass.slice('language-'.length) : '';
+    const text = code.textContent.replace(/\n$/, '');
+    const fence = fenceFor(text, '`', 3);
+    return `${fence}${lang}\n${text}\n${fence}`;
+  }
+
+  function list(node, ordered) {
+    let n = parseInt(node.getAttribute('start') || '1', 10);
+    return elementChildren(node)
+      .filter((child) => tagOf(child) === 'LI')
+      .map((li) => {
+        const marker = ordered ? `${n++}. ` : '- ';
+        const indent = ' '.repeat(marker.length);
+        return blocks(li, '\n')
+          .split('\n')
+          .map((line, i) => (i === 0 ? marker + line : line ? indent + line : ''))
+          .join('\n');
+      })
+      .join('\n');
+  }
+
+  function table(node) {
+    const rows = findAll(node, (n) => tagOf(n) === 'TR').map((tr) =>
+      elementChildren(tr)
+        .filter((cell) => tagOf(cell) === 'TH' || tagOf(cell) === 'TD')
+        .map((cell) => inline(cell).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')));
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map((r) => r.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+    return [
+      line(rows[0]),
+      line(Array(width).fill('---')),
+      ...rows.slice(1).map(line)
+    ].join('\n');
+  }
+
+  function block(node) {
+    if (hasClass(node, 'katex-display')) {
+      return `$$\n${texOf(node)}\n$$`;
+    }
+
+    const tag = tagOf(node);
+    if (/^H[1-6]$/.test(tag)) {
+      return `${'#'.repeat(Number(tag[1]))} ${inline(node).replace(/\s+/g, ' ').trim()}`;
+    }
+
+    switch (tag) {
+      case 'P':
+        return blocks(node);
+      case 'PRE':
+        return codeBlock(node);
+      case 'UL':
+        return list(node, false);
+      case 'OL':
+        return list(node, true);
+      case 'BLOCKQUOTE':
+        return blocks(node)
+          .split('\n')
+          .map((line) => (line ? `> ${line}` : '>'))
+          .join('\n');
+      case 'TABLE':
+        return table(node);
+      case 'HR':
+        return '---';
+      default:
+        return blocks(node);
+    }
+  }
+
+  return blocks(root).replace(/\n{3,}/g, '\n\n').trim();
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { domToMarkdown } from './markdown.js';
+import { h } from './test-helpers.js';
+
+test('domToMarkdown converts headings, paragraphs and inline formatting', () => {
+  const root = h('div', {},
+    h('h2', {}, 'Summary'),
+    h('p', {}, 'Use ', h('strong', {}, 'Bazel'), ' with ', h('code', {}, 'query'), ' and ',
+      h('a', { href: 'https://bazel.build' }, 'docs'), '.')
+  );
+  assert.strictEqual(domToMarkdown(root),
+    '## Summary\n\nUse **Bazel** with `query` and [docs](https://bazel.build).');
+});
+
+test('domToMarkdown keeps the code fence language and skips copy buttons', () => {
+  const root = h('div', {},
+    h('pre', {},
+      h('div', {}, 'python', h('button', {}, 'Copy code')),
+      h('code', { class: 'hljs language-python' }, 'print("hi")\n'))
+  );
+  assert.strictEqual(domToMarkdown(root), '```python\nprint("hi")\n```');
+});
+
+test('domToMarkdown nests lists', () => {
+  const root = h('div', {},
+    h('ol', {},
+      h('li', {}, h('p', {}, 'First'),
+        h('ul', {}, h('li', {}, 'a'), h('li', {}, 'b'))),
+      h('li', {}, 'Second'))
+  );
+  assert.strictEqual(domToMarkdown(root), '1. First\n   - a\n   - b\n2. Second');
+});
+
+test('domToMarkdown converts tables to GFM', () => {
+  const root = h('table', {},
+    h('thead', {}, h('tr', {}, h('th', {}, 'Tool'), h('th', {}, 'Speed'))),
+    h('tbody', {}, h('tr', {}, h('td', {}, 'a|b'), h('td', {}, h('em', {}, 'fast'))))
+  );
+  assert.strictEqual(domToMarkdown(h('div', {}, root)),
+    '| Tool | Speed |\n| --- | --- |\n| a\\|b | *fast* |');
+});
+
+test('domToMarkdown uses the TeX annotation for math', () => {
+  const tex = (src) => h('span', { class: 'katex-mathml' },
+    h('math', {}, h('semantics', {}, h('annotation', { encoding: 'application/x-tex' }, src))));
+  const root = h('div', {},
+    h('p', {}, 'Area is ', h('span', { class: 'katex' }, tex('\\pi r^2'), h('span', {}, 'πr2'))),
+    h('span', { class: 'katex-display' }, h('span', { class: 'katex' }, tex('E = mc^2')))
+  );
+  assert.strictEqual(domToMarkdown(root), 'Area is $\\pi r^2$\n\n$$\nE = mc^2\n$$');
+});
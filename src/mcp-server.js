@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * ask-question-mcp
+ *
+ * MCP server over stdio that exposes the relay as tools (ask_chatgpt,
+ * get_job, list_conversations). It forwards every call to the running
+ * ask-question-server daemon's HTTP API, so agents get structured results
+ * instead of parsing the CLI's stdout.
+ */
+
+import fs from 'node:fs';
+import { serveStdio } from './mcp.js';
+import { request, readEvents, SERVER_URL, SOCKET_PATH } from './client.js';
+import { relayError, errorFromBody } from './errors.js';
+import { formatRetry } from './retry.js';
+import { isFinished } from './jobs.js';
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const DEFAULT_TIMEOUT_MS = 600000;
+const JOB_POLL_INTERVAL_MS = 2000;
+const PROGRESS_INTERVAL_MS = 2000;
+// One scheduler client per MCP process, so one agent's backlog can't starve another's
+const CLIENT_ID = `mcp:${process.pid}`;
+
+const conversations = new Map(); // conversation ID -> { conversationId, provider, prompt, updatedAt }, asked from this process
+
+/**
+ * The error for an aborted request: the MCP client cancelled it, or it timed out.
+ */
+function abortError(signal) {
+  return signal.reason?.name === 'TimeoutError'
+    ? relayError('TIMEOUT', 'No response from ask-question-server within the timeout')
+    : relayError('CANCELLED', 'Request cancelled');
+}
+
+/**
+ * Call the daemon, turning connection failures and timeouts into coded errors.
+ * @returns {Promise<object>} The response (see client.js)
+ */
+async function daemonRequest(pathname, init = {}) {
+  try {
+    return await request(pathname, init);
+  } catch (e) {
+    if (init.signal?.aborted) throw abortError(init.signal);
+    throw relayError('SERVER_UNAVAILABLE', `ask-question-server is not reachable at ${SOCKET_PATH ? `unix:${SOCKET_PATH}` : SERVER_URL} (${e.message})`);
+  }
+}
+
+async function daemonJSON(pathname, init = {}) {
+  const res = await daemonRequest(pathname, { signal: AbortSignal.timeout(10000), ...init });
+  const data = await res.json();
+  if (!data.ok) throw errorFromBody(data);
+  return data;
+}
+
+function rememberConversation(conversationId, provider, prompt) {
+  if (!conversationId) return;
+  conversations.set(conversationId, { conversationId, provider: provider || 'chatgpt', prompt, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * The content items for a finished reply: its text, then the conversation ID to continue it.
+ */
+function replyContent(text, conversationId) {
+  return conversationId ? [text, `conversationId: ${conversationId}`] : [text];
+}
+
+async function askChatGPT(args, { progress, signal }) {
+  const { prompt, conversationId, newChat, provider, model, mode, format, timeout = DEFAULT_TIMEOUT_MS } = args;
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw relayError('INVALID_REQUEST', 'prompt is required');
+  }
+  const body = JSON.stringify({ prompt, conversationId, newChat, provider, model, mode, format, timeout, client: CLIENT_ID });
+
+  if (args.async) {
+    const job = await daemonJSON('/jobs', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    return `Job ${job.id} queued (position ${job.position}). Call get_job with this ID for the response.`;
+  }
+
+  const requestSignal = AbortSignal.any([signal, AbortSignal.timeout(timeout + 10000)]);
+  const res = await daemonRequest('/ask?stream=1', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    // Closing the stream makes the daemon cancel the request
+    signal: requestSignal
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw errorFromBody(data, `Server returned ${res.status}`);
+  }
+
+  let received = 0;
+  let reportedAt = 0;
+  try {
+    for await (const { event, data } of readEvents(res.body)) {
+      if (event === 'queued') {
+        if (data.position > 0) progress(`Queued at position ${data.position} (ETA ~${Math.round(data.etaMs / 1000)}s)`);
+      } else if (event === 'part') {
+        progress(`Sending part ${data.part} of ${data.parts}`);
+      } else if (event === 'start') {
+        received = 0;
+        progress('Generating...');
+      } else if (event === 'delta' || event === 'replace') {
+        received = event === 'delta' ? received + data.text.length : data.text.length;
+        if (Date.now() - reportedAt >= PROGRESS_INTERVAL_MS) {
+          reportedAt = Date.now();
+          progress(`Received ${received} chars`);
+        }
+      } else if (event === 'continue') {
+        progress('Clicked "Continue generating"');
+      } else if (event === 'retry') {
+        progress(formatRetry(data));
+      } else if (event === 'done') {
+        rememberConversation(data.conversationId, provider, prompt);
+        return replyContent(data.text, data.conversationId);
+      } else if (event === 'error') {
+        throw errorFromBody(data);
+      }
+    }
+  } catch (e) {
+    if (requestSignal.aborted) throw abortError(requestSignal);
+    throw e;
+  }
+  throw relayError('INTERNAL', 'Stream ended before response completed');
+}
+
+function describeJob(job, queue) {
+  const lines = [`Job ${job.id}: ${job.status}`];
+  if (queue?.position > 0) lines.push(`Queue position ${queue.position} (ETA ~${Math.round(queue.etaMs / 1000)}s)`);
+  if (job.retryAt) lines.push(`Retrying at ${job.retryAt}${job.error ? ` (${job.errorCode}: ${job.error})` : ''}`);
+  return lines.join('\n');
+}
+
+async function getJob({ id, wait = false }, { progress, signal }) {
+  if (typeof id !== 'string' || !id) {
+    throw relayError('INVALID_REQUEST', 'id is required');
+  }
+
+  let lastStatus = null;
+  for (;;) {
+    const { job, queue } = await daemonJSON(`/jobs/${encodeURIComponent(id)}`);
+    if (job.status === 'done') {
+      rememberConversation(job.conversationId, job.options?.provider, job.prompt);
+      return replyContent(job.text, job.conversationId);
+    }
+    if (isFinished(job)) {
+      const code = job.errorCode || (job.status === 'cancelled' ? 'CANCELLED' : 'INTERNAL');
+      throw relayError(code, job.error || `Job ${job.status}`);
+    }
+    if (!wait) return describeJob(job, queue);
+
+    if (job.status !== lastStatus) progress(describeJob(job, queue));
+    lastStatus = job.status;
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    if (signal.aborted) throw relayError('CANCELLED', 'Request cancelled');
+  }
+}
+
+async function listConversations({ provider, limit = 20 }) {
+  const { jobs } = await daemonJSON('/jobs?limit=200');
+  const found = new Map();
+  for (const job of jobs) {
+    if (!job.conversationId || found.has(job.conversationId)) continue;
+    found.set(job.conversationId, {
+      conversationId: job.conversationId,
+      provider: job.options?.provider || 'chatgpt',
+      prompt: job.prompt,
+      updatedAt: job.finishedAt || job.createdAt
+    });
+  }
+  for (const conversation of conversations.values()) {
+    const known = found.get(conversation.conversationId);
+    if (!known || known.updatedAt < conversation.updatedAt) found.set(conversation.conversationId, conversation);
+  }
+
+  const list = [...found.values()]
+    .filter((c) => !provider || c.provider === provider)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+  if (list.length === 0) return 'No conversations yet.';
+  return list
+    .map((c) => `${c.conversationId}  ${c.provider}  ${c.updatedAt}  ${c.prompt.replace(/\s+/g, ' ').slice(0, 60)}`)
+    .join('\n');
+}
+
+const TOOLS = [
+  {
+    name: 'ask_chatgpt',
+    description: 'Send a prompt to ChatGPT (or Claude.ai) through the logged-in browser session and return the response. ' +
+      'The response is followed by its conversationId; pass it back to continue the conversation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', description: 'The prompt to send' },
+        conversationId: { type: 'string', description: 'Continue this conversation' },
+        newChat: { type: 'boolean', description: 'Start a new chat instead of the current one' },
+        provider: { type: 'string', enum: ['chatgpt', 'claude'], description: 'Chat site (default: chatgpt)' },
+        model: { type: 'string', description: 'Model to select before sending' },
+        mode: { type: 'string', enum: ['search', 'reasoning', 'deep-research'], description: 'Tool to enable' },
+        format: { type: 'string', enum: ['text', 'markdown', 'html'], description: 'Response format (default: text)' },
+        timeout: { type: 'integer', description: 'Response timeout in ms (default: 600000)' },
+        async: { type: 'boolean', description: 'Queue the prompt and return a job ID for get_job instead of waiting' }
+      },
+      required: ['prompt']
+    },
+    handler: askChatGPT
+  },
+  {
+    name: 'get_job',
+    description: 'Get the status of a job queued with ask_chatgpt async, or its response once done.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Job ID' },
+        wait: { type: 'boolean', description: 'Wait for the job to finish' }
+      },
+      required: ['id']
+    },
+    handler: getJob
+  },
+  {
+    name: 'list_conversations',
+    description: 'List recent conversations the relay has used (from jobs and this session\'s asks), newest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string', enum: ['chatgpt', 'claude'], description: 'Only this chat site' },
+        limit: { type: 'integer', description: 'Maximum conversations (default: 20)' }
+      }
+    },
+    handler: listConversations
+  }
+];
+
+console.error(`[ask-question-mcp] Serving MCP on stdio (daemon: ${SOCKET_PATH ? `unix:${SOCKET_PATH}` : SERVER_URL})`);
+await serveStdio({ name: 'chatgpt-relay', version, tools: TOOLS });
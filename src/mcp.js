@@ -0,0 +1,163 @@
+import readline from 'node:readline';
+
+/**
+ * Minimal Model Context Protocol server (JSON-RPC 2.0, tools only).
+ * Handles the lifecycle (initialize, ping), tools/list and tools/call, with
+ * progress notifications for long calls and cancellation through
+ * notifications/cancelled. Transport-agnostic: messages go out through
+ * `send`, and serveStdio() wires it to newline-delimited stdin/stdout.
+ */
+
+export const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+/**
+ * @typedef {object} Tool
+ * @property {string} name
+ * @property {string} description
+ * @property {object} inputSchema - JSON Schema for the arguments
+ * @property {function(object, ToolContext): Promise<string|string[]>} handler - Returns the
+ *   result text (one content item per string); throw to report a tool error
+ */
+
+/**
+ * @typedef {object} ToolContext
+ * @property {function(string): void} progress - Send a progress notification
+ *   (a no-op unless the client asked for progress)
+ * @property {AbortSignal} signal - Aborted when the client cancels the call
+ */
+
+/**
+ * Create an MCP server.
+ * @param {object} opts
+ * @param {string} opts.name - serverInfo name
+ * @param {string} opts.version - serverInfo version
+ * @param {Tool[]} opts.tools
+ * @param {function(object): void} opts.send - Writes one JSON-RPC message
+ * @returns {{ handleMessage: function(object): Promise<void>, handleLine: function(string): Promise<void> }}
+ */
+export function createMcpServer({ name, version, tools, send }) {
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+  const inFlight = new Map(); // request ID -> AbortController
+
+  const reply = (id, result) => send({ jsonrpc: '2.0', id, result });
+  const replyError = (id, code, message) => send({ jsonrpc: '2.0', id, error: { code, message } });
+
+  async function callTool(id, params) {
+    const tool = toolsByName.get(params?.name);
+    if (!tool) {
+      replyError(id, INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+      return;
+    }
+
+    const token = params._meta?.progressToken;
+    let progress = 0;
+    const controller = new AbortController();
+    inFlight.set(id, controller);
+    const context = {
+      progress: (message) => {
+        if (token === undefined || controller.signal.aborted) return;
+        send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: token, progress: ++progress, message } });
+      },
+      signal: controller.signal
+    };
+
+    try {
+      const result = await tool.handler(params.arguments ?? {}, context);
+      const texts = Array.isArray(result) ? result : [result];
+      if (!controller.signal.aborted) {
+        reply(id, { content: texts.map((text) => ({ type: 'text', text })) });
+      }
+    } catch (e) {
+      // Cancelled calls get no response (the client has stopped waiting)
+      if (!controller.signal.aborted) {
+        reply(id, { content: [{ type: 'text', text: e.code ? `${e.code}: ${e.message}` : e.message }], isError: true });
+      }
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  async function handleMessage(message) {
+    const { id, method, params } = message ?? {};
+    const isRequest = id !== undefined && id !== null;
+
+    if (typeof method !== 'string') {
+      // Responses to requests we never send, or garbage
+      if (isRequest && !('result' in message) && !('error' in message)) {
+        replyError(id, INVALID_REQUEST, 'Invalid request');
+      }
+      return;
+    }
+
+    switch (method) {
+      case 'initialize': {
+        const requested = params?.protocolVersion;
+        reply(id, {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name, version }
+        });
+        return;
+      }
+      case 'ping':
+        reply(id, {});
+        return;
+      case 'tools/list':
+        reply(id, {
+          tools: tools.map(({ name: toolName, description, inputSchema }) => ({ name: toolName, description, inputSchema }))
+        });
+        return;
+      case 'tools/call':
+        await callTool(id, params);
+        return;
+      case 'notifications/cancelled':
+        inFlight.get(params?.requestId)?.abort();
+        return;
+      default:
+        // Other notifications (initialized, roots changed...) need no answer
+        if (isRequest) replyError(id, METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  async function handleLine(line) {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    await handleMessage(message);
+  }
+
+  return { handleMessage, handleLine };
+}
+
+/**
+ * Serve MCP over stdio: one JSON message per line. Requests are handled
+ * concurrently, so a cancellation can arrive while a call is running.
+ * stdout carries only protocol messages; log to stderr.
+ * @param {object} opts - See createMcpServer (without send)
+ * @returns {Promise<void>} Resolves when stdin closes
+ */
+export function serveStdio(opts, { input = process.stdin, output = process.stdout } = {}) {
+  const server = createMcpServer({ ...opts, send: (message) => output.write(JSON.stringify(message) + '\n') });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  lines.on('line', (line) => {
+    const handled = server.handleLine(line);
+    pending.add(handled);
+    handled.finally(() => pending.delete(handled));
+  });
+
+  return new Promise((resolve) => {
+    lines.on('close', () => Promise.allSettled([...pending]).then(() => resolve()));
+  });
+}
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+import { spawn } from 'node:child_process';
+import readline from 'node:readline';
+import { createMcpServer } from './mcp.js';
+
+function createTestServer(tools) {
+  const sent = [];
+  const server = createMcpServer({ name: 'test', version: '1.0.0', tools, send: (message) => sent.push(message) });
+  return { server, sent };
+}
+
+const echo = {
+  name: 'echo',
+  description: 'Echo the text',
+  inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+  handler: async ({ text }, { progress }) => {
+    progress('echoing');
+    if (text === 'fail') {
+      throw Object.assign(new Error('Nope'), { code: 'INVALID_REQUEST' });
+    }
+    return [text, 'done'];
+  }
+};
+
+test('initialize negotiates the protocol version', async () => {
+  const { server, sent } = createTestServer([echo]);
+  await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } });
+  await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+  await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+  assert.strictEqual(sent.length, 2);
+  assert.deepStrictEqual(sent[0].result, {
+    protocolVersion: '2024-11-05',
+    capabilities: { tools: {} },
+    serverInfo: { name: 'test', version: '1.0.0' }
+  });
+  assert.strictEqual(sent[1].result.protocolVersion, '2025-06-18');
+});
+
+test('tools/list and tools/call, with progress only when asked for', async () => {
+  const { server, sent } = createTestServer([echo]);
+  await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  assert.deepStrictEqual(sent[0].result.tools, [{ name: 'echo', description: 'Echo the text', inputSchema: echo.inputSchema }]);
+
+  await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'echo', arguments: { text: 'hi' } } });
+  assert.deepStrictEqual(sent[1], {
+    jsonrpc: '2.0',
+    id: 2,
+    result: { content: [{ type: 'text', text: 'hi' }, { type: 'text', text: 'done' }] }
+  });
+
+  await server.handleMessage({
+    jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'echo', arguments: { text: 'hi' }, _meta: { progressToken: 'p1' } }
+  });
+  assert.deepStrictEqual(sent[2], {
+    jsonrpc: '2.0',
+    method: 'notifications/progress',
+    params: { progressToken: 'p1', progress: 1, message: 'echoing' }
+  });
+  assert.strictEqual(sent[3].id, 3);
+});
+
+test('tool failures are tool results; protocol errors are JSON-RPC errors', async () => {
+  const { server, sent } = createTestServer([echo]);
+  await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: { text: 'fail' } } });
+  assert.deepStrictEqual(sent[0].result, { content: [{ type: 'text', text: 'INVALID_REQUEST: Nope' }], isError: true });
+
+  await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'missing' } });
+  assert.strictEqual(sent[1].error.code, -32602);
+
+  await server.handleMessage({ jsonrpc: '2.0', id: 3, method: 'resources/list' });
+  assert.strictEqual(sent[2].error.code, -32601);
+
+  await server.handleLine('{not json');
+  assert.deepStrictEqual(sent[3], { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+});
+
+test('notifications/cancelled aborts the call without a response', async () => {
+  let aborted = false;
+  const slow = {
+    name: 'slow',
+    description: 'Wait until cancelled',
+    inputSchema: { type: 'object' },
+    handler: (args, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(new Error('aborted'));
+      });
+    })
+  };
+  const { server, sent } = createTestServer([slow]);
+  const call = server.handleMessage({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'slow' } });
+  await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 } });
+  await call;
+
+  assert.strictEqual(aborted, true);
+  assert.deepStrictEqual(sent, []);
+});
+
+test('ask-question-mcp forwards ask_chatgpt to the daemon with progress', { timeout: 20000 }, async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatgpt-relay-mcp-'));
+  const socketPath = path.join(tmpDir, 'server.sock');
+  let askBody = null;
+  const daemon = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    askBody = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('event: queued\ndata: {"position":0,"etaMs":0}\n\n');
+    res.write('event: start\ndata: {}\n\n');
+    res.write('event: delta\ndata: {"text":"Par"}\n\n');
+    res.end('event: done\ndata: {"text":"Paris","conversationId":"c-123","attempts":[]}\n\n');
+  });
+  await new Promise((resolve) => daemon.listen(socketPath, resolve));
+
+  const child = spawn(process.execPath, [new URL('./mcp-server.js', import.meta.url).pathname], {
+    env: { ...process.env, ASK_QUESTION_SOCKET: socketPath, ASK_QUESTION_TOKEN: 'x' },
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+  const messages = [];
+  const lines = readline.createInterface({ input: child.stdout });
+  const response = new Promise((resolve) => {
+    lines.on('line', (line) => {
+      const message = JSON.parse(line);
+      messages.push(message);
+      if (message.id === 2) resolve(message);
+    });
+  });
+
+  try {
+    child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } }) + '\n');
+    child.stdin.write(JSON.stringify({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'ask_chatgpt', arguments: { prompt: 'Capital of France?', newChat: true }, _meta: { progressToken: 9 } }
+    }) + '\n');
+
+    const { result } = await response;
+    assert.deepStrictEqual(result.content, [
+      { type: 'text', text: 'Paris' },
+      { type: 'text', text: 'conversationId: c-123' }
+    ]);
+    assert.strictEqual(askBody.prompt, 'Capital of France?');
+    assert.strictEqual(askBody.newChat, true);
+    assert.match(askBody.client, /^mcp:\d+$/);
+
+    const progress = messages.filter((m) => m.method === 'notifications/progress').map((m) => m.params.message);
+    assert.deepStrictEqual(progress, ['Generating...', 'Received 3 chars']);
+  } finally {
+    child.stdin.end();
+    await new Promise((resolve) => child.on('close', resolve));
+    await new Promise((resolve) => daemon.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,58 @@
+/**
+ * Minimal multipart/form-data parser for /ask uploads.
+ * Buffers the whole body; the server caps request size before calling this.
+ */
+
+/**
+ * Parse a multipart/form-data body.
+ * @param {Buffer} body
+ * @param {string} contentType - The request's Content-Type header
+ * @returns {{ fields: Record<string, string>, files: Array<{ name: string, filename: string, contentType: string, data: Buffer }> }}
+ */
+export function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new Error('Missing multipart boundary');
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = [];
+
+  let pos = body.indexOf(delimiter);
+  if (pos === -1) {
+    throw new Error('Malformed multipart body');
+  }
+
+  for (;;) {
+    pos += delimiter.length;
+    // Closing delimiter is followed by "--"
+    if (body.subarray(pos, pos + 2).toString() === '--') break;
+    pos += 2; // CRLF after delimiter
+
+    const headerEnd = body.indexOf('\r\n\r\n', pos);
+    const next = body.indexOf(delimiter, headerEnd);
+    if (headerEnd === -1 || next === -1) {
+      throw new Error('Malformed multipart body');
+    }
+
+    const headers = body.subarray(pos, headerEnd).toString('utf8');
+    const data = body.subarray(headerEnd + 4, next - 2); // strip CRLF before delimiter
+
+    const name = /name="([^"]*)"/i.exec(headers)?.[1];
+    const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+    const partType = /^content-type:\s*(.+)$/im.exec(headers)?.[1].trim();
+
+    if (name !== undefined) {
+      if (filename !== undefined) {
+        files.push({ name, filename, contentType: partType || 'application/octet-stream', data });
+      } else {
+        fields[name] = data.toString('utf8');
+      }
+    }
+
+    pos = next;
+  }
+
+  return { fields, files };
+}
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseMultipart } from './multipart.js';
+
+test('parseMultipart parses fields and files', async () => {
+  const form = new FormData();
+  form.append('prompt', 'What is in this log?');
+  form.append('newChat', 'true');
+  form.append('file', new Blob([Buffer.from([0, 1, 2, 13, 10])], { type: 'image/png' }), 'shot.png');
+
+  const req = new Request('http://localhost/ask', { method: 'POST', body: form });
+  const body = Buffer.from(await req.arrayBuffer());
+  const { fields, files } = parseMultipart(body, req.headers.get('content-type'));
+
+  assert.deepStrictEqual(fields, { prompt: 'What is in this log?', newChat: 'true' });
+  assert.strictEqual(files.length, 1);
+  assert.strictEqual(files[0].filename, 'shot.png');
+  assert.strictEqual(files[0].contentType, 'image/png');
+  assert.deepStrictEqual([...files[0].data], [0, 1, 2, 13, 10]);
+});
+
+test('parseMultipart rejects bodies without a boundary', () => {
+  assert.throws(() => parseMultipart(Buffer.from(''), 'multipart/form-data'), /boundary/);
+});
@@ -0,0 +1,286 @@
+import crypto from 'node:crypto';
+import { ERROR_CODES, errorCode } from './errors.js';
+
+/**
+ * OpenAI-compatible API (`/v1/chat/completions`, `/v1/models`).
+ * Translates between the chat completions protocol and relay requests, so
+ * tools that speak it only need their base URL changed.
+ *
+ * The protocol is stateless (every request carries the whole history) but a
+ * chat site conversation isn't. A thread index remembers which conversation
+ * each exchange ended up in: when a request's history matches one, only its
+ * new user messages are sent there; otherwise the history is flattened into
+ * one prompt in a new chat.
+ */
+
+const ERROR_TYPES = {
+  INVALID_REQUEST: 'invalid_request_error',
+  NOT_FOUND: 'not_found_error',
+  UNAUTHORIZED: 'authentication_error',
+  FORBIDDEN: 'permission_error',
+  NOT_LOGGED_IN: 'authentication_error',
+  RATE_LIMITED: 'rate_limit_error',
+  QUEUE_FULL: 'rate_limit_error',
+  PAYLOAD_TOO_LARGE: 'invalid_request_error'
+};
+
+const ROLES = new Set(['system', 'developer', 'user', 'assistant']);
+const ROLE_LABELS = { system: 'System', developer: 'System', user: 'User', assistant: 'Assistant' };
+
+/**
+ * Split an OpenAI model ID into provider and model. Provider names select a
+ * site ("claude"), "provider/model" also picks its model ("chatgpt/o3"), and
+ * anything else is taken as a model of the default provider ("gpt-4o").
+ * @param {string|undefined} id
+ * @param {string[]} providers - Known provider names
+ * @param {string} defaultProvider
+ * @returns {{ provider: string, model: string|null, prefixed: boolean }} prefixed if the ID named its provider
+ */
+export function parseModelId(id, providers, defaultProvider) {
+  if (!id) return { provider: defaultProvider, model: null, prefixed: false };
+  if (providers.includes(id)) return { provider: id, model: null, prefixed: false };
+
+  const slash = id.indexOf('/');
+  if (slash > 0 && providers.includes(id.slice(0, slash))) {
+    return { provider: id.slice(0, slash), model: id.slice(slash + 1) || null, prefixed: true };
+  }
+  return { provider: defaultProvider, model: id, prefixed: false };
+}
+
+/**
+ * Check a model from parseModelId against the provider's picker list
+ * (matching its ID or label, case-insensitive). OpenAI SDKs and tools send
+ * their own model names ("gpt-4o-mini"), so an unknown bare ID falls back to
+ * the site's default model; an unknown "provider/model" is an error.
+ * @param {string|null} model
+ * @param {Array<{ id: string, label: string }>|null} models - null if the provider can't list them,
+ *   which leaves the model for the picker to check
+ * @param {object} opts
+ * @param {boolean} opts.prefixed - From parseModelId
+ * @returns {{ model: string|null, error?: string }}
+ */
+export function resolveModel(model, models, { prefixed = false } = {}) {
+  if (!model || !models) return { model };
+
+  const wanted = model.toLowerCase();
+  const match = models.find((m) => m.id.toLowerCase() === wanted || m.label.toLowerCase() === wanted);
+  if (match) return { model: match.id };
+  if (!prefixed) return { model: null };
+
+  const available = models.map((m) => m.id).join(', ') || 'none found';
+  return { model: null, error: `Model not available: ${model} (available: ${available})` };
+}
+
+/**
+ * The text of a message's content: a string, or an array of parts of which
+ * only text parts are supported.
+ * @param {string|object[]} content
+ * @returns {string|null} null if the content has non-text parts
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (content === null || content === undefined) return '';
+  if (!Array.isArray(content)) return null;
+
+  const texts = [];
+  for (const part of content) {
+    if (part?.type !== 'text' || typeof part.text !== 'string') return null;
+    texts.push(part.text);
+  }
+  return texts.join('\n');
+}
+
+/**
+ * Validate a chat completions request body.
+ * Sampling parameters (temperature, max_tokens, ...) and tools are ignored:
+ * the chat site decides those.
+ * @param {object} body
+ * @returns {{ error: string } | { request: { messages: Array<{ role: string, content: string }>, model: string|undefined, stream: boolean, user: string|undefined } }}
+ */
+export function parseChatRequest(body) {
+  if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    return { error: 'messages must be a non-empty array' };
+  }
+  if (body.n !== undefined && body.n !== 1) {
+    return { error: 'Only n=1 is supported' };
+  }
+  if (body.model !== undefined && typeof body.model !== 'string') {
+    return { error: 'model must be a string' };
+  }
+
+  const messages = [];
+  for (const [i, message] of body.messages.entries()) {
+    if (!ROLES.has(message?.role)) {
+      return { error: `messages[${i}].role must be one of: ${[...ROLES].join(', ')}` };
+    }
+    const content = contentText(message.content);
+    if (content === null) {
+      return { error: `messages[${i}].content: only text content is supported` };
+    }
+    messages.push({ role: message.role, content });
+  }
+  if (messages.at(-1).role !== 'user') {
+    return { error: 'The last message must be from the user' };
+  }
+
+  return {
+    request: {
+      messages,
+      model: body.model,
+      stream: body.stream === true,
+      user: typeof body.user === 'string' ? body.user : undefined
+    }
+  };
+}
+
+/**
+ * Split messages into the history already answered (up to the last
+ * assistant message) and the new messages after it.
+ * @param {Array<{ role: string, content: string }>} messages
+ * @returns {{ history: object[], pending: object[] }}
+ */
+export function splitPending(messages) {
+  const lastAssistant = messages.findLastIndex((m) => m.role === 'assistant');
+  return { history: messages.slice(0, lastAssistant + 1), pending: messages.slice(lastAssistant + 1) };
+}
+
+/**
+ * Turn messages into a single prompt. A lone user message (with or without
+ * system instructions) is sent as-is; longer histories become a labelled
+ * transcript so the site sees the earlier turns.
+ * @param {Array<{ role: string, content: string }>} messages
+ * @returns {string}
+ */
+export function messagesToPrompt(messages) {
+  const system = messages.filter((m) => m.role === 'system' || m.role === 'developer');
+  const turns = messages.filter((m) => m.role === 'user' || m.role === 'assistant');
+  const instructions = system.map((m) => m.content).join('\n\n');
+
+  if (turns.every((m) => m.role === 'user')) {
+    const text = turns.map((m) => m.content).join('\n\n');
+    return instructions ? `${instructions}\n\n${text}` : text;
+  }
+
+  const transcript = messages
+    .map((m) => `${ROLE_LABELS[m.role]}: ${m.content}`)
+    .join('\n\n');
+  return `Continue this conversation. Reply to the last User message only.\n\n${transcript}`;
+}
+
+function hashMessages(provider, messages) {
+  return crypto.createHash('sha256').update(JSON.stringify([provider, messages])).digest('hex');
+}
+
+/**
+ * Create an in-memory index from message histories to conversations.
+ * @param {object} opts
+ * @param {number} opts.max - Histories to remember (oldest are forgotten first)
+ * @returns {{ lookup: function(string, object[]): string|null, remember: function(string, object[], string): void }}
+ */
+export function createThreadIndex({ max = 1000 } = {}) {
+  const index = new Map(); // hash -> conversationId, in insertion order
+
+  /**
+   * The conversation a history (ending with an assistant reply) came from.
+   */
+  function lookup(provider, history) {
+    return history.length > 0 ? index.get(hashMessages(provider, history)) ?? null : null;
+  }
+
+  /**
+   * Remember the conversation a full exchange (including the reply) lives in.
+   */
+  function remember(provider, messages, conversationId) {
+    if (!conversationId) return;
+    const hash = hashMessages(provider, messages);
+    index.delete(hash);
+    index.set(hash, conversationId);
+    while (index.size > max) {
+      index.delete(index.keys().next().value);
+    }
+  }
+
+  return { lookup, remember };
+}
+
+/**
+ * Rough token count (about four characters per token); the sites don't report usage.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * A non-streaming chat.completion response.
+ * @param {object} opts
+ * @param {string} opts.id
+ * @param {string} opts.model
+ * @param {number} opts.created - Unix seconds
+ * @param {string} opts.prompt
+ * @param {string} opts.text
+ * @returns {object}
+ */
+export function completionResponse({ id, model, created, prompt, text }) {
+  const promptTokens = estimateTokens(prompt);
+  const completionTokens = estimateTokens(text);
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+  };
+}
+
+/**
+ * One chat.completion.chunk for a streamed response.
+ * @param {object} opts
+ * @param {string} opts.id
+ * @param {string} opts.model
+ * @param {number} opts.created - Unix seconds
+ * @param {object} opts.delta - { role?, content? }
+ * @param {string|null} opts.finishReason
+ * @returns {object}
+ */
+export function completionChunk({ id, model, created, delta, finishReason = null }) {
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
+}
+
+/**
+ * An error in OpenAI's shape, with the HTTP status for its code.
+ * @param {Error} error
+ * @returns {{ status: number, body: { error: { message: string, type: string, param: null, code: string } } }}
+ */
+export function openAIError(error) {
+  const code = errorCode(error);
+  return {
+    status: ERROR_CODES[code].status,
+    body: {
+      error: {
+        message: error.message,
+        type: ERROR_TYPES[code] || 'server_error',
+        param: null,
+        code: code.toLowerCase()
+      }
+    }
+  };
+}
+
+/**
+ * A /v1/models entry.
+ * @param {string} id
+ * @param {string} ownedBy - Provider name
+ * @returns {object}
+ */
+export function modelEntry(id, ownedBy) {
+  return { id, object: 'model', created: 0, owned_by: ownedBy };
+}
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { relayError } from './errors.js';
+import {
+  parseModelId, resolveModel, parseChatRequest, splitPending, messagesToPrompt, createThreadIndex,
+  completionResponse, completionChunk, openAIError
+} from './openai.js';
+
+const PROVIDER_NAMES = ['chatgpt', 'claude'];
+
+test('parseModelId maps model IDs to a provider and model', () => {
+  assert.deepStrictEqual(parseModelId(undefined, PROVIDER_NAMES, 'chatgpt'), { provider: 'chatgpt', model: null, prefixed: false });
+  assert.deepStrictEqual(parseModelId('claude', PROVIDER_NAMES, 'chatgpt'), { provider: 'claude', model: null, prefixed: false });
+  assert.deepStrictEqual(parseModelId('chatgpt/o3', PROVIDER_NAMES, 'chatgpt'), { provider: 'chatgpt', model: 'o3', prefixed: true });
+  assert.deepStrictEqual(parseModelId('gpt-4o', PROVIDER_NAMES, 'chatgpt'), { provider: 'chatgpt', model: 'gpt-4o', prefixed: false });
+  assert.deepStrictEqual(parseModelId('org/model', PROVIDER_NAMES, 'chatgpt'), { provider: 'chatgpt', model: 'org/model', prefixed: false });
+});
+
+test('resolveModel falls back to the site default for unknown bare IDs only', () => {
+  const models = [{ id: 'gpt-4o', label: 'GPT-4o' }, { id: 'o3', label: 'o3' }];
+  assert.deepStrictEqual(resolveModel('GPT-4o', models), { model: 'gpt-4o' });
+  assert.deepStrictEqual(resolveModel('gpt-4o-mini', models), { model: null });
+  assert.deepStrictEqual(resolveModel('o4', models, { prefixed: true }), {
+    model: null,
+    error: 'Model not available: o4 (available: gpt-4o, o3)'
+  });
+  assert.deepStrictEqual(resolveModel('gpt-4o-mini', null), { model: 'gpt-4o-mini' });
+  assert.deepStrictEqual(resolveModel(null, models), { model: null });
+});
+
+test('parseChatRequest accepts text messages and content parts', () => {
+  const { request } = parseChatRequest({
+    model: 'chatgpt',
+    stream: true,
+    user: 'alice',
+    temperature: 0.2,
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: 'there' }] }
+    ]
+  });
+  assert.deepStrictEqual(request, {
+    model: 'chatgpt',
+    stream: true,
+    user: 'alice',
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hello\nthere' }
+    ]
+  });
+});
+
+test('parseChatRequest rejects requests the relay cannot serve', () => {
+  assert.match(parseChatRequest({}).error, /messages/);
+  assert.match(parseChatRequest({ messages: [] }).error, /messages/);
+  assert.match(parseChatRequest({ messages: [{ role: 'tool', content: 'x' }] }).error, /role/);
+  assert.match(parseChatRequest({ messages: [{ role: 'assistant', content: 'x' }] }).error, /last message/);
+  assert.match(parseChatRequest({ n: 2, messages: [{ role: 'user', content: 'x' }] }).error, /n=1/);
+  assert.match(parseChatRequest({
+    messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:' } }] }]
+  }).error, /only text/);
+});
+
+test('messagesToPrompt sends a single question as-is and histories as a transcript', () => {
+  assert.strictEqual(messagesToPrompt([{ role: 'user', content: 'Hi' }]), 'Hi');
+  assert.strictEqual(messagesToPrompt([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' }
+  ]), 'Be brief.\n\nHi');
+
+  const prompt = messagesToPrompt([
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'How are you?' }
+  ]);
+  assert.match(prompt, /User: Hi\n\nAssistant: Hello!\n\nUser: How are you\?$/);
+});
+
+test('thread index continues conversations whose history it has seen', () => {
+  const threads = createThreadIndex({ max: 2 });
+  const first = [{ role: 'user', content: 'Hi' }];
+  threads.remember('chatgpt', [...first, { role: 'assistant', content: 'Hello!' }], 'c1');
+
+  const next = [...first, { role: 'assistant', content: 'Hello!' }, { role: 'user', content: 'More' }];
+  const { history, pending } = splitPending(next);
+  assert.deepStrictEqual(pending, [{ role: 'user', content: 'More' }]);
+  assert.strictEqual(threads.lookup('chatgpt', history), 'c1');
+  assert.strictEqual(threads.lookup('claude', history), null);
+  assert.strictEqual(threads.lookup('chatgpt', splitPending(first).history), null);
+
+  // Edited history doesn't match
+  assert.strictEqual(threads.lookup('chatgpt', [...first, { role: 'assistant', content: 'Hey' }]), null);
+
+  // Oldest entries are forgotten past max
+  threads.remember('chatgpt', [{ role: 'user', content: 'a' }], 'c2');
+  threads.remember('chatgpt', [{ role: 'user', content: 'b' }], 'c3');
+  assert.strictEqual(threads.lookup('chatgpt', history), null);
+  assert.strictEqual(threads.lookup('chatgpt', [{ role: 'user', content: 'b' }]), 'c3');
+});
+
+test('completion responses follow the OpenAI shapes', () => {
+  const response = completionResponse({ id: 'chatcmpl-1', model: 'chatgpt', created: 1, prompt: 'abcd', text: 'abcdefgh' });
+  assert.strictEqual(response.object, 'chat.completion');
+  assert.deepStrictEqual(response.choices, [{ index: 0, message: { role: 'assistant', content: 'abcdefgh' }, finish_reason: 'stop' }]);
+  assert.deepStrictEqual(response.usage, { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 });
+
+  const chunk = completionChunk({ id: 'chatcmpl-1', model: 'chatgpt', created: 1, delta: { content: 'Hi' } });
+  assert.strictEqual(chunk.object, 'chat.completion.chunk');
+  assert.deepStrictEqual(chunk.choices, [{ index: 0, delta: { content: 'Hi' }, finish_reason: null }]);
+});
+
+test('openAIError maps relay codes to OpenAI error types', () => {
+  assert.deepStrictEqual(openAIError(relayError('INVALID_REQUEST', 'Bad')), {
+    status: 400,
+    body: { error: { message: 'Bad', type: 'invalid_request_error', param: null, code: 'invalid_request' } }
+  });
+  assert.strictEqual(openAIError(relayError('UNAUTHORIZED', 'No')).body.error.type, 'authentication_error');
+  assert.strictEqual(openAIError(relayError('QUEUE_FULL', 'Full')).status, 429);
+  assert.strictEqual(openAIError(relayError('QUEUE_FULL', 'Full')).body.error.type, 'rate_limit_error');
+  assert.strictEqual(openAIError(new Error('boom')).body.error.type, 'server_error');
+  assert.strictEqual(openAIError(new Error('boom')).status, 500);
+});
@@ -0,0 +1,211 @@
+import { relayError } from './errors.js';
+
+/**
+ * Worker pool scheduler.
+ *
+ * Runs tasks on a fixed set of workers (browser tabs in the server).
+ * Waiting tasks are grouped per client and dispatched round-robin, so one
+ * agent queueing ten prompts can't starve another agent's single prompt.
+ * Tasks sharing a key (a conversation ID) never run at the same time.
+ * Each task gets an AbortSignal that fires when it is cancelled.
+ */
+
+const DEFAULT_DURATION_MS = 60000;
+
+function cancelledError() {
+  return relayError('CANCELLED', 'Request cancelled');
+}
+
+/**
+ * Create a pool.
+ * @param {object} opts
+ * @param {Array} opts.workers - Worker values handed to tasks (e.g. page holders)
+ * @param {number} opts.maxQueue - Max waiting tasks before submit() throws (default: unlimited)
+ * @returns {object} Pool with submit(), cancel(), find() and stats()
+ */
+export function createPool({ workers, maxQueue = Infinity }) {
+  const idle = [...workers];
+  const queues = new Map(); // client -> waiting tickets, FIFO
+  const rotation = []; // clients with waiting tickets, in dispatch order
+  const running = new Set();
+  const activeKeys = new Set();
+  let avgDurationMs = DEFAULT_DURATION_MS;
+  let completed = 0;
+
+  function waitingCount() {
+    let count = 0;
+    for (const queue of queues.values()) count += queue.length;
+    return count;
+  }
+
+  /**
+   * Waiting tickets in the order they would be dispatched, ignoring key locks.
+   */
+  function order() {
+    const result = [];
+    const lists = rotation.map((client) => queues.get(client));
+    for (let round = 0; lists.some((list) => round < list.length); round++) {
+      for (const list of lists) {
+        if (round < list.length) result.push(list[round]);
+      }
+    }
+    return result;
+  }
+
+  function describe(ticket) {
+    if (running.has(ticket)) {
+      return { state: 'running', position: 0, etaMs: 0 };
+    }
+    const position = order().indexOf(ticket);
+    // Rough: every worker finishes one task per average duration
+    const etaMs = Math.round(Math.ceil((position + 1) / workers.length) * avgDurationMs);
+    return { state: 'queued', position, etaMs };
+  }
+
+  function takeNext() {
+    for (let i = 0; i < rotation.length; i++) {
+      const client = rotation[i];
+      const queue = queues.get(client);
+      const index = queue.findIndex((t) => !t.key || !activeKeys.has(t.key));
+      if (index === -1) continue;
+
+      const [ticket] = queue.splice(index, 1);
+      rotation.splice(i, 1);
+      if (queue.length > 0) {
+        rotation.push(client);
+      } else {
+        queues.delete(client);
+      }
+      return ticket;
+    }
+    return null;
+  }
+
+  function dispatch() {
+    while (idle.length > 0) {
+      const ticket = takeNext();
+      if (!ticket) return;
+
+      const worker = idle.shift();
+      running.add(ticket);
+      if (ticket.key) activeKeys.add(ticket.key);
+      const startedAt = Date.now();
+
+      Promise.resolve()
+        .then(() => ticket.task(worker, ticket.controller.signal))
+        .then(ticket.resolve, ticket.reject)
+        .finally(() => {
+          // Exponential moving average keeps ETAs tracking recent response times
+          const duration = Date.now() - startedAt;
+          avgDurationMs = completed === 0 ? duration : avgDurationMs * 0.7 + duration * 0.3;
+          completed++;
+
+          running.delete(ticket);
+          if (ticket.key) activeKeys.delete(ticket.key);
+          idle.push(worker);
+          dispatch();
+        });
+    }
+  }
+
+  function removeWaiting(ticket) {
+    const queue = queues.get(ticket.client);
+    const index = queue ? queue.indexOf(ticket) : -1;
+    if (index === -1) return false;
+
+    queue.splice(index, 1);
+    if (queue.length === 0) {
+      queues.delete(ticket.client);
+      rotation.splice(rotation.indexOf(ticket.client), 1);
+    }
+    return true;
+  }
+
+  /**
+   * Cancel a ticket: drop it if still waiting, or abort its signal if running.
+   * @returns {'queued'|'running'|null} The state it was cancelled in, or null if already finished
+   */
+  function cancelTicket(ticket) {
+    if (running.has(ticket)) {
+      ticket.controller.abort(cancelledError());
+      return 'running';
+    }
+    if (removeWaiting(ticket)) {
+      ticket.controller.abort(cancelledError());
+      ticket.reject(cancelledError());
+      return 'queued';
+    }
+    return null;
+  }
+
+  /**
+   * Queue a task.
+   * @param {function(any, AbortSignal): Promise<any>} task - Called with a worker once one is free
+   * @param {object} opts
+   * @param {string} opts.id - Lookup ID for find()
+   * @param {string} opts.client - Fairness group (default: 'default')
+   * @param {string} opts.key - Tasks with the same key run one at a time
+   * @param {boolean} opts.force - Skip the maxQueue check (e.g. recovered jobs)
+   * @returns {{ promise: Promise<any>, cancel: function, state: string, position: number, etaMs: number }}
+   */
+  function submit(task, opts = {}) {
+    const { id = null, client = 'default', key = null, force = false } = opts;
+
+    if (!force && waitingCount() >= maxQueue) {
+      throw relayError('QUEUE_FULL', `Queue is full (${maxQueue} waiting requests)`);
+    }
+
+    const ticket = { id, client, key, task, controller: new AbortController() };
+    const promise = new Promise((resolve, reject) => {
+      ticket.resolve = resolve;
+      ticket.reject = reject;
+    });
+
+    if (!queues.has(client)) {
+      queues.set(client, []);
+      rotation.push(client);
+    }
+    queues.get(client).push(ticket);
+    dispatch();
+
+    return { promise, cancel: () => cancelTicket(ticket), ...describe(ticket) };
+  }
+
+  /**
+   * Cancel a waiting or running task by ID.
+   * @param {string} id
+   * @returns {'queued'|'running'|null} The state it was cancelled in, or null if not found
+   */
+  function cancel(id) {
+    for (const ticket of running) {
+      if (ticket.id === id) return cancelTicket(ticket);
+    }
+    const ticket = order().find((t) => t.id === id);
+    return ticket ? cancelTicket(ticket) : null;
+  }
+
+  /**
+   * Look up a waiting or running task by ID.
+   * @param {string} id
+   * @returns {{ state: string, position: number, etaMs: number }|null}
+   */
+  function find(id) {
+    for (const ticket of running) {
+      if (ticket.id === id) return describe(ticket);
+    }
+    const ticket = order().find((t) => t.id === id);
+    return ticket ? describe(ticket) : null;
+  }
+
+  function stats() {
+    return {
+      workers: workers.length,
+      busy: running.size,
+      waiting: waitingCount(),
+      maxQueue: Number.isFinite(maxQueue) ? maxQueue : null,
+      avgDurationMs: Math.round(avgDurationMs)
+    };
+  }
+
+  return { submit, cancel, find, stats };
+}
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createPool } from './pool.js';
+
+// A task that records when it starts and finishes only when released
+function gate(log, name) {
+  let release;
+  const done = new Promise((resolve) => { release = resolve; });
+  const task = async (worker) => {
+    log.push(`${name}@${worker}`);
+    await done;
+    return name;
+  };
+  return { task, release };
+}
+
+// Let released tasks finish and the pool dispatch the next ones
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test('createPool runs up to one task per worker at a time', async () => {
+  const log = [];
+  const pool = createPool({ workers: ['w1', 'w2'] });
+  const a = gate(log, 'a');
+  const b = gate(log, 'b');
+  const c = gate(log, 'c');
+
+  pool.submit(a.task);
+  pool.submit(b.task);
+  const third = pool.submit(c.task);
+  await settle();
+
+  assert.deepStrictEqual(log, ['a@w1', 'b@w2']);
+  assert.strictEqual(third.state, 'queued');
+  assert.strictEqual(third.position, 0);
+
+  a.release();
+  await settle();
+  assert.deepStrictEqual(log, ['a@w1', 'b@w2', 'c@w1']);
+  b.release();
+  c.release();
+});
+
+test('createPool alternates between clients', async () => {
+  const log = [];
+  const pool = createPool({ workers: ['w'] });
+  const first = gate(log, 'first');
+  pool.submit(first.task, { client: 'x' });
+
+  const x2 = gate(log, 'x2');
+  const x3 = gate(log, 'x3');
+  const y1 = gate(log, 'y1');
+  pool.submit(x2.task, { client: 'x' });
+  pool.submit(x3.task, { client: 'x' });
+  const y = pool.submit(y1.task, { client: 'y', id: 'y1' });
+
+  // y1 jumps ahead of x3 even though it was submitted later
+  assert.strictEqual(y.position, 1);
+  assert.deepStrictEqual(pool.find('y1'), { state: 'queued', position: 1, etaMs: y.etaMs });
+
+  first.release();
+  await settle();
+  x2.release();
+  await settle();
+  assert.deepStrictEqual(log, ['first@w', 'x2@w', 'y1@w']);
+  y1.release();
+  x3.release();
+});
+
+test('createPool never runs two tasks with the same key together', async () => {
+  const log = [];
+  const pool = createPool({ workers: ['w1', 'w2'] });
+  const a = gate(log, 'a');
+  const b = gate(log, 'b');
+  const c = gate(log, 'c');
+
+  pool.submit(a.task, { key: 'conv-1' });
+  pool.submit(b.task, { key: 'conv-1', client: 'other' });
+  pool.submit(c.task, { key: 'conv-2' });
+  await settle();
+
+  assert.deepStrictEqual(log, ['a@w1', 'c@w2']);
+  a.release();
+  await settle();
+  assert.deepStrictEqual(log, ['a@w1', 'c@w2', 'b@w1']);
+  b.release();
+  c.release();
+});
+
+test('createPool rejects submissions beyond maxQueue unless forced', () => {
+  const pool = createPool({ workers: ['w'], maxQueue: 1 });
+  const never = () => new Promise(() => {});
+
+  pool.submit(never); // running
+  pool.submit(never); // waiting
+  assert.throws(() => pool.submit(never), (e) => e.code === 'QUEUE_FULL');
+  assert.doesNotThrow(() => pool.submit(never, { force: true }));
+  assert.strictEqual(pool.stats().waiting, 2);
+});
+
+test('createPool cancels waiting tasks and aborts running ones', async () => {
+  const log = [];
+  const pool = createPool({ workers: ['w'] });
+  let signal;
+  const running = pool.submit((worker, s) => {
+    signal = s;
+    return new Promise((resolve, reject) => s.addEventListener('abort', () => reject(s.reason)));
+  }, { id: 'run' });
+  const waiting = pool.submit(gate(log, 'never').task, { id: 'wait' });
+  await settle();
+
+  assert.strictEqual(pool.cancel('wait'), 'queued');
+  await assert.rejects(waiting.promise, (e) => e.code === 'CANCELLED');
+  assert.strictEqual(pool.find('wait'), null);
+
+  assert.strictEqual(running.cancel(), 'running');
+  assert.strictEqual(signal.aborted, true);
+  await assert.rejects(running.promise, (e) => e.code === 'CANCELLED');
+  assert.strictEqual(pool.cancel('missing'), null);
+  assert.deepStrictEqual(log, []);
+});
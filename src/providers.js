@@ -0,0 +1,76 @@
+import path from 'node:path';
+import os from 'node:os';
+import { provider as chatgpt } from './chatgpt.js';
+import { provider as claude } from './claude.js';
+
+/**
+ * Registry of chat site adapters.
+ * Each provider module exports a `provider` object; the server, login
+ * helper and CLI only talk to sites through this interface.
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name - ID used in requests and file names (e.g. "chatgpt")
+ * @property {string} label - Human-readable site name
+ * @property {string} url - Page to open for a new chat and for login
+ * @property {string} loginDetectedSelector - Element that only renders when logged in
+ * @property {function(string): boolean} isAuthUrl - True while on the site's login pages
+ * @property {string[]} modes - Tool modes sendPromptAndWait accepts
+ * @property {number} maxMessageChars - Longer prompts are sent in parts (see context.js)
+ * @property {function(import('playwright').Page): Promise<boolean>} isLoggedIn
+ * @property {function(import('playwright').Page): Promise<void>} navigateToNewChat
+ * @property {function(import('playwright').Page, string): Promise<void>} navigateToConversation
+ * @property {function(import('playwright').Page): string|null} getConversationId
+ * @property {function(import('playwright').Page, string, object): Promise<string>} sendPromptAndWait
+ * @property {function(import('playwright').Page, object): Promise<string>} regenerate - Retries a failed reply in place
+ * @property {function(import('playwright').Page): Promise<void>} stopGeneration
+ * @property {function(import('playwright').Page): Promise<object>} extractStructured - Code blocks and sources of the last reply
+ * @property {function(import('playwright').Page, string): Promise<object[]>} downloadArtifacts - Saves the last reply's images and files to a directory
+ * @property {function(import('playwright').Page): Promise<object[]>|null} listModels - null if unsupported
+ */
+
+export const PROVIDERS = { chatgpt, claude };
+
+export const DEFAULT_PROVIDER = 'chatgpt';
+
+/**
+ * Look up a provider by name.
+ * @param {string} name
+ * @returns {Provider}
+ */
+export function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${name} (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Directory the relay keeps its state in (sessions, token, jobs, history...):
+ * ASK_QUESTION_STATE_DIR, else the directory of ASK_QUESTION_STORAGE_STATE_FILE,
+ * else ~/.chatgpt-relay. The server, CLI and login helper all resolve their
+ * files from it, so they agree on where each one lives.
+ * @returns {string}
+ */
+export function stateDir() {
+  if (process.env.ASK_QUESTION_STATE_DIR) return path.resolve(process.env.ASK_QUESTION_STATE_DIR);
+  if (process.env.ASK_QUESTION_STORAGE_STATE_FILE) return path.dirname(path.resolve(process.env.ASK_QUESTION_STORAGE_STATE_FILE));
+  return path.join(os.homedir(), '.chatgpt-relay');
+}
+
+/**
+ * Path of a provider's saved session (cookies + localStorage).
+ * ChatGPT keeps the original storage-state.json so existing logins still work.
+ * @param {string} name - Provider name
+ * @returns {string}
+ */
+export function storageStateFile(name = DEFAULT_PROVIDER) {
+  const defaultFile = process.env.ASK_QUESTION_STORAGE_STATE_FILE ||
+    path.join(stateDir(), 'storage-state.json');
+  if (name === DEFAULT_PROVIDER) {
+    return defaultFile;
+  }
+  return path.join(path.dirname(defaultFile), `storage-state.${name}.json`);
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import os from 'node:os';
+import { PROVIDERS, getProvider, storageStateFile, stateDir } from './providers.js';
+
+test('every provider implements the adapter interface', () => {
+  for (const [name, provider] of Object.entries(PROVIDERS)) {
+    assert.strictEqual(provider.name, name);
+    for (const fn of ['isAuthUrl', 'isLoggedIn', 'navigateToNewChat', 'navigateToConversation',
+      'getConversationId', 'sendPromptAndWait', 'stopGeneration', 'extractStructured', 'downloadArtifacts']) {
+      assert.strictEqual(typeof provider[fn], 'function', `${name}.${fn}`);
+    }
+    assert.ok(Array.isArray(provider.modes));
+    assert.ok(provider.maxMessageChars > 0, `${name}.maxMessageChars`);
+  }
+});
+
+test('getProvider rejects unknown names', () => {
+  assert.strictEqual(getProvider().name, 'chatgpt');
+  assert.throws(() => getProvider('bard'), /Unknown provider: bard/);
+});
+
+test('storageStateFile keeps the original file for chatgpt', () => {
+  const chatgpt = storageStateFile('chatgpt');
+  assert.strictEqual(path.basename(chatgpt), 'storage-state.json');
+  assert.strictEqual(storageStateFile('claude'), path.join(path.dirname(chatgpt), 'storage-state.claude.json'));
+});
+
+test('stateDir follows ASK_QUESTION_STATE_DIR, then the storage state file', (t) => {
+  t.after(() => {
+    delete process.env.ASK_QUESTION_STATE_DIR;
+    delete process.env.ASK_QUESTION_STORAGE_STATE_FILE;
+  });
+  delete process.env.ASK_QUESTION_STATE_DIR;
+  delete process.env.ASK_QUESTION_STORAGE_STATE_FILE;
+  assert.strictEqual(stateDir(), path.join(os.homedir(), '.chatgpt-relay'));
+
+  process.env.ASK_QUESTION_STORAGE_STATE_FILE = '/srv/relay/session.json';
+  assert.strictEqual(stateDir(), '/srv/relay');
+
+  process.env.ASK_QUESTION_STATE_DIR = '/var/lib/relay';
+  assert.strictEqual(stateDir(), '/var/lib/relay');
+  delete process.env.ASK_QUESTION_STORAGE_STATE_FILE;
+  assert.strictEqual(storageStateFile('claude'), '/var/lib/relay/storage-state.claude.json');
+});
+
+test('conversation IDs are read from each site\'s URL scheme', () => {
+  const page = (url) => ({ url: () => url });
+  assert.strictEqual(PROVIDERS.chatgpt.getConversationId(page('https://chatgpt.com/c/abc-123')), 'abc-123');
+  assert.strictEqual(PROVIDERS.claude.getConversationId(page('https://claude.ai/chat/0f1e-22')), '0f1e-22');
+  assert.strictEqual(PROVIDERS.claude.getConversationId(page('https://claude.ai/new')), null);
+});
@@ -0,0 +1,250 @@
+/**
+ * Retry policy for failed requests.
+ * Decides whether a failure is worth another attempt (network blips,
+ * "Something went wrong", failed generations with a Regenerate button, usage
+ * limits), how long to wait first, and keeps the attempt history that is
+ * reported with the response.
+ */
+
+import { relayError } from './errors.js';
+
+const UNITS_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Error wording for failures that usually go away on their own
+const TRANSIENT_PATTERN = /network|connection|something went wrong|error generating|failed to fetch|timed out|temporarily|try again/i;
+
+/**
+ * Whether a site error message describes a transient failure worth retrying.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isTransientMessage(text) {
+  return TRANSIENT_PATTERN.test(text || '');
+}
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} retries - Attempts after the first one
+ * @property {number} baseDelayMs - Wait before the first retry, doubled each retry
+ * @property {number} maxDelayMs - Longest wait between retries
+ * @property {number} maxParkMs - Longest a usage limit may park a job; later resets fail it
+ */
+
+/** @type {RetryPolicy} */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 2,
+  baseDelayMs: 5000,
+  maxDelayMs: 60000,
+  maxParkMs: 4 * 60 * 60 * 1000
+};
+
+/**
+ * Find when a usage limit resets in a banner's text, e.g.
+ * "try again after 4:23 PM", "resets at 16:00" or "try again in 2 hours".
+ * Clock times are taken as local time, today or (if already past) tomorrow.
+ * @param {string} text
+ * @param {Date} now
+ * @returns {Date|null} Reset time, or null if the text doesn't say
+ */
+export function parseRetryAt(text, now = new Date()) {
+  if (!text) return null;
+
+  // Relative: "in 2 hours", "in 1 hour and 30 minutes", "in 45 min"
+  const relative = text.match(/\bin\s+((?:\d+\s*(?:seconds?|secs?|minutes?|mins?|hours?|hrs?|days?)[\s,]*(?:and\s+)?)+)/i);
+  if (relative) {
+    let ms = 0;
+    for (const [, amount, unit] of relative[1].matchAll(/(\d+)\s*(s|m|h|d)\w*/gi)) {
+      ms += Number(amount) * UNITS_MS[{ s: 'second', m: 'minute', h: 'hour', d: 'day' }[unit.toLowerCase()]];
+    }
+    if (ms > 0) return new Date(now.getTime() + ms);
+  }
+
+  // Clock time: "after 4:23 PM", "at 16:00", "until 9 am"
+  const clock = text.match(/\b(?:after|at|until)\s+(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?(?![\w:])/i);
+  if (clock && (clock[2] || clock[3])) {
+    let hours = Number(clock[1]);
+    const minutes = Number(clock[2] || 0);
+    const meridiem = clock[3]?.[0].toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    const at = new Date(now);
+    at.setHours(hours, minutes, 0, 0);
+    if (at <= now) at.setDate(at.getDate() + 1);
+    return at;
+  }
+
+  return null;
+}
+
+/**
+ * Delay before retry number `retry` (1-based): baseDelayMs, doubled each
+ * retry, capped at maxDelayMs.
+ * @param {number} retry
+ * @param {RetryPolicy} policy
+ * @returns {number}
+ */
+export function backoffDelay(retry, policy = DEFAULT_RETRY_POLICY) {
+  return Math.min(policy.baseDelayMs * 2 ** (retry - 1), policy.maxDelayMs);
+}
+
+/**
+ * Decide what to do after a failed attempt.
+ * - Failed generation with a Regenerate button: regenerate in place
+ * - Usage limit with a known reset time: park until then (jobs only)
+ * - Transient site/network errors and limits without a reset time: retry with backoff
+ * - Anything else (bad request, logged out, UI changed, timeout, cancelled): give up
+ * @param {Error} error
+ * @param {object} opts
+ * @param {number} opts.attempts - Attempts made so far
+ * @param {RetryPolicy} opts.policy
+ * @param {boolean} opts.park - Whether the request may wait for a usage limit to reset
+ * @param {number} opts.now - Current time in ms
+ * @returns {{ action: 'regenerate'|'retry'|'park', delayMs: number, retryAt?: string }|null}
+ *   What to do next, or null to fail with this error
+ */
+export function retryAction(error, { attempts, policy = DEFAULT_RETRY_POLICY, park = false, now = Date.now() }) {
+  if (attempts > policy.retries) return null;
+
+  if (error.code === 'RATE_LIMITED') {
+    if (!error.retryAt) {
+      return { action: 'retry', delayMs: backoffDelay(attempts, policy) };
+    }
+    const delayMs = Math.max(0, Date.parse(error.retryAt) - now);
+    if (!park || delayMs > policy.maxParkMs) return null;
+    return { action: 'park', delayMs, retryAt: error.retryAt };
+  }
+
+  if (error.code === 'CHATGPT_ERROR') {
+    if (error.regenerate) return { action: 'regenerate', delayMs: backoffDelay(attempts, policy) };
+    if (error.transient) return { action: 'retry', delayMs: backoffDelay(attempts, policy) };
+  }
+
+  return null;
+}
+
+/**
+ * Describe an upcoming retry (an SSE 'retry' event or a waiting job).
+ * @param {{ action: string, attempt?: number, delayMs?: number, retryAt?: string, code?: string, error?: string }} retry
+ * @returns {string}
+ */
+export function formatRetry({ action, attempt, delayMs, retryAt, code, error }) {
+  const reason = error ? `${code ? `${code}: ` : ''}${error}; ` : '';
+  const when = action === 'park'
+    ? `until ${new Date(retryAt).toLocaleTimeString()}`
+    : `in ${Math.round(delayMs / 1000)}s`;
+  const verb = { park: 'Waiting for the usage limit to reset', regenerate: 'Regenerating', retry: 'Retrying' }[action];
+  return `${reason}${verb} ${when}${attempt ? ` (attempt ${attempt})` : ''}`;
+}
+
+/**
+ * Record the outcome of one attempt in a history array.
+ * @param {object[]} attempts - History, appended to
+ * @param {'send'|'regenerate'} kind - What the attempt did
+ * @param {number} startedAt - Start time in ms
+ * @param {Error|null} error - Why it failed, if it did
+ * @returns {object} The new entry
+ */
+export function recordAttempt(attempts, kind, startedAt, error = null) {
+  const entry = {
+    attempt: attempts.length + 1,
+    kind,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date().toISOString(),
+    ok: !error
+  };
+  if (error) {
+    entry.code = error.code || 'INTERNAL';
+    entry.error = error.message;
+    if (error.retryAt) entry.retryAt = error.retryAt;
+  }
+  attempts.push(entry);
+  return entry;
+}
+
+/**
+ * Wait, unless the signal aborts first.
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>} Rejects with signal.reason when aborted
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a request, starting it again after failures the policy says to retry.
+ * Each attempt is started with submit() (e.g. queued on the worker pool), so
+ * the worker is free for other requests while this one waits out a backoff
+ * or a parked usage limit. Regeneration happens inside an attempt, where the
+ * failed message is on screen; an attempt that still fails with a Regenerate
+ * button is simply sent again.
+ * @param {function(): { promise: Promise<any>, cancel: function }} submit - Starts one attempt
+ * @param {object} opts
+ * @param {object[]} opts.attempts - Attempt history, filled in by the attempts (see recordAttempt)
+ * @param {RetryPolicy} opts.policy
+ * @param {boolean} opts.park - Whether usage limits may park the request
+ * @param {function(object, Error): void} opts.onRetry - Called with the next action before waiting
+ * @returns {{ promise: Promise<any>, cancel: function }} cancel() returns 'waiting' when
+ *   called between attempts, else whatever the current attempt's cancel returns
+ */
+export function retryRequest(submit, { attempts, policy = DEFAULT_RETRY_POLICY, park = false, onRetry } = {}) {
+  let ticket = submit();
+  let waiting = null; // AbortController for the wait between attempts
+
+  const promise = (async () => {
+    for (;;) {
+      try {
+        return await ticket.promise;
+      } catch (e) {
+        const next = retryAction(e, { attempts: attempts.length, policy, park });
+        if (!next) {
+          e.attempts = attempts;
+          throw e;
+        }
+
+        onRetry?.(next, e);
+        waiting = new AbortController();
+        try {
+          await sleep(next.delayMs, waiting.signal);
+        } catch (cancelled) {
+          cancelled.attempts = attempts;
+          throw cancelled;
+        } finally {
+          waiting = null;
+        }
+        ticket = submit();
+      }
+    }
+  })();
+
+  function cancel() {
+    if (waiting) {
+      waiting.abort(relayError('CANCELLED', 'Request cancelled'));
+      return 'waiting';
+    }
+    return ticket.cancel();
+  }
+
+  return { promise, cancel };
+}
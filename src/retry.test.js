@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { relayError } from './errors.js';
+import {
+  parseRetryAt,
+  backoffDelay,
+  retryAction,
+  recordAttempt,
+  retryRequest,
+  isTransientMessage
+} from './retry.js';
+
+const now = new Date(2026, 0, 15, 14, 0, 0); // local time
+const policy = { retries: 2, baseDelayMs: 10, maxDelayMs: 25, maxParkMs: 60 * 60 * 1000 };
+
+test('parseRetryAt reads relative reset times', () => {
+  assert.strictEqual(parseRetryAt('Try again in 2 hours.', now).getTime(), now.getTime() + 2 * 3600000);
+  assert.strictEqual(parseRetryAt('try again in 1 hour and 30 minutes', now).getTime(), now.getTime() + 90 * 60000);
+  assert.strictEqual(parseRetryAt('Please wait, available in 45 min', now).getTime(), now.getTime() + 45 * 60000);
+});
+
+test('parseRetryAt reads clock times, rolling over to tomorrow', () => {
+  const later = parseRetryAt('You can try again after 4:23 PM.', now);
+  assert.deepStrictEqual([later.getDate(), later.getHours(), later.getMinutes()], [15, 16, 23]);
+
+  const tomorrow = parseRetryAt('Your limit resets at 9:00', now);
+  assert.deepStrictEqual([tomorrow.getDate(), tomorrow.getHours()], [16, 9]);
+
+  const noon = parseRetryAt('out of free messages until 12 PM', now);
+  assert.deepStrictEqual([noon.getDate(), noon.getHours()], [16, 12]);
+});
+
+test('parseRetryAt returns null without a time', () => {
+  assert.strictEqual(parseRetryAt('You have reached your message limit.', now), null);
+  assert.strictEqual(parseRetryAt('Resets at 3', now), null);
+  assert.strictEqual(parseRetryAt('', now), null);
+});
+
+test('backoffDelay doubles up to the cap', () => {
+  assert.deepStrictEqual([1, 2, 3, 4].map((n) => backoffDelay(n, policy)), [10, 20, 25, 25]);
+});
+
+test('isTransientMessage recognizes network and generic failures', () => {
+  assert.strictEqual(isTransientMessage('Network error. Please check your connection.'), true);
+  assert.strictEqual(isTransientMessage('Something went wrong while generating the response.'), true);
+  assert.strictEqual(isTransientMessage('This content may violate our policies.'), false);
+});
+
+test('retryAction picks regenerate, retry, park or nothing', () => {
+  const opts = { attempts: 1, policy, now: now.getTime() };
+  const failed = (code, props) => relayError(code, 'x', props);
+
+  assert.deepStrictEqual(retryAction(failed('CHATGPT_ERROR', { transient: true, regenerate: true }), opts), { action: 'regenerate', delayMs: 10 });
+  assert.deepStrictEqual(retryAction(failed('CHATGPT_ERROR', { transient: true }), opts), { action: 'retry', delayMs: 10 });
+  assert.strictEqual(retryAction(failed('CHATGPT_ERROR', {}), opts), null);
+  assert.deepStrictEqual(retryAction(failed('RATE_LIMITED', {}), opts), { action: 'retry', delayMs: 10 });
+
+  for (const code of ['INVALID_REQUEST', 'NOT_LOGGED_IN', 'UI_CHANGED', 'TIMEOUT', 'PARTIAL_RESPONSE', 'CANCELLED']) {
+    assert.strictEqual(retryAction(failed(code, { transient: true }), opts), null, code);
+  }
+});
+
+test('retryAction parks on a usage limit only when allowed and soon enough', () => {
+  const retryAt = new Date(now.getTime() + 30 * 60000).toISOString();
+  const limited = relayError('RATE_LIMITED', 'limit', { retryAt });
+  const opts = { attempts: 1, policy, now: now.getTime() };
+
+  assert.strictEqual(retryAction(limited, opts), null);
+  assert.deepStrictEqual(retryAction(limited, { ...opts, park: true }), { action: 'park', delayMs: 30 * 60000, retryAt });
+
+  const far = relayError('RATE_LIMITED', 'limit', { retryAt: new Date(now.getTime() + 2 * 3600000).toISOString() });
+  assert.strictEqual(retryAction(far, { ...opts, park: true }), null);
+});
+
+test('retryAction stops once the retries are used up', () => {
+  const error = relayError('CHATGPT_ERROR', 'x', { transient: true });
+  assert.ok(retryAction(error, { attempts: 2, policy }));
+  assert.strictEqual(retryAction(error, { attempts: 3, policy }), null);
+});
+
+test('recordAttempt numbers attempts and keeps failure details', () => {
+  const attempts = [];
+  recordAttempt(attempts, 'send', Date.now(), relayError('RATE_LIMITED', 'limit', { retryAt: '2026-01-15T16:00:00.000Z' }));
+  recordAttempt(attempts, 'send', Date.now());
+
+  assert.deepStrictEqual(attempts.map((a) => [a.attempt, a.ok, a.code]), [[1, false, 'RATE_LIMITED'], [2, true, undefined]]);
+  assert.strictEqual(attempts[0].retryAt, '2026-01-15T16:00:00.000Z');
+});
+
+// Each submit() runs the next scripted outcome, recording it like processRequest does
+function scripted(outcomes, attempts) {
+  let calls = 0;
+  const submit = () => {
+    const outcome = outcomes[calls++];
+    const promise = (async () => {
+      recordAttempt(attempts, 'send', Date.now(), outcome instanceof Error ? outcome : null);
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    })();
+    return { promise, cancel: () => null };
+  };
+  return { submit, calls: () => calls };
+}
+
+test('retryRequest retries transient failures until one succeeds', async () => {
+  const attempts = [];
+  const retries = [];
+  const { submit, calls } = scripted([
+    relayError('CHATGPT_ERROR', 'Network error', { transient: true }),
+    relayError('RATE_LIMITED', 'Too many requests'),
+    { text: 'ok' }
+  ], attempts);
+
+  const request = retryRequest(submit, { attempts, policy, onRetry: (next) => retries.push(next.action) });
+  assert.deepStrictEqual(await request.promise, { text: 'ok' });
+  assert.strictEqual(calls(), 3);
+  assert.deepStrictEqual(retries, ['retry', 'retry']);
+  assert.deepStrictEqual(attempts.map((a) => a.ok), [false, false, true]);
+});
+
+test('retryRequest gives up with the attempt history attached', async () => {
+  const attempts = [];
+  const transient = () => relayError('CHATGPT_ERROR', 'Network error', { transient: true });
+  const { submit } = scripted([transient(), transient(), transient()], attempts);
+
+  await assert.rejects(retryRequest(submit, { attempts, policy }).promise, (e) => {
+    assert.strictEqual(e.code, 'CHATGPT_ERROR');
+    assert.strictEqual(e.attempts.length, 3);
+    return true;
+  });
+});
+
+test('retryRequest can be cancelled while waiting to retry', async () => {
+  const attempts = [];
+  const { submit, calls } = scripted([relayError('CHATGPT_ERROR', 'Network error', { transient: true })], attempts);
+  const request = retryRequest(submit, {
+    attempts,
+    policy: { ...policy, baseDelayMs: 60000, maxDelayMs: 60000 },
+    onRetry: () => setImmediate(() => assert.strictEqual(request.cancel(), 'waiting'))
+  });
+
+  await assert.rejects(request.promise, { code: 'CANCELLED' });
+  assert.strictEqual(calls(), 1);
+});
@@ -0,0 +1,134 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+
+/**
+ * User selector overrides.
+ * Providers ship built-in selectors; a JSON file can replace any group so a
+ * UI change can be hotfixed without editing the provider module:
+ *
+ *   { "chatgpt": { "sendButton": ["button[data-testid=\"send\"]", "..."] } }
+ *
+ * Values are a selector string or an array of alternatives. The file is
+ * re-read whenever its mtime changes, so a running daemon picks up edits.
+ */
+
+export const SELECTORS_FILE = process.env.ASK_QUESTION_SELECTORS_FILE ||
+  path.join(os.homedir(), '.chatgpt-relay/selectors.json');
+
+let cache = { file: null, mtimeMs: null, overrides: {} };
+
+/**
+ * Split a comma-joined selector group into its alternatives. Commas inside
+ * quotes, parentheses or brackets (`:text-matches("a, b", "i")`) don't split;
+ * an unbalanced group is split at every ", ".
+ * @param {string} group
+ * @returns {string[]}
+ */
+export function splitSelectors(group) {
+  const selectors = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < group.length; i++) {
+    const c = group[i];
+    if (quote && c === '\\') {
+      current += c + (group[++i] ?? '');
+      continue;
+    }
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '(' || c === '[') {
+      depth++;
+    } else if ((c === ')' || c === ']') && depth > 0) {
+      depth--;
+    } else if (c === ',' && depth === 0) {
+      selectors.push(current);
+      current = '';
+      continue;
+    }
+    current += c;
+  }
+  selectors.push(current);
+  // Unbalanced, so malformed: split it plainly and let the bad alternative fail on its own
+  const parts = quote || depth > 0 ? group.split(', ') : selectors;
+  return parts.map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Apply one provider's overrides to its built-in selectors.
+ * Unknown groups are kept too, so newer overrides work with older code.
+ * @param {Object<string, string>} defaults - Built-in groups
+ * @param {Object<string, string|string[]>} overrides
+ * @returns {Object<string, string>}
+ */
+export function mergeSelectors(defaults, overrides = {}) {
+  const merged = { ...defaults };
+  for (const [group, value] of Object.entries(overrides)) {
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.every((s) => typeof s === 'string' && s.trim())) {
+      throw new Error(`Selector override ${group} must be a string or array of strings`);
+    }
+    merged[group] = list.join(', ');
+  }
+  return merged;
+}
+
+/**
+ * Read the overrides file if it changed since the last call.
+ * A missing file means no overrides; an invalid one is logged and the
+ * previous overrides are kept.
+ */
+function loadOverrides(file) {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {
+    // No file
+  }
+
+  if (cache.file === file && cache.mtimeMs === mtimeMs) {
+    return cache.overrides;
+  }
+
+  let overrides = {};
+  if (mtimeMs !== null) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('expected an object keyed by provider name');
+      }
+      console.log(`[selectors] Loaded overrides from ${file}`);
+    } catch (e) {
+      console.error(`[selectors] Ignoring ${file}: ${e.message}`);
+      overrides = cache.file === file ? cache.overrides : {};
+    }
+  } else if (cache.mtimeMs !== null) {
+    console.log(`[selectors] ${file} removed, using built-in selectors`);
+  }
+
+  cache = { file, mtimeMs, overrides };
+  return overrides;
+}
+
+/**
+ * Get a provider's selectors with any user overrides applied.
+ * @param {string} provider - Provider name (key in the overrides file)
+ * @param {Object<string, string>} defaults - Built-in groups
+ * @param {string} file - Overrides file (default: SELECTORS_FILE)
+ * @returns {Object<string, string>}
+ */
+export function getSelectors(provider, defaults, file = SELECTORS_FILE) {
+  const overrides = loadOverrides(file)[provider];
+  if (!overrides) {
+    return defaults;
+  }
+  try {
+    return mergeSelectors(defaults, overrides);
+  } catch (e) {
+    console.error(`[selectors] Ignoring ${provider} overrides: ${e.message}`);
+    return defaults;
+  }
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { splitSelectors, mergeSelectors, getSelectors } from './selectors.js';
+import { tmpDir } from './test-helpers.js';
+
+const DEFAULTS = { composer: '#a, #b', sendButton: 'button.send' };
+
+test('splitSelectors returns each alternative in a group', () => {
+  assert.deepStrictEqual(splitSelectors('#a, button:has-text("Go"),  #c'), ['#a', 'button:has-text("Go")', '#c']);
+  assert.deepStrictEqual(
+    splitSelectors('[data-testid="limit"], div:text-matches("out of .*messages until", "i"), :text("a, b\\", c")'),
+    ['[data-testid="limit"]', 'div:text-matches("out of .*messages until", "i")', ':text("a, b\\", c")']
+  );
+  assert.deepStrictEqual(splitSelectors('input[name="a,b"],#c'), ['input[name="a,b"]', '#c']);
+});
+
+test('mergeSelectors replaces whole groups and accepts arrays', () => {
+  assert.deepStrictEqual(
+    mergeSelectors(DEFAULTS, { sendButton: ['#send', '#go'], extra: '#x' }),
+    { composer: '#a, #b', sendButton: '#send, #go', extra: '#x' }
+  );
+  assert.throws(() => mergeSelectors(DEFAULTS, { composer: [''] }), /composer/);
+});
+
+test('getSelectors reloads the overrides file when it changes', () => {
+  const dir = tmpDir('selectors');
+  const file = path.join(dir, 'selectors.json');
+
+  assert.strictEqual(getSelectors('chatgpt', DEFAULTS, file), DEFAULTS);
+
+  fs.writeFileSync(file, JSON.stringify({ chatgpt: { composer: '#new' } }));
+  assert.strictEqual(getSelectors('chatgpt', DEFAULTS, file).composer, '#new');
+  assert.strictEqual(getSelectors('claude', DEFAULTS, file), DEFAULTS);
+
+  // Invalid JSON keeps the last good overrides
+  fs.writeFileSync(file, '{ nope');
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+  assert.strictEqual(getSelectors('chatgpt', DEFAULTS, file).composer, '#new');
+
+  fs.rmSync(file);
+  assert.strictEqual(getSelectors('chatgpt', DEFAULTS, file), DEFAULTS);
+});
@@ -3,58 +3,1213 @@
 /**
  * ask-question-server
  *
- * HTTP daemon that owns a persistent browser context and serializes
- * requests to ChatGPT. CLI communicates via HTTP.
+ * HTTP daemon that owns one persistent browser context per provider
+ * (ChatGPT, Claude.ai, ...) and schedules requests across a pool of worker
+ * tabs. CLI communicates via HTTP.
  */
 
 import { chromium } from 'playwright';
 import http from 'node:http';
+import net from 'node:net';
 import path from 'node:path';
 import fs from 'node:fs';
-import os from 'node:os';
-import { navigateToNewChat, sendPromptAndWait, isLoggedIn } from './chatgpt.js';
+import crypto from 'node:crypto';
+import { pipeline } from 'node:stream/promises';
+import { validateAttachment, RESPONSE_FORMATS } from './automation.js';
+import { PROVIDERS, DEFAULT_PROVIDER, getProvider, storageStateFile, stateDir } from './providers.js';
+import { createJob, getJob, updateJob, listJobs, recoverJobs, isFinished } from './jobs.js';
+import { createBatch, getBatch, updateBatch, listBatches, batchSummary, planBatch, isItemFinished } from './batches.js';
+import { completionPayload, alertPayload, isValidWebhookUrl, postWebhook } from './webhook.js';
+import { parseMultipart } from './multipart.js';
+import { createPool } from './pool.js';
+import { diagnose } from './doctor.js';
+import { createSessionMonitor, readSessionMeta, saveStorageState } from './health.js';
+import { relayError, errorCode, errorBody, httpStatus } from './errors.js';
+import { DEFAULT_RETRY_POLICY, retryAction, recordAttempt, retryRequest, sleep } from './retry.js';
+import { checkAccess, ensureToken } from './auth.js';
+import { appendHistory } from './history.js';
+import { createResponseCache, cacheKey, isCacheable, shareKey, shareRequest } from './cache.js';
+import { splitPrompt, messageLimit, sendLeadingParts } from './context.js';
+import { artifactUrl, artifactFile, mimeTypeFor } from './artifacts.js';
+import {
+  parseChatRequest, parseModelId, resolveModel, splitPending, messagesToPrompt, createThreadIndex,
+  completionResponse, completionChunk, openAIError, modelEntry
+} from './openai.js';
 
-const STORAGE_STATE_FILE = process.env.ASK_QUESTION_STORAGE_STATE_FILE ||
-  path.join(os.homedir(), '.chatgpt-relay/storage-state.json');
+const STORAGE_STATE_FILE = storageStateFile(DEFAULT_PROVIDER);
+const STATE_DIR = stateDir();
+
+const JOBS_DIR = process.env.ASK_QUESTION_JOBS_DIR ||
+  path.join(STATE_DIR, 'jobs');
+
+const BATCHES_DIR = process.env.ASK_QUESTION_BATCHES_DIR ||
+  path.join(STATE_DIR, 'batches');
+
+// Every finished request is recorded here (see history.js); ASK_QUESTION_HISTORY=0 turns it off
+const HISTORY_FILE = process.env.ASK_QUESTION_HISTORY_FILE ||
+  path.join(STATE_DIR, 'history.jsonl');
+const HISTORY_ENABLED = process.env.ASK_QUESTION_HISTORY !== '0';
+
+// Opt-in response cache (see cache.js): default TTL 0 caches nothing unless a request sets cacheTtl
+const CACHE_FILE = process.env.ASK_QUESTION_CACHE_FILE ||
+  path.join(STATE_DIR, 'cache.json');
+const CACHE_TTL_MS = parseInt(process.env.ASK_QUESTION_CACHE_TTL_MS || '0', 10);
+
+const UPLOADS_DIR = path.join(STATE_DIR, 'uploads');
+
+// Images and files downloaded from replies, one directory per request
+const ARTIFACTS_DIR = process.env.ASK_QUESTION_ARTIFACTS_DIR ||
+  path.join(STATE_DIR, 'artifacts');
 
 const PORT = parseInt(process.env.ASK_QUESTION_PORT || '3033', 10);
+// Listen on a Unix domain socket (owner-only permissions) instead of TCP
+const SOCKET_PATH = process.env.ASK_QUESTION_SOCKET || null;
+const REQUIRE_TOKEN = ['1', 'true'].includes(process.env.ASK_QUESTION_REQUIRE_TOKEN);
+const TOKEN_FILE = process.env.ASK_QUESTION_TOKEN_FILE ||
+  path.join(STATE_DIR, 'token');
+const WORKERS = Math.max(1, parseInt(process.env.ASK_QUESTION_WORKERS || '1', 10));
+const MAX_QUEUE = parseInt(process.env.ASK_QUESTION_MAX_QUEUE || '20', 10);
+const MAX_BODY_BYTES = 100 * 1024 * 1024;
 const SHUTDOWN_TIMEOUT_MS = 5000;
+const HEALTH_INTERVAL_MS = parseInt(process.env.ASK_QUESTION_HEALTH_INTERVAL_MS || String(5 * 60 * 1000), 10);
+const REFRESH_INTERVAL_MS = parseInt(process.env.ASK_QUESTION_REFRESH_INTERVAL_MS || String(30 * 60 * 1000), 10);
+const ALERT_WEBHOOK_URL = process.env.ASK_QUESTION_ALERT_WEBHOOK_URL || null;
+const MAX_RETRIES = 10;
+const MAX_BATCH_ITEMS = 500;
+const MAX_MESSAGE_PARTS = 20;
+const MODELS_CACHE_MS = 10 * 60 * 1000;
+
+/** @type {import('./retry.js').RetryPolicy} */
+const RETRY_POLICY = {
+  retries: parseInt(process.env.ASK_QUESTION_RETRIES || String(DEFAULT_RETRY_POLICY.retries), 10),
+  baseDelayMs: parseInt(process.env.ASK_QUESTION_RETRY_BASE_MS || String(DEFAULT_RETRY_POLICY.baseDelayMs), 10),
+  maxDelayMs: parseInt(process.env.ASK_QUESTION_RETRY_MAX_MS || String(DEFAULT_RETRY_POLICY.maxDelayMs), 10),
+  maxParkMs: parseInt(process.env.ASK_QUESTION_MAX_PARK_MS || String(DEFAULT_RETRY_POLICY.maxParkMs), 10)
+};
 
 let browser = null;
-let context = null;
-let page = null;
-let requestQueue = Promise.resolve();
+const contexts = new Map(); // provider name -> BrowserContext
+const monitors = new Map(); // provider name -> session monitor (see health.js)
+const healthPages = new Map(); // provider name -> tab used only for login checks
+const sessionInfo = new Map(); // provider name -> { loginAt }
+const activeRequests = new Map(); // job ID -> retryRequest handle or shared-request ticket, until it settles
+let apiToken = null; // Required bearer token (ASK_QUESTION_REQUIRE_TOKEN)
+const threads = createThreadIndex(); // OpenAI message histories -> conversation IDs
+const modelLists = new Map(); // provider name -> { models, fetchedAt }, for the OpenAI API
+const responseCache = createResponseCache(CACHE_FILE);
+const inFlight = new Map(); // share key (see cache.js) -> shareRequest of the run answering it
+let pool = null;
 let shuttingDown = false;
 
 /**
- * Process a prompt request (serialized via queue).
+ * Make sure a worker has a tab open for a provider.
+ * Each worker keeps one tab per provider, in that provider's browser context.
+ * @param {{ id: number, pages: Object<string, import('playwright').Page> }} worker
+ * @param {import('./providers.js').Provider} provider
+ * @returns {Promise<import('playwright').Page>}
+ */
+async function ensurePage(worker, provider) {
+  const context = contexts.get(provider.name);
+  if (!context) {
+    throw relayError('NOT_LOGGED_IN', `No ${provider.label} session. Run "ask-question-login --provider ${provider.name}" first.`);
+  }
+
+  let page = worker.pages[provider.name];
+  if (!page || page.isClosed()) {
+    page = await context.newPage();
+    await page.goto(provider.url);
+    worker.pages[provider.name] = page;
+  }
+  return page;
+}
+
+/**
+ * Reload a provider's page in its dedicated health tab and check the login.
+ * If the session had expired and ask-question-login has since written a new
+ * storage state, its cookies are loaded first so the daemon recovers without
+ * a restart.
+ * @param {import('./providers.js').Provider} provider
+ * @returns {Promise<boolean>}
  */
-async function processRequest(prompt, opts = {}) {
-  const { timeout = 600000, newChat = false } = opts;
+async function checkLogin(provider) {
+  const context = contexts.get(provider.name);
+  const stateFile = storageStateFile(provider.name);
 
-  // Ensure we have a page
+  if (monitors.get(provider.name)?.status().loggedIn === false) {
+    const { loginAt } = readSessionMeta(stateFile);
+    const session = sessionInfo.get(provider.name);
+    if (loginAt && loginAt !== session.loginAt) {
+      console.log(`[ask-question-server] Loading new ${provider.label} session from ${stateFile}`);
+      const { cookies } = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      await context.clearCookies();
+      await context.addCookies(cookies);
+      session.loginAt = loginAt;
+    }
+  }
+
+  let page = healthPages.get(provider.name);
   if (!page || page.isClosed()) {
     page = await context.newPage();
-    await page.goto('https://chatgpt.com');
+    healthPages.set(provider.name, page);
+  }
+  await page.goto(provider.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  return provider.isLoggedIn(page);
+}
+
+/**
+ * Tell the user a session expired: log it and POST to ASK_QUESTION_ALERT_WEBHOOK_URL.
+ * @param {import('./providers.js').Provider} provider
+ */
+function alertSessionExpired(provider) {
+  const login = provider.name === DEFAULT_PROVIDER ? 'ask-question-login' : `ask-question-login --provider ${provider.name}`;
+  const message = `${provider.label} session expired. Run "${login}" to log in again.`;
+  console.error(`[ask-question-server] ${message}`);
+
+  if (!ALERT_WEBHOOK_URL) return;
+  postWebhook(ALERT_WEBHOOK_URL, alertPayload({ source: provider.name, status: 'session_expired', message })).catch((e) => {
+    console.error(`[ask-question-server] Alert to ${ALERT_WEBHOOK_URL} failed:`, e.message);
+  });
+}
+
+/**
+ * Start background login checks and storage-state refreshes for a provider.
+ * @param {import('./providers.js').Provider} provider
+ */
+function monitorSession(provider) {
+  const stateFile = storageStateFile(provider.name);
+  sessionInfo.set(provider.name, { loginAt: readSessionMeta(stateFile).loginAt });
+
+  const monitor = createSessionMonitor({
+    check: () => checkLogin(provider),
+    refresh: async () => {
+      await saveStorageState(contexts.get(provider.name), stateFile);
+      console.log(`[ask-question-server] ${provider.label} session saved to ${stateFile}`);
+    },
+    onExpired: () => alertSessionExpired(provider),
+    intervalMs: HEALTH_INTERVAL_MS,
+    refreshIntervalMs: REFRESH_INTERVAL_MS,
+    loggedIn: true
+  });
+  monitor.start();
+  monitors.set(provider.name, monitor);
+}
+
+/**
+ * Login status and session age per provider, for /health.
+ */
+function sessionHealth() {
+  const providers = {};
+  for (const [name, monitor] of monitors) {
+    const { loggedIn, checkedAt, refreshedAt, error } = monitor.status();
+    const { loginAt } = sessionInfo.get(name);
+    providers[name] = {
+      loggedIn,
+      checkedAt,
+      refreshedAt,
+      loginAt,
+      sessionAgeMs: loginAt ? Date.now() - Date.parse(loginAt) : null,
+      error
+    };
+  }
+  return providers;
+}
+
+/**
+ * The retry policy for a request: the daemon's, with the request's `retries`.
+ * @returns {import('./retry.js').RetryPolicy}
+ */
+function retryPolicy(opts) {
+  return { ...RETRY_POLICY, retries: opts.retries ?? RETRY_POLICY.retries };
+}
+
+/**
+ * Process a prompt request on one worker tab (one attempt, as far as retries
+ * go). Prompts over the provider's message limit are sent as parts in the
+ * same conversation and only the last part's reply is returned. A reply
+ * whose generation fails is regenerated in place while the retry policy
+ * allows; every send and regenerate is recorded in `attempts`.
+ * @returns {Promise<{ text: string, conversationId: string|null, codeBlocks?: object[], sources?: object[], artifacts?: object[] }>}
+ *   codeBlocks and sources only if `extract` is set, artifacts only if `artifacts` is
+ */
+async function processRequest(worker, prompt, opts = {}) {
+  const {
+    timeout = 600000,
+    newChat = false,
+    conversationId = null,
+    format = 'text',
+    attachments = [],
+    model = null,
+    mode = null,
+    provider: providerName = DEFAULT_PROVIDER,
+    extract = false,
+    artifacts = false,
+    attempts = [],
+    progress = { sent: 0, conversationId: null },
+    onEvent,
+    signal
+  } = opts;
+
+  const provider = getProvider(providerName);
+  const page = await ensurePage(worker, provider);
+
+  const parts = splitPrompt(prompt, messageLimit(provider));
+  await sendLeadingParts(parts, progress, {
+    open: async () => {
+      if (conversationId) {
+        await provider.navigateToConversation(page, conversationId);
+      } else if (newChat) {
+        await provider.navigateToNewChat(page);
+      }
+    },
+    resume: (id) => provider.navigateToConversation(page, id),
+    send: async (part, i) => {
+      onEvent?.({ type: 'part', part: i + 1, parts: parts.length });
+      const startedAt = Date.now();
+      try {
+        // The model only needs picking once; mode and attachments go with the last part
+        await provider.sendPromptAndWait(page, part, { timeout, format: 'text', model: i === 0 ? model : null, signal });
+      } catch (e) {
+        recordAttempt(attempts, 'send', startedAt, e);
+        throw e;
+      }
+      return provider.getConversationId(page);
+    }
+  });
+  if (parts.length > 1) onEvent?.({ type: 'part', part: parts.length, parts: parts.length });
+
+  const sendOpts = { timeout, format, attachments, model: parts.length > 1 ? null : model, mode, onEvent, signal };
+  let kind = 'send';
+  for (;;) {
+    const startedAt = Date.now();
+    try {
+      const text = kind === 'send'
+        ? await provider.sendPromptAndWait(page, parts.at(-1), sendOpts)
+        : await provider.regenerate(page, sendOpts);
+      recordAttempt(attempts, kind, startedAt);
+
+      // A new chat only gets its conversation URL once the first message is sent
+      const result = { text, conversationId: provider.getConversationId(page) };
+      if (extract) {
+        // The answer is already generated: losing the extras must not cost it (or a resend)
+        try {
+          Object.assign(result, await provider.extractStructured(page));
+        } catch (e) {
+          console.error(`[ask-question-server] Could not extract code blocks and sources: ${e.message}`);
+          Object.assign(result, { codeBlocks: [], sources: [] });
+        }
+      }
+      if (artifacts) {
+        const dir = path.join(ARTIFACTS_DIR, `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`);
+        result.artifacts = (await provider.downloadArtifacts(page, dir))
+          .map((artifact) => (artifact.path ? { ...artifact, url: artifactUrl(dir, artifact.name) } : artifact));
+      }
+      return result;
+    } catch (e) {
+      recordAttempt(attempts, kind, startedAt, e);
+      const next = signal?.aborted ? null : retryAction(e, { attempts: attempts.length, policy: retryPolicy(opts) });
+      if (next?.action !== 'regenerate') throw e;
+
+      console.log(`[ask-question-server] ${e.message}; regenerating in ${Math.round(next.delayMs / 1000)}s (attempt ${attempts.length + 1})`);
+      onEvent?.({ type: 'retry', attempt: attempts.length + 1, action: 'regenerate', delayMs: next.delayMs, code: e.code, error: e.message });
+      await sleep(next.delayMs, signal);
+      kind = 'regenerate';
+    }
+  }
+}
+
+/**
+ * POST the outcome of a request to its callbackUrl, if it has one.
+ * Fire-and-forget: delivery failures are logged, never thrown.
+ * @param {object} opts - Request options (callbackUrl, sessionId, provider)
+ * @param {object} outcome
+ * @param {string} outcome.jobId
+ * @param {string} outcome.text
+ * @param {string} outcome.conversationId
+ * @param {Error} outcome.error
+ */
+function notifyCallback(opts, { jobId, text, conversationId, error }) {
+  if (!opts.callbackUrl) return;
+
+  const payload = {
+    ...completionPayload({
+      sessionId: opts.sessionId,
+      source: opts.provider || DEFAULT_PROVIDER,
+      status: !error ? 'done' : error.code === 'CANCELLED' ? 'cancelled' : 'error',
+      error: error?.message,
+      code: error ? errorCode(error) : null,
+      jobId,
+      conversationId
+    }),
+    text: text ?? error?.partialText ?? null
+  };
+
+  postWebhook(opts.callbackUrl, payload).catch((e) => {
+    console.error(`[ask-question-server] Callback to ${opts.callbackUrl} failed:`, e.message);
+  });
+}
+
+/**
+ * Append a finished request to the history file. Failures only warn.
+ * @param {string} prompt
+ * @param {object} opts - Request options
+ * @param {object} outcome
+ * @param {string} outcome.source - Which API the request came through
+ * @param {string} outcome.jobId
+ * @param {number} outcome.receivedAt - ms
+ * @param {number|null} outcome.startedAt - ms, when a worker first picked it up
+ * @param {object} outcome.result - { text, conversationId, attempts }, if it succeeded
+ * @param {Error} outcome.error - Why it failed, if it did
+ */
+function recordHistory(prompt, opts, { source, jobId, receivedAt, startedAt, result = null, error = null }) {
+  if (!HISTORY_ENABLED) return;
+
+  const finishedAt = Date.now();
+  try {
+    appendHistory(HISTORY_FILE, {
+      source,
+      jobId,
+      provider: opts.provider || DEFAULT_PROVIDER,
+      model: opts.model ?? null,
+      mode: opts.mode ?? null,
+      format: opts.format || 'text',
+      conversationId: result?.conversationId ?? null,
+      prompt,
+      attachments: (opts.attachments ?? []).map((file) => path.basename(file)),
+      text: result?.text ?? error?.partialText ?? null,
+      status: result ? 'done' : error.code === 'CANCELLED' ? 'cancelled' : 'error',
+      error: error?.message ?? null,
+      errorCode: error ? errorCode(error) : null,
+      attempts: (result?.attempts ?? error?.attempts ?? []).length,
+      cached: Boolean(result?.cached),
+      receivedAt: new Date(receivedAt).toISOString(),
+      startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+      finishedAt: new Date(finishedAt).toISOString(),
+      queuedMs: startedAt ? startedAt - receivedAt : null,
+      durationMs: finishedAt - receivedAt
+    });
+  } catch (e) {
+    console.error(`[ask-question-server] Could not write history to ${HISTORY_FILE}:`, e.message);
+  }
+}
+
+/**
+ * Check whether new requests would exceed ASK_QUESTION_MAX_QUEUE.
+ */
+function queueFull() {
+  const { waiting, maxQueue } = pool.stats();
+  return maxQueue !== null && waiting >= maxQueue;
+}
+
+/**
+ * Run a request on the worker pool.
+ * Requests are scheduled fairly per client, and requests for the same
+ * conversation never run in two tabs at once. Failures the retry policy
+ * covers are queued again after a backoff (or, with `park`, once a usage
+ * limit resets), leaving the worker free in between.
+ * @returns {{ promise: Promise<object>, cancel: function, state: string, position: number, etaMs: number }}
+ */
+function submitRequest(prompt, opts, { id, force, park, onStart, onRetry }) {
+  const attempts = [];
+  // Parts of a split prompt already sent, so retries don't send them again
+  const progress = { sent: 0, conversationId: null };
+  let first = null;
+
+  const request = retryRequest(() => {
+    const ticket = pool.submit(async (worker, signal) => {
+      onStart(worker);
+      return processRequest(worker, prompt, { ...opts, attempts, progress, signal });
+    }, {
+      id,
+      // Retries were already admitted once
+      force: force || first !== null,
+      client: opts.client || opts.sessionId || 'default',
+      key: opts.conversationId ? `${opts.provider || DEFAULT_PROVIDER}:${opts.conversationId}` : null
+    });
+    first ??= ticket;
+    return ticket;
+  }, {
+    attempts,
+    policy: retryPolicy(opts),
+    park,
+    onRetry: (next, error) => {
+      const wait = next.action === 'park' ? `until ${next.retryAt}` : `in ${Math.round(next.delayMs / 1000)}s`;
+      console.log(`[ask-question-server] ${error.message}; retrying ${wait} (attempt ${attempts.length + 1})`);
+      opts.onEvent?.({ type: 'retry', attempt: attempts.length + 1, ...next, code: error.code, error: error.message });
+      onRetry?.(next, error);
+    }
+  });
+
+  const promise = request.promise
+    .then((result) => ({ ...result, attempts }))
+    .finally(() => {
+      if (id) activeRequests.delete(id);
+      // Multipart uploads only need to live until the site has them
+      if (opts.uploadDir) {
+        fs.rmSync(opts.uploadDir, { recursive: true, force: true });
+      }
+    });
+  if (id) activeRequests.set(id, request);
+
+  const { state, position, etaMs } = first;
+  return { promise, cancel: request.cancel, state, position, etaMs };
+}
+
+/**
+ * How long a cached answer stays usable for a request: its `cacheTtl`, else
+ * ASK_QUESTION_CACHE_TTL_MS; 0 (the default) means no caching.
+ */
+function cacheTtl(opts) {
+  return opts.cache === false ? 0 : opts.cacheTtl ?? CACHE_TTL_MS;
+}
+
+/**
+ * Queue a request, unless it can be answered without the browser: a
+ * cacheable request (see cache.js) gets a fresh enough cached answer
+ * (`cached: true`), or shares the response of an identical request already
+ * in flight (`coalesced: true`). Every outcome is recorded in the history
+ * and sent to the request's callbackUrl.
+ * @param {string} prompt
+ * @param {object} opts - Request options (see parseAskOptions)
+ * @param {object} queueOpts
+ * @param {string} queueOpts.id - Job ID, for queue lookups and callbacks
+ * @param {boolean} queueOpts.force - Bypass the max queue depth
+ * @param {boolean} queueOpts.park - Wait for usage limits to reset instead of failing
+ * @param {function} queueOpts.onStart - Called when a worker picks the request up
+ * @param {function(object, Error): void} queueOpts.onRetry - Called before waiting to retry
+ * @param {string} queueOpts.source - API the request came through, for the history ('ask', 'job', 'batch', 'openai')
+ * @returns {{ promise: Promise<object>, cancel: function, state: string, position: number, etaMs: number }}
+ *   The result includes the attempt history. Throws an error with code
+ *   QUEUE_FULL when the queue is at capacity
+ */
+function queueRequest(prompt, opts, { id = null, force = false, park = false, onStart, onRetry, source = 'ask' } = {}) {
+  const receivedAt = Date.now();
+  let startedAt = null;
+
+  const ttl = cacheTtl(opts);
+  const key = ttl > 0 && isCacheable(opts) ? cacheKey(prompt, opts) : null;
+  const cached = key && responseCache.get(key, ttl);
+  const sharing = key && shareKey(key, { park, timeout: opts.timeout, retries: opts.retries });
+
+  let ticket;
+  let run = null;
+  let settled = false; // Once set, the run's progress is no longer this caller's
+  if (cached) {
+    console.log(`[ask-question-server] Cache hit (answered ${cached.cachedAt})`);
+    const { cachedAt, ...response } = cached;
+    const result = { ...response, attempts: [], cached: true, cachedAt };
+    ticket = { promise: Promise.resolve(result), cancel: () => false, state: 'cached', position: 0, etaMs: 0 };
+  } else if (sharing && inFlight.get(sharing)?.isOpen()) {
+    console.log('[ask-question-server] Identical request in flight, sharing its response');
+    ticket = inFlight.get(sharing).follow();
+  } else {
+    run = submitRequest(prompt, opts, {
+      id,
+      force,
+      park,
+      onStart: (worker) => {
+        startedAt ??= Date.now();
+        if (!settled) onStart?.(worker);
+      },
+      onRetry: (next, error) => {
+        if (!settled) onRetry?.(next, error);
+      }
+    });
+    ticket = run;
+    if (sharing) {
+      // Every caller holds its own ticket; the run is only cancelled once all of them are
+      const shared = shareRequest(run);
+      inFlight.set(sharing, shared);
+      ticket = shared.follow({ coalesced: false });
+      run.promise
+        .then((result) => responseCache.set(key, result), () => {})
+        .finally(() => {
+          if (inFlight.get(sharing) === shared) inFlight.delete(sharing);
+        });
+    }
+  }
+  ticket.promise.catch(() => {}).finally(() => { settled = true; });
+  // A shared run's tickets stand in for it, so cancelling a job cancels only its own
+  if (id && !cached && ticket !== run) {
+    activeRequests.set(id, ticket);
+    ticket.promise.catch(() => {}).finally(() => {
+      if (activeRequests.get(id) === ticket) activeRequests.delete(id);
+    });
+  }
+
+  ticket.promise.then(
+    (result) => {
+      recordHistory(prompt, opts, { source, jobId: id, receivedAt, startedAt, result });
+      notifyCallback(opts, { ...result, jobId: id });
+    },
+    (error) => {
+      recordHistory(prompt, opts, { source, jobId: id, receivedAt, startedAt, error });
+      notifyCallback(opts, { jobId: id, error });
+    }
+  );
+
+  return ticket;
+}
+
+/**
+ * Queue any other browser task (e.g. scraping the model list) on the pool.
+ * @param {import('./providers.js').Provider} provider - Site whose tab the task runs in
+ * @param {function(import('playwright').Page): Promise<any>} task
+ */
+function queueTask(provider, task) {
+  const ticket = pool.submit(async (worker) => task(await ensurePage(worker, provider)), { force: true });
+  return ticket.promise;
+}
+
+/**
+ * Run a stored job on the worker pool, recording progress in the job store.
+ * Job failures are written to the job instead of rejecting.
+ * @returns {{ state: string, position: number, etaMs: number }} Initial queue placement
+ */
+function runJob(job, { force = false } = {}) {
+  const ticket = queueRequest(job.prompt, job.options, {
+    id: job.id,
+    force,
+    source: job.batchId ? 'batch' : 'job',
+    // Nobody is waiting on the HTTP response, so a job can sit out a usage limit
+    park: true,
+    onStart: (worker) => {
+      updateJob(JOBS_DIR, job.id, { status: 'running', startedAt: new Date().toISOString(), retryAt: null });
+      console.log(`[ask-question-server] Job ${job.id}: processing prompt (${job.prompt.length} chars) on worker ${worker.id}...`);
+    },
+    onRetry: (next, error) => {
+      updateJob(JOBS_DIR, job.id, {
+        status: next.action === 'park' ? 'parked' : 'retrying',
+        retryAt: next.retryAt ?? new Date(Date.now() + next.delayMs).toISOString(),
+        error: error.message,
+        errorCode: errorCode(error)
+      });
+    }
+  });
+
+  ticket.promise.then(
+    ({ text, conversationId, attempts, codeBlocks, sources, artifacts, cached, cachedAt }) => {
+      // An answer that arrives after the job was cancelled doesn't undo the cancel
+      if (getJob(JOBS_DIR, job.id)?.status === 'cancelled') return;
+      updateJob(JOBS_DIR, job.id, {
+        status: 'done',
+        text,
+        conversationId,
+        attempts,
+        ...(codeBlocks && { codeBlocks, sources }),
+        ...(artifacts && { artifacts }),
+        ...(cached && { cached, cachedAt }),
+        error: null,
+        errorCode: null,
+        retryAt: null,
+        finishedAt: new Date().toISOString()
+      });
+      console.log(`[ask-question-server] Job ${job.id}: done (${text.length} chars)`);
+      if (job.batchId) advanceBatch(job.batchId);
+    },
+    (e) => {
+      updateJob(JOBS_DIR, job.id, {
+        status: e.code === 'CANCELLED' ? 'cancelled' : 'error',
+        error: e.message,
+        errorCode: errorCode(e),
+        // A timed-out job keeps whatever text had been generated
+        text: e.partialText ?? null,
+        attempts: e.attempts ?? [],
+        retryAt: e.retryAt ?? null,
+        finishedAt: new Date().toISOString()
+      });
+      console.error(`[ask-question-server] Job ${job.id}: error:`, e.message);
+      if (job.batchId) advanceBatch(job.batchId);
+    }
+  );
+
+  const { state, position, etaMs } = ticket;
+  return { state, position, etaMs };
+}
+
+/**
+ * Cancel a stored job that hasn't finished. Waiting jobs are dropped;
+ * running ones have their stop button clicked; ones waiting to retry stop
+ * waiting. Either way runJob records the 'cancelled' status when the request
+ * rejects; a job the pool no longer knows about is marked here.
+ * @returns {string|false} Where the job was cancelled (see pool.cancel), or false if not in the queue
+ */
+function cancelJob(job) {
+  const cancelledIn = activeRequests.get(job.id)?.cancel() ?? pool.cancel(job.id);
+  if (!cancelledIn) {
+    updateJob(JOBS_DIR, job.id, {
+      status: 'cancelled',
+      error: 'Request cancelled',
+      finishedAt: new Date().toISOString()
+    });
+  }
+  if (!cancelledIn && job.batchId) advanceBatch(job.batchId);
+  return cancelledIn;
+}
+
+/**
+ * Bring a batch up to date: copy its jobs' outcomes into the items, skip
+ * items stranded behind a failure in their thread, start the items that are
+ * now ready (see planBatch), and finish the batch once every item has.
+ * Called whenever one of its jobs finishes, and at startup.
+ * @param {string} id - Batch ID
+ */
+function advanceBatch(id) {
+  const batch = getBatch(BATCHES_DIR, id);
+  if (!batch || batch.finishedAt) return;
+
+  const items = batch.items.map((item) => {
+    if (!item.jobId || isItemFinished(item)) return item;
+    const job = getJob(JOBS_DIR, item.jobId);
+    if (!job) return { ...item, status: 'error', error: 'Job not found', errorCode: 'INTERNAL' };
+    return {
+      ...item,
+      status: job.status,
+      conversationId: job.conversationId ?? item.conversationId,
+      text: job.text ?? null,
+      error: job.error ?? null,
+      errorCode: job.errorCode ?? null
+    };
+  });
+
+  if (batch.status === 'running') {
+    const { start, skip } = planBatch(items);
+    for (const index of skip) {
+      items[index] = { ...items[index], status: 'skipped', error: 'An earlier item in its thread failed' };
+    }
+    for (const { index, conversationId } of start) {
+      const item = items[index];
+      const options = {
+        ...item.options,
+        // Thread items after the first continue the conversation the previous one used
+        ...(conversationId && { conversationId, newChat: undefined }),
+        // A batch is one scheduler client, so it can't starve interactive requests
+        client: item.options.client ?? `batch:${id}`
+      };
+      const job = createJob(JOBS_DIR, { prompt: item.prompt, options, batchId: id });
+      items[index] = { ...item, status: 'queued', jobId: job.id };
+      // The whole batch was admitted when it was created
+      runJob(job, { force: true });
+    }
+  }
+
+  const finished = items.every(isItemFinished);
+  const updated = updateBatch(BATCHES_DIR, id, {
+    items,
+    status: finished && batch.status === 'running' ? 'done' : batch.status,
+    finishedAt: finished ? new Date().toISOString() : null
+  });
+  if (finished) {
+    const summary = batchSummary(updated);
+    console.log(`[ask-question-server] Batch ${id}: ${updated.status} (${summary.done ?? 0}/${summary.total} done)`);
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an error with the HTTP status and `code` for its taxonomy code (see errors.js).
+ */
+function sendError(res, error) {
+  sendJSON(res, httpStatus(error), errorBody(error));
+}
+
+function queueFullError() {
+  return relayError('QUEUE_FULL', `Queue is full (${MAX_QUEUE} waiting requests)`);
+}
+
+/**
+ * Cancel a request if its client disconnects before the response is sent.
+ */
+function cancelOnDisconnect(res, ticket) {
+  res.on('close', () => {
+    if (!res.writableEnded && ticket.cancel()) {
+      console.log('[ask-question-server] Client disconnected, request cancelled');
+    }
+  });
+}
+
+/**
+ * Write one Server-Sent Event.
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Answer a prompt as a Server-Sent Events stream.
+ * Emits start/delta/replace/continue events while generating, then done or error.
+ */
+async function streamRequest(res, prompt, options) {
+  if (queueFull()) {
+    sendError(res, queueFullError());
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  try {
+    console.log(`[ask-question-server] Streaming prompt (${prompt.length} chars)...`);
+    const ticket = queueRequest(prompt, {
+      ...options,
+      onEvent: ({ type, ...data }) => {
+        // The final 'done' is sent below, once the request has fully resolved
+        if (type !== 'done') sendEvent(res, type, data);
+      }
+    });
+    cancelOnDisconnect(res, ticket);
+    sendEvent(res, 'queued', { position: ticket.position, etaMs: ticket.etaMs });
+    const { text, ...rest } = await ticket.promise;
+    console.log(`[ask-question-server] Response received (${text.length} chars)`);
+    sendEvent(res, 'done', { text, ...rest });
+  } catch (e) {
+    console.error(`[ask-question-server] Error (${errorCode(e)}):`, e.message);
+    const { ok, ...body } = errorBody(e);
+    sendEvent(res, 'error', body);
+  }
+  res.end();
+}
+
+/**
+ * Read a request body, refusing anything over MAX_BODY_BYTES.
+ * @returns {Promise<Buffer|null>} The body, or null if it was too large
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function bodyTooLargeError() {
+  return relayError('PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+}
+
+/**
+ * Read and parse a JSON object request body.
+ * @returns {Promise<{ data: object|null, error?: Error }>} error is PAYLOAD_TOO_LARGE,
+ *   or INVALID_REQUEST if the body isn't a JSON object
+ */
+async function readJSONBody(req) {
+  const body = await readBody(req);
+  if (!body) return { data: null, error: bodyTooLargeError() };
+
+  let data;
+  try {
+    data = JSON.parse(body.toString('utf8'));
+  } catch {
+    return { data: null, error: relayError('INVALID_REQUEST', 'Invalid JSON') };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: null, error: relayError('INVALID_REQUEST', 'Request body must be a JSON object') };
+  }
+  return { data };
+}
+
+/**
+ * Read an /ask or /jobs body: JSON, or multipart/form-data where file parts
+ * become attachments. Uploaded files are saved under UPLOADS_DIR.
+ * @returns {Promise<{ data: object|null, uploadDir: string|null, error?: Error }>}
+ */
+async function readAskBody(req) {
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    const { data, error } = await readJSONBody(req);
+    return error ? { data: null, uploadDir: null, error } : { data, uploadDir: null };
+  }
+
+  const body = await readBody(req);
+  if (!body) {
+    return { data: null, uploadDir: null, error: bodyTooLargeError() };
+  }
+
+  let parts;
+  try {
+    parts = parseMultipart(body, contentType);
+  } catch (e) {
+    return { data: null, uploadDir: null, error: relayError('INVALID_REQUEST', e.message) };
+  }
+
+  // Form fields are strings; coerce the non-string options
+  const data = { ...parts.fields };
+  if (data.timeout) data.timeout = parseInt(data.timeout, 10);
+  if (data.newChat) data.newChat = data.newChat === 'true' || data.newChat === '1';
+  if (data.retries) data.retries = parseInt(data.retries, 10);
+  if (data.cache) data.cache = data.cache === 'true' || data.cache === '1';
+  if (data.cacheTtl) data.cacheTtl = parseInt(data.cacheTtl, 10);
+  if (data.extract) data.extract = data.extract === 'true' || data.extract === '1';
+  if (data.artifacts) data.artifacts = data.artifacts === 'true' || data.artifacts === '1';
+
+  if (parts.files.length === 0) {
+    return { data, uploadDir: null };
+  }
+
+  const uploadDir = path.join(UPLOADS_DIR, crypto.randomUUID());
+  data.attachments = parts.files.map((file, i) => {
+    // One subdirectory per file keeps the original filename visible in ChatGPT
+    const dir = path.join(uploadDir, String(i));
+    fs.mkdirSync(dir, { recursive: true });
+    const dest = path.join(dir, path.basename(file.filename) || 'upload');
+    fs.writeFileSync(dest, file.data);
+    return dest;
+  });
+  return { data, uploadDir };
+}
+
+/**
+ * Validate an /ask or /jobs body and build the request options.
+ * @returns {{ error: string } | { options: object }}
+ */
+function parseAskOptions(data) {
+  if (!data.prompt) {
+    return { error: 'Missing prompt' };
+  }
+  if (typeof data.prompt !== 'string') {
+    return { error: 'prompt must be a string' };
+  }
+
+  if (data.conversationId && data.newChat) {
+    return { error: 'conversationId and newChat are mutually exclusive' };
+  }
+
+  if (data.provider && !PROVIDERS[data.provider]) {
+    return { error: `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}` };
+  }
+  const provider = getProvider(data.provider || DEFAULT_PROVIDER);
+
+  if (data.format && !RESPONSE_FORMATS.includes(data.format)) {
+    return { error: `format must be one of: ${RESPONSE_FORMATS.join(', ')}` };
+  }
+
+  if (data.model !== undefined && (typeof data.model !== 'string' || !data.model.trim())) {
+    return { error: 'model must be a non-empty string' };
+  }
+
+  const parts = splitPrompt(data.prompt, messageLimit(provider)).length;
+  if (parts > MAX_MESSAGE_PARTS) {
+    return { error: `Prompt is too long: it would take ${parts} messages of up to ${messageLimit(provider)} characters (max ${MAX_MESSAGE_PARTS})` };
+  }
+
+  if (data.mode && !provider.modes.includes(data.mode)) {
+    return provider.modes.length > 0
+      ? { error: `mode must be one of: ${provider.modes.join(', ')}` }
+      : { error: `${provider.label} does not support modes` };
+  }
+
+  // Sites whose model picker can't be listed can't be driven to a model either
+  if (data.model && !provider.listModels) {
+    return { error: `${provider.label} does not support model selection` };
+  }
+
+  if (data.retries !== undefined && !(Number.isInteger(data.retries) && data.retries >= 0 && data.retries <= MAX_RETRIES)) {
+    return { error: `retries must be an integer from 0 to ${MAX_RETRIES}` };
+  }
+
+  if (data.cache !== undefined && typeof data.cache !== 'boolean') {
+    return { error: 'cache must be a boolean' };
+  }
+  if (data.cacheTtl !== undefined && !(Number.isInteger(data.cacheTtl) && data.cacheTtl >= 0)) {
+    return { error: 'cacheTtl must be a non-negative integer (ms)' };
+  }
+
+  if (data.extract !== undefined && typeof data.extract !== 'boolean') {
+    return { error: 'extract must be a boolean' };
+  }
+  if (data.artifacts !== undefined && typeof data.artifacts !== 'boolean') {
+    return { error: 'artifacts must be a boolean' };
+  }
+
+  if (data.callbackUrl && !isValidWebhookUrl(data.callbackUrl)) {
+    return { error: 'callbackUrl must be an http(s) URL' };
+  }
+
+  const attachments = data.attachments ?? [];
+  if (!Array.isArray(attachments) || !attachments.every((f) => typeof f === 'string' && path.isAbsolute(f))) {
+    return { error: 'attachments must be an array of absolute file paths' };
+  }
+  try {
+    attachments.forEach(validateAttachment);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  return {
+    options: {
+      timeout: data.timeout,
+      newChat: data.newChat,
+      conversationId: data.conversationId,
+      format: data.format,
+      attachments,
+      model: data.model,
+      mode: data.mode,
+      retries: data.retries,
+      cache: data.cache,
+      cacheTtl: data.cacheTtl,
+      extract: data.extract,
+      artifacts: data.artifacts,
+      provider: provider.name,
+      callbackUrl: data.callbackUrl,
+      sessionId: data.sessionId,
+      client: data.client
+    }
+  };
+}
+
+/**
+ * Validate a /batch body's items. Each item takes the /ask options plus an
+ * `id` (default: its 1-based position) and a `thread` label; items without a
+ * conversationId start a new chat unless they say otherwise.
+ * @returns {{ error: string } | { items: Array<{ id: string, prompt: string, options: object, thread: string|null }> }}
+ */
+function parseBatchItems(data) {
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    return { error: 'items must be a non-empty array' };
+  }
+  if (data.items.length > MAX_BATCH_ITEMS) {
+    return { error: `A batch can have at most ${MAX_BATCH_ITEMS} items` };
   }
 
-  if (newChat) {
-    await navigateToNewChat(page);
+  const items = [];
+  const ids = new Set();
+  const threads = new Set();
+  for (const [i, item] of data.items.entries()) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { error: `items[${i}] must be an object` };
+    }
+    const id = item.id === undefined ? String(i + 1) : item.id;
+    if (typeof id !== 'string' || !id || ids.has(id)) {
+      return { error: `items[${i}].id must be a unique non-empty string` };
+    }
+    ids.add(id);
+
+    const thread = item.thread ?? null;
+    if (thread !== null && (typeof thread !== 'string' || !thread)) {
+      return { error: `items[${i}].thread must be a non-empty string` };
+    }
+    if (thread && threads.has(thread) && (item.conversationId || item.newChat !== undefined)) {
+      return { error: `items[${i}]: only the first item in a thread may set conversationId or newChat` };
+    }
+    if (thread) threads.add(thread);
+
+    const { options, error } = parseAskOptions({
+      ...item,
+      newChat: item.newChat ?? !item.conversationId,
+      client: item.client ?? data.client
+    });
+    if (error) {
+      return { error: `items[${i}] (${id}): ${error}` };
+    }
+    items.push({ id, prompt: item.prompt, options, thread });
   }
+  return { items };
+}
+
+/**
+ * Send an error in OpenAI's shape (for /v1/ routes).
+ */
+function sendOpenAIError(res, error) {
+  const { status, body } = openAIError(error);
+  sendJSON(res, status, body);
+}
 
-  const response = await sendPromptAndWait(page, prompt, { timeout });
-  return response;
+/**
+ * Write one OpenAI stream line.
+ */
+function sendData(res, data) {
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
 }
 
 /**
- * Queue a request to ensure serialization.
+ * Answer a chat completion as a stream of chat.completion.chunk events.
+ * Chunks can only append, so text the site re-renders (or regenerates) is
+ * sent only where it extends what the client already has.
+ * @returns {Promise<string|null>} The reply's conversation ID, or null on failure
  */
-function queueRequest(prompt, opts) {
-  return new Promise((resolve, reject) => {
-    requestQueue = requestQueue
-      .then(() => processRequest(prompt, opts))
-      .then(resolve)
-      .catch(reject);
+async function streamChatCompletion(res, prompt, options, { id, created, model }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const chunk = (delta, finishReason = null) => sendData(res, completionChunk({ id, model, created, delta, finishReason }));
+  let current = '';
+  let sent = '';
+  const flush = () => {
+    if (current.length > sent.length && current.startsWith(sent)) {
+      chunk({ content: current.slice(sent.length) });
+      sent = current;
+    }
+  };
+
+  chunk({ role: 'assistant', content: '' });
+  let result = null;
+  try {
+    console.log(`[ask-question-server] Streaming chat completion (${prompt.length} chars)...`);
+    const ticket = queueRequest(prompt, {
+      ...options,
+      onEvent: ({ type, text }) => {
+        if (type === 'start' || type === 'retry') current = '';
+        else if (type === 'delta') current += text;
+        else if (type === 'replace' || type === 'done') current = text;
+        else return;
+        flush();
+      }
+    }, { source: 'openai' });
+    cancelOnDisconnect(res, ticket);
+    result = await ticket.promise;
+    current = result.text;
+    flush();
+    console.log(`[ask-question-server] Response received (${result.text.length} chars)`);
+    chunk({}, 'stop');
+  } catch (e) {
+    console.error(`[ask-question-server] Error (${errorCode(e)}):`, e.message);
+    sendData(res, openAIError(e).body);
+  }
+  sendData(res, '[DONE]');
+  res.end();
+  return result;
+}
+
+/**
+ * POST /v1/chat/completions: run the messages as a prompt. A history that
+ * ends in a reply this server gave continues that conversation with just the
+ * new messages; any other history starts a new chat with the whole transcript.
+ */
+async function handleChatCompletion(req, res) {
+  const { data: body, error: bodyError } = await readJSONBody(req);
+  if (bodyError) {
+    sendOpenAIError(res, bodyError);
+    return;
+  }
+
+  const { request, error: requestError } = parseChatRequest(body);
+  if (requestError) {
+    sendOpenAIError(res, relayError('INVALID_REQUEST', requestError));
+    return;
+  }
+
+  const { provider, model: requestedModel, prefixed } = parseModelId(request.model, Object.keys(PROVIDERS), DEFAULT_PROVIDER);
+  // Checked before queueing, so an unknown model doesn't hold a worker just to fail in the picker
+  const { model, error: modelError } = resolveModel(requestedModel, requestedModel ? await providerModels(provider) : null, { prefixed });
+  if (modelError) {
+    sendOpenAIError(res, relayError('INVALID_REQUEST', modelError));
+    return;
+  }
+  if (requestedModel && !model) {
+    console.log(`[ask-question-server] Unknown model ${requestedModel}, using the site default`);
+  }
+  const { history, pending } = splitPending(request.messages);
+  const conversationId = threads.lookup(provider, history);
+  const prompt = messagesToPrompt(conversationId ? pending : request.messages);
+
+  const { options, error } = parseAskOptions({
+    prompt,
+    provider,
+    model: model ?? undefined,
+    client: request.user,
+    ...(conversationId ? { conversationId } : { newChat: true })
+  });
+  if (error) {
+    sendOpenAIError(res, relayError('INVALID_REQUEST', error));
+    return;
+  }
+  if (queueFull()) {
+    sendOpenAIError(res, queueFullError());
+    return;
+  }
+
+  const completion = {
+    id: `chatcmpl-${crypto.randomUUID()}`,
+    created: Math.floor(Date.now() / 1000),
+    model: request.model || provider
+  };
+  const remember = ({ text, conversationId: replyConversationId }) => {
+    threads.remember(provider, [...request.messages, { role: 'assistant', content: text }], replyConversationId);
+  };
+
+  if (request.stream) {
+    const result = await streamChatCompletion(res, prompt, options, completion);
+    if (result) remember(result);
+    return;
+  }
+
+  try {
+    const ticket = queueRequest(prompt, options, { source: 'openai' });
+    cancelOnDisconnect(res, ticket);
+    console.log(`[ask-question-server] Processing chat completion (${prompt.length} chars, ${conversationId ? 'continuing conversation' : 'new chat'})...`);
+    const result = await ticket.promise;
+    console.log(`[ask-question-server] Response received (${result.text.length} chars)`);
+    remember(result);
+    sendJSON(res, 200, completionResponse({ ...completion, prompt, text: result.text }));
+  } catch (e) {
+    console.error(`[ask-question-server] Error (${errorCode(e)}):`, e.message);
+    sendOpenAIError(res, e);
+  }
+}
+
+/**
+ * A provider's picker models, scraped at most every MODELS_CACHE_MS.
+ * @param {string} name - Provider name
+ * @returns {Promise<object[]|null>} null if the provider can't list models or the scrape failed
+ */
+async function providerModels(name) {
+  const provider = getProvider(name);
+  if (!provider.listModels) return null;
+
+  let cached = modelLists.get(name);
+  if (!cached || Date.now() - cached.fetchedAt > MODELS_CACHE_MS) {
+    try {
+      const models = await queueTask(provider, (page) => provider.listModels(page));
+      cached = { models, fetchedAt: Date.now() };
+      modelLists.set(name, cached);
+    } catch (e) {
+      console.error(`[ask-question-server] Listing ${provider.label} models failed (${errorCode(e)}):`, e.message);
+    }
+  }
+  return cached?.models ?? null;
+}
+
+/**
+ * GET /v1/models: one entry per logged-in provider ("chatgpt", "claude"),
+ * plus "provider/model" for each model its picker offers; a failed scrape
+ * just omits them.
+ */
+async function handleListModels(res) {
+  const data = [];
+  for (const name of contexts.keys()) {
+    data.push(modelEntry(name, name));
+    for (const m of (await providerModels(name)) ?? []) {
+      data.push(modelEntry(`${name}/${m.id}`, name));
+    }
+  }
+  sendJSON(res, 200, { object: 'list', data });
+}
+
+/**
+ * handleRequest, answering 500 if a route throws: an unhandled rejection
+ * would otherwise shut the whole server down.
+ */
+function handleRequestSafely(req, res) {
+  handleRequest(req, res).catch((e) => {
+    console.error(`[ask-question-server] Error handling ${req.method} ${req.url}:`, e);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendError(res, relayError('INTERNAL', `Internal error: ${e.message}`));
+    }
   });
 }
 
@@ -62,72 +1217,297 @@ function queueRequest(prompt, opts) {
  * Handle HTTP requests.
  */
 async function handleRequest(req, res) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+  const access = checkAccess(req.headers, { token: apiToken, port: SOCKET_PATH ? null : PORT });
+  if (!access.ok) {
+    console.error(`[ask-question-server] Rejected ${req.method} ${pathname}: ${access.error}`);
+    const error = relayError(access.code, access.error);
+    if (pathname.startsWith('/v1/')) sendOpenAIError(res, error);
+    else sendError(res, error);
+    return;
+  }
+
+  // No CORS: nothing here is meant to be called from a web page
   if (req.method === 'OPTIONS') {
-    res.writeHead(204);
+    res.writeHead(204, { Allow: 'GET, POST, DELETE' });
     res.end();
     return;
   }
 
-  if (req.method === 'GET' && req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ ok: true, status: 'ready' }));
+  if (pathname.startsWith('/v1/')) {
+    if (req.method === 'POST' && pathname === '/v1/chat/completions') {
+      await handleChatCompletion(req, res);
+    } else if (req.method === 'GET' && pathname === '/v1/models') {
+      await handleListModels(res);
+    } else {
+      sendOpenAIError(res, relayError('NOT_FOUND', `Unknown endpoint: ${req.method} ${pathname}`));
+    }
     return;
   }
 
-  if (req.method === 'POST' && req.url === '/ask') {
-    let body = '';
-    for await (const chunk of req) {
-      body += chunk;
+  if (req.method === 'GET' && pathname === '/health') {
+    const check = searchParams.get('check');
+    if (check === '1' || check === 'true') {
+      await Promise.all([...monitors.values()].map((m) => m.checkNow()));
     }
 
-    let data;
-    try {
-      data = JSON.parse(body);
-    } catch {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: false, error: 'Invalid JSON' }));
+    const providers = sessionHealth();
+    const loggedIn = Object.values(providers).filter((p) => p.loggedIn !== false).length;
+    const status = loggedIn === monitors.size ? 'ready' : loggedIn > 0 ? 'degraded' : 'logged_out';
+    sendJSON(res, 200, { ok: true, status, providers, queue: pool.stats() });
+    return;
+  }
+
+  if (req.method === 'POST' && (pathname === '/ask' || pathname === '/jobs')) {
+    const { data, uploadDir, error: bodyError } = await readAskBody(req);
+    if (bodyError) {
+      sendError(res, bodyError);
+      return;
+    }
+
+    const { options, error } = parseAskOptions(data);
+    if (error) {
+      if (uploadDir) fs.rmSync(uploadDir, { recursive: true, force: true });
+      sendError(res, relayError('INVALID_REQUEST', error));
+      return;
+    }
+    options.uploadDir = uploadDir;
+
+    if (queueFull()) {
+      if (uploadDir) fs.rmSync(uploadDir, { recursive: true, force: true });
+      sendError(res, queueFullError());
       return;
     }
 
-    if (!data.prompt) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: false, error: 'Missing prompt' }));
+    // Async: persist the job and return its ID immediately
+    if (pathname === '/jobs') {
+      const job = createJob(JOBS_DIR, { prompt: data.prompt, options });
+      const { position, etaMs } = runJob(job);
+      console.log(`[ask-question-server] Job ${job.id} queued (position ${position})`);
+      sendJSON(res, 202, { ok: true, id: job.id, status: job.status, position, etaMs });
+      return;
+    }
+
+    const stream = searchParams.get('stream');
+    if (stream === '1' || stream === 'true') {
+      await streamRequest(res, data.prompt, options);
       return;
     }
 
     try {
-      console.log(`[ask-question-server] Processing prompt (${data.prompt.length} chars)...`);
-      const response = await queueRequest(data.prompt, {
-        timeout: data.timeout,
-        newChat: data.newChat
-      });
-      console.log(`[ask-question-server] Response received (${response.length} chars)`);
+      const ticket = queueRequest(data.prompt, options);
+      const { position, etaMs } = ticket;
+      cancelOnDisconnect(res, ticket);
+      console.log(`[ask-question-server] Processing prompt (${data.prompt.length} chars, queue position ${position})...`);
+      const { text, ...rest } = await ticket.promise;
+      console.log(`[ask-question-server] Response received (${text.length} chars)`);
+
+      // rest: conversationId, attempts, and cached/cachedAt or coalesced
+      sendJSON(res, 200, { ok: true, text, ...rest, queue: { position, etaMs } });
+    } catch (e) {
+      console.error(`[ask-question-server] Error (${errorCode(e)}):`, e.message);
+      sendError(res, e);
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/models') {
+    const name = searchParams.get('provider') || DEFAULT_PROVIDER;
+    if (!PROVIDERS[name]) {
+      sendError(res, relayError('INVALID_REQUEST', `Unknown provider: ${name}`));
+      return;
+    }
+    const provider = getProvider(name);
+    if (!provider.listModels) {
+      sendError(res, relayError('INVALID_REQUEST', `${provider.label} does not support listing models`));
+      return;
+    }
+
+    try {
+      const models = await queueTask(provider, (page) => provider.listModels(page));
+      sendJSON(res, 200, { ok: true, models });
+    } catch (e) {
+      console.error(`[ask-question-server] Error (${errorCode(e)}):`, e.message);
+      sendError(res, e);
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/doctor') {
+    const name = searchParams.get('provider') || DEFAULT_PROVIDER;
+    if (!PROVIDERS[name]) {
+      sendError(res, relayError('INVALID_REQUEST', `Unknown provider: ${name}`));
+      return;
+    }
+    const provider = getProvider(name);
+    const dryRun = searchParams.get('dryRun') === '1' || searchParams.get('dryRun') === 'true';
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, text: response }));
+    try {
+      const report = await queueTask(provider, (page) => diagnose(page, provider, { dryRun }));
+      sendJSON(res, 200, { ok: true, report });
     } catch (e) {
-      console.error(`[ask-question-server] Error:`, e.message);
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: false, error: e.message }));
+      console.error(`[ask-question-server] Error (${errorCode(e)}):`, e.message);
+      sendError(res, e);
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/batch') {
+    const { data, error: bodyError } = await readJSONBody(req);
+    if (bodyError) {
+      sendError(res, bodyError);
+      return;
+    }
+    const { items, error } = parseBatchItems(data);
+    if (error) {
+      sendError(res, relayError('INVALID_REQUEST', error));
+      return;
+    }
+    if (queueFull()) {
+      sendError(res, queueFullError());
+      return;
     }
+
+    const batch = createBatch(BATCHES_DIR, { items });
+    advanceBatch(batch.id);
+    console.log(`[ask-question-server] Batch ${batch.id} queued (${items.length} items)`);
+    sendJSON(res, 202, { ok: true, id: batch.id, status: batch.status, items: items.length });
     return;
   }
 
-  res.writeHead(404, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ ok: false, error: 'Not found' }));
+  if (req.method === 'GET' && pathname === '/batch') {
+    const batches = listBatches(BATCHES_DIR, { limit: parseInt(searchParams.get('limit') || '50', 10) });
+    sendJSON(res, 200, { ok: true, batches });
+    return;
+  }
+
+  const batchMatch = pathname.match(/^\/batch\/([^/]+)$/);
+  if (req.method === 'GET' && batchMatch) {
+    const batch = getBatch(BATCHES_DIR, batchMatch[1]);
+    if (!batch) {
+      sendError(res, relayError('NOT_FOUND', 'Batch not found'));
+      return;
+    }
+    sendJSON(res, 200, { ok: true, batch, summary: batchSummary(batch) });
+    return;
+  }
+
+  if (req.method === 'DELETE' && batchMatch) {
+    const batch = getBatch(BATCHES_DIR, batchMatch[1]);
+    if (!batch) {
+      sendError(res, relayError('NOT_FOUND', 'Batch not found'));
+      return;
+    }
+    if (batch.finishedAt) {
+      sendError(res, relayError('CONFLICT', `Batch already ${batch.status}`));
+      return;
+    }
+
+    // Stop starting items first, then cancel the ones already running
+    updateBatch(BATCHES_DIR, batch.id, {
+      status: 'cancelled',
+      items: batch.items.map((item) => (item.status === 'pending'
+        ? { ...item, status: 'cancelled', error: 'Batch cancelled' }
+        : item))
+    });
+    for (const item of batch.items) {
+      const job = item.jobId && getJob(JOBS_DIR, item.jobId);
+      if (job && !isFinished(job)) cancelJob(job);
+    }
+    advanceBatch(batch.id);
+    console.log(`[ask-question-server] Batch ${batch.id}: cancelled`);
+    sendJSON(res, 200, { ok: true, id: batch.id, status: 'cancelled' });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/jobs') {
+    const jobs = listJobs(JOBS_DIR, {
+      status: searchParams.get('status') || undefined,
+      limit: parseInt(searchParams.get('limit') || '50', 10)
+    });
+    sendJSON(res, 200, { ok: true, jobs });
+    return;
+  }
+
+  const artifactMatch = pathname.match(/^\/artifacts\/([^/]+)\/([^/]+)$/);
+  if (req.method === 'GET' && artifactMatch) {
+    const file = artifactFile(ARTIFACTS_DIR, artifactMatch[1], artifactMatch[2]);
+    const stat = file && fs.statSync(file, { throwIfNoEntry: false });
+    if (!stat?.isFile()) {
+      sendError(res, relayError('NOT_FOUND', 'Artifact not found'));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': mimeTypeFor(file), 'Content-Length': stat.size });
+    await pipeline(fs.createReadStream(file), res);
+    return;
+  }
+
+  const jobMatch = pathname.match(/^\/jobs\/([^/]+)$/);
+  if (req.method === 'DELETE' && jobMatch) {
+    const job = getJob(JOBS_DIR, jobMatch[1]);
+    if (!job) {
+      sendError(res, relayError('NOT_FOUND', 'Job not found'));
+      return;
+    }
+    if (isFinished(job)) {
+      sendError(res, relayError('CONFLICT', `Job already ${job.status}`));
+      return;
+    }
+
+    const cancelledIn = cancelJob(job);
+    console.log(`[ask-question-server] Job ${job.id}: cancelled (${cancelledIn || 'not in queue'})`);
+    sendJSON(res, 200, { ok: true, id: job.id, cancelled: cancelledIn || 'queued' });
+    return;
+  }
+
+  if (req.method === 'GET' && jobMatch) {
+    const job = getJob(JOBS_DIR, jobMatch[1]);
+    if (!job) {
+      sendError(res, relayError('NOT_FOUND', 'Job not found'));
+      return;
+    }
+    sendJSON(res, 200, { ok: true, job, queue: pool.find(job.id) });
+    return;
+  }
+
+  sendError(res, relayError('NOT_FOUND', 'Not found'));
+}
+
+/**
+ * Remove a socket file left behind by a server that didn't shut down cleanly.
+ * Exits if another server is still listening on it.
+ * @param {string} socketPath
+ */
+async function removeStaleSocket(socketPath) {
+  if (!fs.existsSync(socketPath)) return;
+
+  const inUse = await new Promise((resolve) => {
+    const socket = net.connect(socketPath);
+    socket.once('connect', () => { socket.destroy(); resolve(true); });
+    socket.once('error', () => resolve(false));
+  });
+  if (inUse) {
+    console.error(`[ask-question-server] Error: Another server is listening on ${socketPath}`);
+    process.exit(1);
+  }
+  fs.unlinkSync(socketPath);
 }
 
 async function main() {
   // Check for storage state (session cookies from ask-question-login)
-  if (!fs.existsSync(STORAGE_STATE_FILE)) {
+  const sessions = Object.keys(PROVIDERS)
+    .map((name) => ({ provider: PROVIDERS[name], file: storageStateFile(name) }))
+    .filter(({ file }) => fs.existsSync(file));
+
+  if (sessions.length === 0) {
     console.error('[ask-question-server] Error: No session found.');
-    console.error(`[ask-question-server] Run 'ask-question-login' first to log into ChatGPT.`);
+    console.error(`[ask-question-server] Run 'ask-question-login' first to log into ChatGPT (or --provider <name>).`);
     console.error(`[ask-question-server] Expected: ${STORAGE_STATE_FILE}`);
     process.exit(1);
   }
 
   console.log('[ask-question-server] Starting headless browser...');
-  console.log(`[ask-question-server] Using session: ${STORAGE_STATE_FILE}`);
 
   // Launch browser with anti-throttling flags
   // See: https://developer.chrome.com/docs/web-platform/page-lifecycle-api
@@ -141,34 +1521,89 @@ async function main() {
     ]
   });
 
-  // Create context with saved cookies/localStorage
-  context = await browser.newContext({
-    storageState: STORAGE_STATE_FILE
-  });
+  // One tab per worker per provider; the first worker's tabs are opened now
+  // to verify each session, the rest lazily when the pool first hands them a request
+  const workers = Array.from({ length: WORKERS }, (_, i) => ({ id: i + 1, pages: {} }));
+  pool = createPool({ workers, maxQueue: MAX_QUEUE });
+
+  for (const { provider, file } of sessions) {
+    console.log(`[ask-question-server] Using ${provider.label} session: ${file}`);
+
+    // Create context with saved cookies/localStorage
+    const context = await browser.newContext({ storageState: file });
+    contexts.set(provider.name, context);
 
-  // Open ChatGPT page
-  page = await context.newPage();
-  await page.goto('https://chatgpt.com');
-  await page.waitForLoadState('domcontentloaded');
-  console.log('[ask-question-server] ChatGPT page opened.');
+    const page = await ensurePage(workers[0], provider);
+    await page.waitForLoadState('domcontentloaded');
 
-  // Verify we're logged in
-  if (!(await isLoggedIn(page))) {
-    console.error('[ask-question-server] Error: Not logged in to ChatGPT.');
-    console.error('[ask-question-server] Session may have expired. Run "ask-question-login" to log in again.');
+    // Verify we're logged in
+    if (!(await provider.isLoggedIn(page))) {
+      console.error(`[ask-question-server] Warning: Not logged in to ${provider.label}.`);
+      console.error(`[ask-question-server] Session may have expired. Run "ask-question-login --provider ${provider.name}" to log in again.`);
+      contexts.delete(provider.name);
+      await context.close();
+      continue;
+    }
+    console.log(`[ask-question-server] ${provider.label} login verified.`);
+    monitorSession(provider);
+  }
+
+  if (contexts.size === 0) {
+    console.error('[ask-question-server] Error: No logged-in provider sessions.');
     await browser.close();
     process.exit(1);
   }
-  console.log('[ask-question-server] Login verified.');
+  console.log(`[ask-question-server] ${WORKERS} worker tab(s) per provider, max queue ${MAX_QUEUE}.`);
+  console.log(`[ask-question-server] Checking login every ${Math.round(HEALTH_INTERVAL_MS / 1000)}s, saving sessions every ${Math.round(REFRESH_INTERVAL_MS / 1000)}s.`);
+
+  // Resume jobs that were still queued when the previous server stopped
+  const pending = recoverJobs(JOBS_DIR);
+  if (pending.length > 0) {
+    console.log(`[ask-question-server] Resuming ${pending.length} queued job(s)`);
+    for (const job of pending) {
+      runJob(job, { force: true });
+    }
+  }
+  // Batches carry on where they stopped: items whose jobs were interrupted
+  // fail (and skip the rest of their thread), the others start as usual
+  for (const batch of listBatches(BATCHES_DIR).filter((b) => !b.finishedAt)) {
+    advanceBatch(batch.id);
+  }
+
+  if (REQUIRE_TOKEN) {
+    apiToken = ensureToken(TOKEN_FILE);
+    console.log(`[ask-question-server] API token required (${TOKEN_FILE})`);
+  }
 
   // Start HTTP server
-  const server = http.createServer(handleRequest);
+  const server = http.createServer(handleRequestSafely);
 
-  server.listen(PORT, '127.0.0.1', () => {
-    console.log(`[ask-question-server] HTTP server listening on http://127.0.0.1:${PORT}`);
+  let restoreUmask = null;
+  if (SOCKET_PATH) {
+    await removeStaleSocket(SOCKET_PATH);
+    // Create the socket owner-only from the start rather than chmod-ing it after
+    const umask = process.umask(0o177);
+    restoreUmask = () => process.umask(umask);
+  }
+
+  server.listen(...(SOCKET_PATH ? [SOCKET_PATH] : [PORT, '127.0.0.1']), () => {
+    restoreUmask?.();
+    console.log(SOCKET_PATH
+      ? `[ask-question-server] HTTP server listening on unix:${SOCKET_PATH}`
+      : `[ask-question-server] HTTP server listening on http://127.0.0.1:${PORT}`);
     console.log('[ask-question-server] Endpoints:');
-    console.log('  POST /ask    - Send prompt, get response');
-    console.log('  GET  /health - Health check');
+    console.log('  POST /ask      - Send prompt, get response (?stream=1 for SSE)');
+    console.log('  POST /jobs     - Queue prompt, return job ID immediately');
+    console.log('  GET  /jobs     - List jobs (?status=, ?limit=)');
+    console.log('  GET  /jobs/:id - Job status and result');
+    console.log('  DELETE /jobs/:id - Cancel a queued or running job');
+    console.log('  POST /batch    - Queue many prompts as one batch');
+    console.log('  GET  /batch    - List batches; GET/DELETE /batch/:id - status or cancel');
+    console.log('  GET  /models   - Models available to the account (?provider=)');
+    console.log('  GET  /doctor   - Selector diagnostics (?provider=, ?dryRun=1)');
+    console.log('  GET  /health   - Login status and session age per provider (?check=1 to recheck now)');
+    console.log('  POST /v1/chat/completions - OpenAI-compatible chat completions (stream: true for SSE)');
+    console.log('  GET  /v1/models - OpenAI-compatible model list');
     console.log('[ask-question-server] Ready. Press Ctrl+C to stop.');
   });
 
@@ -186,6 +1621,11 @@ async function main() {
 
     try {
       server.close();
+      // Keep cookies refreshed during this run for the next start
+      for (const monitor of monitors.values()) {
+        monitor.stop();
+        await monitor.refreshNow();
+      }
       if (browser) {
         await browser.close();
       }
@@ -0,0 +1,37 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Helpers shared by the unit tests (src/*.test.js).
+ */
+
+/**
+ * Minimal stand-in for a DOM element: just what the in-page functions
+ * (domToMarkdown, extractStructured, findArtifacts) touch. String children
+ * become text nodes.
+ * @param {string} tag
+ * @param {Object<string, string>} attrs
+ * @param {...(object|string)} children
+ * @returns {object}
+ */
+export function h(tag, attrs = {}, ...children) {
+  return {
+    nodeType: 1,
+    nodeName: tag.toUpperCase(),
+    childNodes: children.map((c) => (typeof c === 'string' ? { nodeType: 3, nodeName: '#text', textContent: c } : c)),
+    getAttribute: (name) => attrs[name] ?? null,
+    get textContent() {
+      return this.childNodes.map((c) => c.textContent).join('');
+    }
+  };
+}
+
+/**
+ * A new empty temporary directory.
+ * @param {string} name - Goes into the directory name, e.g. 'jobs'
+ * @returns {string}
+ */
+export function tmpDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `chatgpt-relay-${name}-`));
+}
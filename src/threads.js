@@ -0,0 +1,54 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { discoverSessionId } from './session.js';
+
+/**
+ * Remember the last ChatGPT conversation used per caller, so `--continue`
+ * resumes the right thread when several agents share one relay.
+ */
+
+/**
+ * Identify the caller: the Claude session if one is discoverable, else the
+ * parent shell process.
+ * @param {object} opts - Options passed through to discoverSessionId
+ * @param {number} opts.ppid - Parent process ID
+ * @returns {string}
+ */
+export function threadKey(opts = {}) {
+  const sessionId = discoverSessionId(opts);
+  if (sessionId) {
+    return `session:${sessionId}`;
+  }
+  return `ppid:${opts.ppid ?? process.ppid}`;
+}
+
+function readThreads(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Look up the last conversation used by a caller.
+ * @param {string} file - Threads file
+ * @param {string} key - Caller key from threadKey()
+ * @returns {string|null} Conversation ID or null
+ */
+export function getLastConversation(file, key) {
+  return readThreads(file)[key]?.conversationId ?? null;
+}
+
+/**
+ * Record the conversation a caller just used.
+ * @param {string} file - Threads file
+ * @param {string} key - Caller key from threadKey()
+ * @param {string} conversationId
+ */
+export function saveLastConversation(file, key, conversationId) {
+  const threads = readThreads(file);
+  threads[key] = { conversationId, updatedAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(threads, null, 2), 'utf8');
+}
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { threadKey, getLastConversation, saveLastConversation } from './threads.js';
+import { tmpDir } from './test-helpers.js';
+
+test('threadKey falls back to the parent process when no session is found', () => {
+  assert.strictEqual(threadKey({ ppid: 99999 }), 'ppid:99999');
+});
+
+test('saveLastConversation records one conversation per caller', () => {
+  const dir = tmpDir('threads');
+  const file = path.join(dir, 'threads.json');
+
+  assert.strictEqual(getLastConversation(file, 'ppid:1'), null);
+
+  saveLastConversation(file, 'ppid:1', 'abc-123');
+  saveLastConversation(file, 'ppid:2', 'def-456');
+  saveLastConversation(file, 'ppid:1', 'ghi-789');
+
+  assert.strictEqual(getLastConversation(file, 'ppid:1'), 'ghi-789');
+  assert.strictEqual(getLastConversation(file, 'ppid:2'), 'def-456');
+});
@@ -0,0 +1,105 @@
+/**
+ * Completion notifications.
+ * Posts a small JSON payload to a webhook (e.g. Claude-Code-Remote's
+ * /research-complete) when an answer is ready or a request fails.
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Build the completion payload.
+ * @param {object} opts
+ * @param {string|null} opts.sessionId - Claude session ID (from discoverSessionId)
+ * @param {string|null} opts.answerFile - Path the answer was written to
+ * @param {'done'|'error'|'cancelled'} opts.status
+ * @param {string} opts.error - Error message when status is 'error'
+ * @param {string} opts.code - Error code (see errors.js) when status is 'error'
+ * @param {string} opts.jobId - Async job ID, if any
+ * @param {string} opts.conversationId - Conversation ID, if known
+ * @param {string} opts.source - Provider that answered (default: 'chatgpt')
+ * @returns {object}
+ */
+export function completionPayload(opts) {
+  const payload = {
+    session_id: opts.sessionId ?? null,
+    answer_file: opts.answerFile ?? null,
+    source: opts.source ?? 'chatgpt',
+    status: opts.status
+  };
+  if (opts.error) payload.error = opts.error;
+  if (opts.code) payload.error_code = opts.code;
+  if (opts.jobId) payload.job_id = opts.jobId;
+  if (opts.conversationId) payload.conversation_id = opts.conversationId;
+  return payload;
+}
+
+/**
+ * Build a session alert payload (e.g. the saved login expired).
+ * @param {object} opts
+ * @param {string} opts.source - Provider name
+ * @param {string} opts.status - Alert kind, e.g. 'session_expired'
+ * @param {string} opts.message - What the user should do
+ * @returns {object}
+ */
+export function alertPayload({ source, status, message }) {
+  return { source, status, message, time: new Date().toISOString() };
+}
+
+/**
+ * Check that a callback URL is an absolute http(s) URL.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isValidWebhookUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * POST a JSON payload, retrying with exponential backoff.
+ * Network errors, 429 and 5xx are retried; other 4xx fail immediately.
+ * @param {string} url
+ * @param {object} payload
+ * @param {object} opts
+ * @param {number} opts.retries - Retries after the first attempt (default: 3)
+ * @param {number} opts.baseDelayMs - First backoff delay, doubled each retry (default: 1000)
+ * @param {function} opts.fetch - fetch implementation (for tests)
+ */
+export async function postWebhook(url, payload, opts = {}) {
+  const retries = opts.retries ?? DEFAULT_RETRIES;
+  const baseDelayMs = opts.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+  const fetchImpl = opts.fetch ?? fetch;
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await new Promise((resolve) => setTimeout(resolve, baseDelayMs * 2 ** (attempt - 1)));
+    }
+
+    try {
+      const res = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      if (res.ok) {
+        return;
+      }
+      lastError = new Error(`Webhook returned ${res.status}`);
+      if (res.status < 500 && res.status !== 429) {
+        break;
+      }
+    } catch (e) {
+      lastError = e;
+    }
+  }
+
+  throw lastError;
+}
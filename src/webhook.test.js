@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { completionPayload, isValidWebhookUrl, postWebhook } from './webhook.js';
+
+function fakeFetch(statuses) {
+  const calls = [];
+  const impl = async (url, init) => {
+    calls.push(JSON.parse(init.body));
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    if (status === 'throw') throw new Error('ECONNREFUSED');
+    return { ok: status < 300, status };
+  };
+  return { impl, calls };
+}
+
+test('completionPayload uses the research-complete field names', () => {
+  assert.deepStrictEqual(
+    completionPayload({ sessionId: 'abc', answerFile: '/tmp/a.md', status: 'done' }),
+    { session_id: 'abc', answer_file: '/tmp/a.md', source: 'chatgpt', status: 'done' }
+  );
+  assert.strictEqual(completionPayload({ status: 'error', error: 'boom' }).error, 'boom');
+  assert.strictEqual(completionPayload({ status: 'done', source: 'claude' }).source, 'claude');
+  assert.strictEqual(completionPayload({ status: 'error', error: 'x', code: 'TIMEOUT' }).error_code, 'TIMEOUT');
+});
+
+test('isValidWebhookUrl only accepts http(s) URLs', () => {
+  assert.strictEqual(isValidWebhookUrl('http://localhost:3001/research-complete'), true);
+  assert.strictEqual(isValidWebhookUrl('file:///etc/passwd'), false);
+  assert.strictEqual(isValidWebhookUrl('not a url'), false);
+});
+
+test('postWebhook retries network errors and 5xx until success', async () => {
+  const { impl, calls } = fakeFetch(['throw', 503, 200]);
+  await postWebhook('http://x', { a: 1 }, { fetch: impl, baseDelayMs: 1 });
+  assert.strictEqual(calls.length, 3);
+});
+
+test('postWebhook gives up immediately on 4xx', async () => {
+  const { impl, calls } = fakeFetch([400]);
+  await assert.rejects(postWebhook('http://x', {}, { fetch: impl, baseDelayMs: 1 }), /400/);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('postWebhook throws the last error after exhausting retries', async () => {
+  const { impl, calls } = fakeFetch([500]);
+  await assert.rejects(postWebhook('http://x', {}, { fetch: impl, retries: 2, baseDelayMs: 1 }), /500/);
+  assert.strictEqual(calls.length, 3);
+});